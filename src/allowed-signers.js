@@ -0,0 +1,280 @@
+/**
+ * glab-setup-git-identity - allowed_signers file for SSH signature verification
+ *
+ * `git log --show-signature` verifies SSH signatures against the file named by
+ * `gpg.ssh.allowedSignersFile`. Each line maps a principal (the committer
+ * email) to a public key:
+ *
+ *   jane@example.com namespaces="git" ssh-ed25519 AAAA... GitLab: laptop
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { fetchGitLabApi } from './glab-api.js';
+import {
+  setGitConfig,
+  getGitConfig,
+  formatGitConfigScope,
+} from './git-config.js';
+import { recordFileChange } from './journal.js';
+import {
+  getGitLabSshKeys,
+  isSigningKey,
+  parseSshPublicKey,
+} from './signing.js';
+
+/**
+ * Get the default allowed_signers file location
+ * @returns {string} Path to ~/.config/git/allowed_signers
+ */
+export function getDefaultAllowedSignersFile() {
+  return join(homedir(), '.config', 'git', 'allowed_signers');
+}
+
+/**
+ * Format one allowed_signers line
+ * @param {string} email - Principal the key signs for
+ * @param {string} key - OpenSSH public key line
+ * @param {string} title - Key title on GitLab, kept as the comment
+ * @returns {string} allowed_signers line
+ */
+function formatAllowedSigner(email, key, title) {
+  const { type, data } = parseSshPublicKey(key);
+  const comment = title ? ` GitLab: ${title}` : '';
+  return `${email} namespaces="git" ${type} ${data}${comment}`;
+}
+
+/**
+ * Merge signer entries into the contents of an allowed_signers file
+ *
+ * Lines for the principals being written are replaced, so keys removed from
+ * GitLab disappear on the next run. Comments and lines for other principals
+ * are kept as they are.
+ *
+ * @param {string} existing - Current file contents ('' if the file is new)
+ * @param {Array<{email: string, key: string, title?: string}>} signers - Entries to write
+ * @returns {string} New file contents
+ */
+export function mergeAllowedSigners(existing, signers) {
+  const principals = new Set(
+    signers.map((signer) => signer.email.toLowerCase())
+  );
+
+  const kept = String(existing)
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .filter((line) => {
+      if (line.trimStart().startsWith('#')) {
+        return true;
+      }
+      const [lineEmails] = line.trim().split(/\s+/);
+      return !lineEmails
+        .split(',')
+        .some((email) => principals.has(email.toLowerCase()));
+    });
+
+  const lines = new Set(kept);
+  for (const { email, key, title } of signers) {
+    lines.add(formatAllowedSigner(email, key, title));
+  }
+
+  return `${[...lines].join('\n')}\n`;
+}
+
+/**
+ * Members requested per page; GitLab's maximum
+ */
+const memberPageSize = 100;
+
+/**
+ * Get all members of a project, following the pages of the members API
+ * @param {string} project - Project path (e.g., 'group/project') or ID
+ * @param {Object} options - Options (see getProjectMemberSigners)
+ * @returns {Promise<Object[]>} Members, including inherited ones
+ */
+async function getProjectMembers(project, options) {
+  const { hostname, api, executor } = options;
+
+  const members = [];
+  for (let page = 1; ; page++) {
+    const entries = await fetchGitLabApi(
+      `projects/${encodeURIComponent(project)}/members/all?per_page=${memberPageSize}&page=${page}`,
+      { hostname, api, executor, purpose: 'project members' }
+    );
+    const list = [entries].flat().filter(Boolean);
+    members.push(...list);
+    // A short page is the last one
+    if (list.length < memberPageSize) {
+      return members;
+    }
+  }
+}
+
+/**
+ * Get signing keys of project members, keyed by their public email
+ *
+ * GitLab only exposes the public email of other users, so members without
+ * one are skipped. The email is only looked up for members with a signing
+ * key.
+ *
+ * @param {string} project - Project path (e.g., 'group/project') or ID
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {Object} options.log - Logger instance
+ * @returns {Promise<Array<{email: string, key: string, title: string}>>} Signer entries
+ */
+async function getProjectMemberSigners(project, options) {
+  const { hostname, api, executor, log } = options;
+
+  const members = await getProjectMembers(project, options);
+  log.debug(`Found ${members.length} members of ${project}`);
+
+  const signers = [];
+  for (const member of members) {
+    const keys = await fetchGitLabApi(`users/${member.id}/keys`, {
+      hostname,
+      api,
+      executor,
+      purpose: 'SSH keys',
+    });
+    const signingKeys = [keys].flat().filter(Boolean).filter(isSigningKey);
+    if (signingKeys.length === 0) {
+      continue;
+    }
+
+    const user = await fetchGitLabApi(`users/${member.id}`, {
+      hostname,
+      api,
+      executor,
+      purpose: 'user info',
+    });
+    if (!user.public_email) {
+      log.debug(`Skipping ${member.username}: no public email`);
+      continue;
+    }
+
+    for (const key of signingKeys) {
+      signers.push({
+        email: user.public_email,
+        key: key.key,
+        title: key.title,
+      });
+    }
+  }
+
+  return signers;
+}
+
+/**
+ * Write an allowed_signers file from GitLab SSH signing keys
+ *
+ * Adds the authenticated user's signing keys under the configured user.email
+ * and, optionally, the signing keys of project members under their public
+ * emails. Then points `gpg.ssh.allowedSignersFile` at the file. Re-running
+ * updates the entries in place.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.email - Principal for the user's keys (default: user.email from the scope)
+ * @param {string[]} options.projects - Projects whose members' keys are added (optional)
+ * @param {string} options.file - allowed_signers file (default: ~/.config/git/allowed_signers)
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{file: string, signers: number}>} File written and number of entries
+ * @throws {Error} If no email is configured or API calls fail
+ */
+export async function writeAllowedSigners(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    projects = [],
+    file = getDefaultAllowedSignersFile(),
+    scope = 'global',
+    configFile,
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const scopeFlag = formatGitConfigScope(scope, { configFile });
+
+  const email =
+    options.email ||
+    (await getGitConfig('user.email', {
+      scope,
+      configFile,
+      executor,
+      verbose,
+      logger,
+    }));
+  if (!email) {
+    throw new Error(
+      'user.email is not configured. Set up your git identity first.'
+    );
+  }
+
+  log.log('\nUpdating allowed signers...');
+
+  const ownKeys = await getGitLabSshKeys({
+    hostname,
+    api,
+    executor,
+    verbose,
+    logger,
+  });
+  const signers = ownKeys
+    .filter(isSigningKey)
+    .map((key) => ({ email, key: key.key, title: key.title }));
+
+  for (const project of projects) {
+    signers.push(
+      ...(await getProjectMemberSigners(project, {
+        hostname,
+        api,
+        executor,
+        log,
+      }))
+    );
+  }
+
+  if (signers.length === 0) {
+    log.warn('  Warning: No SSH signing keys found on GitLab.');
+  }
+
+  if (dryRun) {
+    log.log('DRY MODE: Would configure the following:');
+    for (const { email: principal, key, title } of signers) {
+      log.log(`  ${file}: ${formatAllowedSigner(principal, key, title)}`);
+    }
+    log.log(`  git config ${scopeFlag} gpg.ssh.allowedSignersFile "${file}"`);
+    return { file, signers: signers.length };
+  }
+
+  const existing = await readFile(file, 'utf8').catch(() => '');
+  await mkdir(dirname(file), { recursive: true });
+  await recordFileChange(file, { action: 'allowed signers' });
+  await writeFile(file, mergeAllowedSigners(existing, signers));
+
+  await setGitConfig('gpg.ssh.allowedSignersFile', file, {
+    scope,
+    configFile,
+    executor,
+    verbose,
+    logger,
+  });
+
+  log.log(`  Wrote ${signers.length} signer(s) to ${file}`);
+
+  return { file, signers: signers.length };
+}
@@ -0,0 +1,211 @@
+/**
+ * glab-setup-git-identity - On-disk cache of GitLab user lookups
+ *
+ * Shell startup scripts ask for the GitLab identity on every prompt. Caching
+ * the `/user` and `/user/emails` responses for a short time makes repeated
+ * runs near-instant and lets them work briefly offline.
+ *
+ * Entries are grouped by hostname and tagged with a fingerprint of the login
+ * (a hash of the token, never the token itself). When the fingerprint changes,
+ * e.g. after `glab auth login` with another account, the host's entries are
+ * dropped.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import {
+  getConfigToken,
+  getGlabConfigFile,
+  glabTokenVariables,
+  readGlabConfig,
+} from './glab-config.js';
+
+/**
+ * Default time to live of cache entries, in seconds
+ */
+export const defaultApiCacheTtl = 600;
+
+/**
+ * GET endpoints whose responses are cached
+ */
+const cachedEndpoints = ['user', 'user/emails'];
+
+/**
+ * Get the path of the cache file
+ *
+ * Can be overridden with the GLAB_SETUP_GIT_IDENTITY_CACHE_FILE environment
+ * variable.
+ *
+ * @returns {string} Path to the cache file
+ */
+export function getApiCacheFile() {
+  if (process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE) {
+    return process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE;
+  }
+
+  const cacheHome = process.env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(cacheHome, 'glab-setup-git-identity', 'api-cache.json');
+}
+
+/**
+ * Read the cache file
+ * @param {string} file - Cache file
+ * @returns {Promise<Object>} Entries by hostname ({} if missing or unreadable)
+ */
+async function readCache(file) {
+  try {
+    const cache = JSON.parse(await readFile(file, 'utf8'));
+    return cache && typeof cache === 'object' ? cache : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write the cache file, replacing it atomically
+ * @param {string} file - Cache file
+ * @param {Object} cache - Entries by hostname
+ * @returns {Promise<void>}
+ */
+async function writeCache(file, cache) {
+  await mkdir(dirname(file), { recursive: true });
+  const temporary = `${file}.${randomBytes(4).toString('hex')}.tmp`;
+  await writeFile(temporary, `${JSON.stringify(cache, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  await rename(temporary, file);
+}
+
+/**
+ * Get what identifies the glab login of a host
+ *
+ * The token when glab can tell it (environment or config file). Tokens in the
+ * keyring cannot be read, so the user and the modification time of the config
+ * file, which glab rewrites on login, stand in for them.
+ *
+ * @param {string} hostname - GitLab hostname
+ * @returns {Promise<string|null>} Login identity, or null if glab is not logged in
+ */
+async function getGlabLogin(hostname) {
+  const variable = glabTokenVariables.find((name) => process.env[name]);
+  if (variable) {
+    return process.env[variable];
+  }
+
+  const config = await readGlabConfig();
+  const entry = config.hosts?.[hostname];
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  const token = getConfigToken(entry);
+  if (token) {
+    return token;
+  }
+  if (!entry.user) {
+    return null;
+  }
+  const { mtimeMs } = await stat(getGlabConfigFile());
+  return `keyring:${entry.user}:${mtimeMs}`;
+}
+
+/**
+ * Get the fingerprint of the login used for a host
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname
+ * @param {'glab'|'fetch'} options.client - Resolved API client
+ * @param {string} options.token - Token of the fetch client
+ * @returns {Promise<string|null>} Short hash, or null if there is no login to key the cache on
+ */
+export async function getTokenFingerprint(options) {
+  const { hostname, client, token } = options;
+
+  const login = client === 'fetch' ? token : await getGlabLogin(hostname);
+  if (!login) {
+    return null;
+  }
+
+  return createHash('sha256')
+    .update(`${client}\n${hostname}\n${login}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Serve a GitLab API request from the cache, or run it and cache the result
+ *
+ * Only GET requests for user lookups with a hostname are cached; others run
+ * directly. A corrupt or unwritable cache never fails the request.
+ *
+ * @param {string} endpoint - API endpoint relative to /api/v4
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname
+ * @param {'glab'|'fetch'} options.client - Resolved API client
+ * @param {string} options.token - Token of the fetch client
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.fields - Request parameters
+ * @param {number} options.ttl - Time to live in seconds (default: defaultApiCacheTtl)
+ * @param {Function} request - Async function performing the request
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function withApiCache(endpoint, options, request) {
+  const {
+    hostname,
+    method = 'GET',
+    fields = {},
+    ttl = defaultApiCacheTtl,
+  } = options;
+
+  const cacheable =
+    hostname &&
+    method === 'GET' &&
+    Object.keys(fields).length === 0 &&
+    cachedEndpoints.includes(endpoint);
+  const fingerprint = cacheable ? await getTokenFingerprint(options) : null;
+  if (!fingerprint) {
+    return request();
+  }
+
+  const file = getApiCacheFile();
+  const cache = await readCache(file);
+  const host =
+    cache[hostname]?.fingerprint === fingerprint
+      ? cache[hostname]
+      : { fingerprint, entries: {} };
+
+  const cached = host.entries?.[endpoint];
+  if (cached && Date.now() - cached.time < ttl * 1000) {
+    return cached.data;
+  }
+
+  const data = await request();
+  host.entries = { ...host.entries, [endpoint]: { time: Date.now(), data } };
+  await writeCache(file, { ...cache, [hostname]: host }).catch(() => {});
+
+  return data;
+}
+
+/**
+ * Drop cached responses
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - Only drop this host's entries (default: all hosts)
+ * @returns {Promise<void>}
+ */
+export async function clearApiCache(options = {}) {
+  const { hostname } = options;
+
+  const file = getApiCacheFile();
+  const cache = await readCache(file);
+  const hostnames = hostname ? [hostname] : Object.keys(cache);
+  if (!hostnames.some((key) => key in cache)) {
+    return;
+  }
+
+  for (const key of hostnames) {
+    delete cache[key];
+  }
+  await writeCache(file, cache);
+}
@@ -0,0 +1,876 @@
+/**
+ * glab-setup-git-identity CLI - option definitions and argument validation
+ */
+
+import {
+  defaultAuthOptions,
+  nameSources,
+  emailSources,
+  gitLabApiClients,
+  defaultApiCacheTtl,
+  credentialHelpers,
+  gitCredentialActions,
+} from './index.js';
+
+/**
+ * Git config scope options
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getScopeOptions(getenv) {
+  return {
+    global: {
+      alias: 'g',
+      type: 'boolean',
+      description: 'Set git config globally (default)',
+      default: false,
+    },
+    local: {
+      alias: 'l',
+      type: 'boolean',
+      description: 'Set git config locally (in current repository)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_LOCAL', false),
+    },
+    system: {
+      type: 'boolean',
+      description: 'Set git config for all users on the machine (--system)',
+      default: false,
+    },
+    worktree: {
+      type: 'boolean',
+      description:
+        'Set git config for the current worktree only (enables extensions.worktreeConfig)',
+      default: false,
+    },
+    file: {
+      type: 'string',
+      description: 'Set git config in the given file (--file <path>)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_FILE', undefined),
+    },
+  };
+}
+
+/**
+ * Options applying the identity to every repository under a directory
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getRecursiveOptions(getenv) {
+  return {
+    recursive: {
+      type: 'string',
+      description:
+        'With --local, set the identity in every repository under the directory whose remotes point at the hostname',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_RECURSIVE', undefined),
+    },
+    submodules: {
+      type: 'boolean',
+      description: 'With --recursive, include submodules',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SUBMODULES', false),
+    },
+  };
+}
+
+/**
+ * Get the git config scope selected on the command line
+ * @param {Object} argv - Parsed arguments
+ * @returns {{scope: string, configFile?: string}} Scope and, for the file scope, the config file
+ */
+export function getScopeSettings(argv) {
+  if (argv.file) {
+    return { scope: 'file', configFile: argv.file };
+  }
+  const scope = ['local', 'system', 'worktree'].find((name) => argv[name]);
+  return { scope: scope || 'global' };
+}
+
+/**
+ * Backup journal options
+ * @returns {Object} yargs option definitions
+ */
+export function getJournalOptions() {
+  return {
+    restore: {
+      alias: 'undo',
+      type: 'string',
+      description:
+        'Undo the config changes of the last run, or of the given run ID',
+    },
+    history: {
+      type: 'boolean',
+      description: 'List the runs recorded in the backup journal',
+      default: false,
+    },
+  };
+}
+
+/**
+ * Options selecting where user.name and user.email come from
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getIdentitySourceOptions(getenv) {
+  return {
+    'name-source': {
+      type: 'string',
+      description:
+        'Value for user.name: username, name, or a template such as "{name} ({username})"',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_NAME_SOURCE', 'username'),
+    },
+    'email-source': {
+      type: 'string',
+      description:
+        'Which GitLab email to use for user.email: primary, commit_email, public_email, noreply, or verified (pick from confirmed emails)',
+      choices: emailSources,
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_EMAIL_SOURCE', 'primary'),
+    },
+    'email-match': {
+      type: 'string',
+      description:
+        'Pick the verified email matching this pattern (e.g., "*@company.com"); implies --email-source verified',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_EMAIL_MATCH', undefined),
+    },
+  };
+}
+
+/**
+ * Commit signing options
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getSigningOptions(getenv) {
+  return {
+    signing: {
+      type: 'string',
+      description:
+        'Configure commit signing with a key registered on GitLab: ssh or gpg',
+      choices: ['ssh', 'gpg'],
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SIGNING', undefined),
+    },
+    'signing-key': {
+      type: 'string',
+      description:
+        'SSH key file or GPG key ID to sign with (default: first SSH key in ~/.ssh, or the GPG key registered on GitLab)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SIGNING_KEY', undefined),
+    },
+    'upload-signing-key': {
+      type: 'boolean',
+      description:
+        'Upload the SSH signing key to GitLab if it is not registered yet',
+      default: false,
+    },
+    'allowed-signers': {
+      type: 'boolean',
+      description:
+        'Write an allowed_signers file from your GitLab SSH signing keys and point gpg.ssh.allowedSignersFile at it',
+      default: false,
+    },
+    'allowed-signers-file': {
+      type: 'string',
+      description:
+        'allowed_signers file to write (default: ~/.config/git/allowed_signers)',
+      default: getenv(
+        'GLAB_SETUP_GIT_IDENTITY_ALLOWED_SIGNERS_FILE',
+        undefined
+      ),
+    },
+    'allowed-signers-project': {
+      type: 'string',
+      array: true,
+      description:
+        'Also add the signing keys of members of this project (repeatable)',
+    },
+  };
+}
+
+/**
+ * SSH key and ssh config options for git over SSH
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getSshOptions(getenv) {
+  return {
+    'setup-ssh-key': {
+      type: 'boolean',
+      description:
+        'With --git-protocol ssh: upload the local SSH key, or generate an ed25519 key, if GitLab does not have it',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SETUP_SSH_KEY', false),
+    },
+    'ssh-config': {
+      type: 'boolean',
+      description:
+        'Write a managed Host entry for the GitLab hostname to ~/.ssh/config',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SSH_CONFIG', false),
+    },
+    'ssh-hostname': {
+      type: 'string',
+      description:
+        'SSH hostname when it differs from the GitLab hostname (e.g., ssh.gitlab.company.com)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SSH_HOSTNAME', undefined),
+    },
+    'ssh-port': {
+      type: 'number',
+      description: 'SSH port of the GitLab instance (default: 22)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_SSH_PORT', undefined),
+    },
+  };
+}
+
+/**
+ * Per-directory identity profile options
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getProfileOptions(getenv) {
+  return {
+    gitdir: {
+      type: 'string',
+      array: true,
+      description:
+        'Directory prefix for a per-directory identity profile (uses includeIf gitdir). Repeat once per --hostname',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_GITDIR', undefined),
+    },
+    profile: {
+      type: 'string',
+      description:
+        'Profile name for --gitdir (default: directory name), stored in ~/.gitconfig.d/<profile>',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_PROFILE', undefined),
+    },
+    'remove-profile': {
+      type: 'boolean',
+      description: 'Remove the profile selected by --profile or --gitdir',
+      default: false,
+    },
+  };
+}
+
+/**
+ * Options shared by every command
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getCommonOptions(getenv) {
+  return {
+    verbose: {
+      alias: 'v',
+      type: 'boolean',
+      description: 'Enable verbose output',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_VERBOSE', false),
+    },
+    'dry-run': {
+      alias: 'dry',
+      type: 'boolean',
+      description:
+        'Dry run mode - show what would be done without making changes',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_DRY_RUN', false),
+    },
+    json: {
+      type: 'boolean',
+      description:
+        'Print a single JSON document with the outcome instead of progress messages',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_JSON', false),
+    },
+    hostname: {
+      type: 'string',
+      array: true,
+      description:
+        'GitLab hostname to authenticate with (repeat or comma-separate for several hosts)',
+      default: getenv('GLAB_AUTH_HOSTNAME', undefined),
+    },
+    'detect-hostname': {
+      type: 'boolean',
+      description:
+        'Without --hostname, use the host of the current repository remotes (origin first)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_DETECT_HOSTNAME', true),
+    },
+    'api-client': {
+      type: 'string',
+      description:
+        'How to call the GitLab API: glab, fetch (REST with --token or GITLAB_TOKEN), or auto (glab if installed)',
+      choices: gitLabApiClients,
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_API_CLIENT', 'auto'),
+    },
+    cache: {
+      type: 'boolean',
+      description:
+        'Reuse GitLab user lookups cached on disk (--no-cache to always ask GitLab)',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_CACHE', true),
+    },
+    'cache-ttl': {
+      type: 'number',
+      description: 'Seconds a cached GitLab user lookup stays valid',
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_CACHE_TTL', defaultApiCacheTtl),
+    },
+  };
+}
+
+/**
+ * Setup flags that run another mode; kept for the subcommands they predate
+ * @returns {Object} yargs option definitions
+ */
+export function getModeOptions() {
+  return {
+    verify: {
+      type: 'boolean',
+      description:
+        'Verify current git identity configuration (same as the verify command)',
+      default: false,
+    },
+    check: {
+      type: 'boolean',
+      description:
+        'Compare the git identity with GitLab and exit with 0 (match), 2 (mismatch), 3 (unset) or 4 (not authenticated)',
+      default: false,
+    },
+  };
+}
+
+/**
+ * glab auth login options
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getLoginOptions(getenv) {
+  return {
+    token: {
+      alias: 't',
+      type: 'string',
+      description: 'GitLab access token',
+      default: getenv('GLAB_AUTH_TOKEN', undefined),
+    },
+    stdin: {
+      type: 'boolean',
+      description: 'Read token from standard input',
+      default: false,
+    },
+    'git-protocol': {
+      alias: 'p',
+      type: 'string',
+      description: 'Protocol for git operations: ssh, https, or http',
+      choices: ['ssh', 'https', 'http'],
+      default: getenv('GLAB_AUTH_GIT_PROTOCOL', defaultAuthOptions.gitProtocol),
+    },
+    'api-protocol': {
+      type: 'string',
+      description: 'Protocol for API calls: https or http',
+      choices: ['https', 'http'],
+      default: getenv('GLAB_AUTH_API_PROTOCOL', defaultAuthOptions.apiProtocol),
+    },
+    'api-host': {
+      type: 'string',
+      description: 'Custom API host URL',
+      default: getenv('GLAB_AUTH_API_HOST', undefined),
+    },
+    'use-keyring': {
+      type: 'boolean',
+      description: 'Store token in system keyring',
+      default: getenv('GLAB_AUTH_USE_KEYRING', defaultAuthOptions.useKeyring),
+    },
+    'job-token': {
+      alias: 'j',
+      type: 'string',
+      description: 'CI job token for authentication',
+      default: getenv('GLAB_AUTH_JOB_TOKEN', undefined),
+    },
+  };
+}
+
+/**
+ * Options choosing the git credential helper to register, and repairing
+ * stale entries
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs option definitions
+ */
+export function getCredentialHelperOptions(getenv) {
+  return {
+    'credential-helper': {
+      type: 'string',
+      description:
+        'Credential helper to register: glab (its absolute path) or self (this tool, found on the PATH when git runs it)',
+      choices: credentialHelpers,
+      default: getenv('GLAB_SETUP_GIT_IDENTITY_CREDENTIAL_HELPER', 'glab'),
+    },
+    repair: {
+      type: 'boolean',
+      description:
+        'Rewrite stale credential helper entries (missing executables, duplicates), keeping the other helpers',
+      default: false,
+    },
+  };
+}
+
+/**
+ * Split hostname arguments into a list of unique hostnames
+ *
+ * Accepts repeated --hostname flags as well as comma-separated lists
+ * (e.g., GLAB_AUTH_HOSTNAME="gitlab.com,gitlab.company.com").
+ *
+ * @param {string|string[]|undefined} value - Raw hostname argument
+ * @returns {string[]} Hostnames in the order given (empty if none)
+ */
+export function splitHostnames(value) {
+  const hostnames = [value || []]
+    .flat()
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return [...new Set(hostnames)];
+}
+
+/**
+ * Split hostname arguments, falling back to the default hostname
+ * @param {string|string[]|undefined} value - Raw hostname argument
+ * @returns {string[]} Hostnames in the order given (default: gitlab.com)
+ */
+export function parseHostnames(value) {
+  const hostnames = splitHostnames(value);
+  return hostnames.length > 0 ? hostnames : [defaultAuthOptions.hostname];
+}
+
+/**
+ * Warn that a multi-host setup without profiles takes the identity of the first host
+ * @param {string[]} hostnames - Hostnames of the run
+ * @param {string[]} gitdirs - Profile directories, paired with hostnames by position
+ * @returns {string|null} Warning, or null when every host gets its own identity
+ */
+export function getSharedIdentityWarning(hostnames, gitdirs = []) {
+  if (hostnames.length < 2 || gitdirs.length > 0) {
+    return null;
+  }
+  return `Warning: user.name and user.email are taken from ${hostnames[0]} only; no identity is set for ${hostnames.slice(1).join(', ')}. Pair each --hostname with a --gitdir to set one per host.`;
+}
+
+/**
+ * Validate user.name and user.email source arguments
+ * @param {Object} argv - Parsed arguments
+ * @returns {boolean} True if arguments are valid
+ * @throws {Error} If arguments are invalid
+ */
+function validateIdentitySourceArguments(argv) {
+  // --name-source is a predefined source or a template with placeholders
+  if (
+    !nameSources.includes(argv.nameSource) &&
+    !/\{\w+\}/.test(argv.nameSource)
+  ) {
+    throw new Error(
+      `Invalid name-source "${argv.nameSource}". Expected ${nameSources.join(', ')}, or a template such as "{name} ({username})"`
+    );
+  }
+  // --email-match only applies to verified emails
+  if (argv.emailMatch && !['primary', 'verified'].includes(argv.emailSource)) {
+    throw new Error(
+      'Argument email-match can only be used with email-source verified'
+    );
+  }
+  return true;
+}
+
+/**
+ * Validate per-directory profile arguments
+ * @param {Object} argv - Parsed arguments
+ * @param {string[]} hostnames - Parsed hostnames
+ * @throws {Error} If arguments conflict
+ */
+function validateProfileArguments(argv, hostnames) {
+  const gitdirs = argv.gitdir || [];
+
+  // --gitdir writes a profile file included from the global config
+  if (gitdirs.length > 0 && getScopeSettings(argv).scope !== 'global') {
+    throw new Error(
+      'Argument gitdir cannot be combined with local, system, worktree or file'
+    );
+  }
+  // --remove-profile needs to know which profile to remove
+  if (argv.removeProfile && !argv.profile && gitdirs.length === 0) {
+    throw new Error('Argument remove-profile requires profile or gitdir');
+  }
+  if (gitdirs.length === 0 || argv.removeProfile) {
+    return;
+  }
+  // Profiles are paired with hosts by position
+  if (gitdirs.length !== hostnames.length) {
+    throw new Error(
+      `Expected one gitdir per hostname, got ${gitdirs.length} gitdir(s) for ${hostnames.length} hostname(s)`
+    );
+  }
+  if (argv.profile && gitdirs.length > 1) {
+    throw new Error('Argument profile can only be used with a single gitdir');
+  }
+}
+
+/**
+ * Validate commit signing arguments
+ * @param {Object} argv - Parsed arguments
+ * @throws {Error} If arguments conflict
+ */
+function validateSigningArguments(argv) {
+  // Signing settings go to the selected scope (global, local, system,
+  // worktree or file), not to per-directory profiles
+  if ((argv.gitdir || []).length > 0 && argv.signing) {
+    throw new Error('Arguments gitdir and signing are mutually exclusive');
+  }
+  // Only SSH keys are uploaded; GPG keys are added in the GitLab settings
+  if (argv.uploadSigningKey && argv.signing !== 'ssh') {
+    throw new Error('Argument upload-signing-key requires --signing ssh');
+  }
+  // One allowed_signers file is built from one GitLab account
+  if (argv.allowedSigners && parseHostnames(argv.hostname).length > 1) {
+    throw new Error(
+      'Argument allowed-signers can only be used with a single hostname'
+    );
+  }
+  if (argv.allowedSignersProject && !argv.allowedSigners) {
+    throw new Error(
+      'Argument allowed-signers-project requires --allowed-signers'
+    );
+  }
+}
+
+/**
+ * Validate SSH key and ssh config arguments
+ * @param {Object} argv - Parsed arguments
+ * @param {string[]} hostnames - Parsed hostnames
+ * @throws {Error} If arguments conflict
+ */
+function validateSshArguments(argv, hostnames) {
+  // The key is only needed for git over SSH
+  if (argv.setupSshKey && argv.gitProtocol !== 'ssh') {
+    throw new Error('Argument setup-ssh-key requires --git-protocol ssh');
+  }
+  if ((argv.sshHostname || argv.sshPort !== undefined) && !argv.sshConfig) {
+    throw new Error('Arguments ssh-hostname and ssh-port require --ssh-config');
+  }
+  // The SSH endpoint belongs to a single GitLab instance
+  if (
+    (argv.sshHostname || argv.sshPort !== undefined) &&
+    hostnames.length > 1
+  ) {
+    throw new Error(
+      'Arguments ssh-hostname and ssh-port can only be used with a single hostname'
+    );
+  }
+  // Values from the environment arrive as strings
+  const port = Number(argv.sshPort);
+  if (
+    argv.sshPort !== undefined &&
+    !(Number.isInteger(port) && port > 0 && port < 65536)
+  ) {
+    throw new Error('Argument ssh-port must be a port number');
+  }
+}
+
+/**
+ * Validate recursive mode arguments
+ * @param {Object} argv - Parsed arguments
+ * @throws {Error} If arguments conflict
+ */
+function validateRecursiveArguments(argv) {
+  if (argv.submodules && argv.recursive === undefined) {
+    throw new Error('Argument submodules can only be used with recursive');
+  }
+  if (argv.recursive === undefined) {
+    return;
+  }
+  if (!argv.recursive) {
+    throw new Error('Argument recursive requires a directory');
+  }
+  if (!argv.local) {
+    throw new Error('Argument recursive can only be used with local');
+  }
+  if (argv.gitdir || argv.signing) {
+    throw new Error(
+      'Argument recursive cannot be combined with gitdir or signing'
+    );
+  }
+}
+
+/**
+ * Validate --check arguments
+ * @param {Object} argv - Parsed arguments
+ * @param {string[]} hostnames - Parsed hostnames
+ * @throws {Error} If arguments conflict
+ */
+function validateCheckArguments(argv, hostnames) {
+  if (!argv.check) {
+    return;
+  }
+  if (hostnames.length > 1) {
+    throw new Error('Argument check can only be used with a single hostname');
+  }
+  if (argv.gitdir || argv.recursive !== undefined) {
+    throw new Error(
+      'Argument check cannot be combined with gitdir or recursive'
+    );
+  }
+}
+
+/**
+ * Validate the git config scope arguments
+ * @param {Object} argv - Parsed arguments
+ * @returns {boolean} True if arguments are valid
+ * @throws {Error} If more than one scope is chosen
+ */
+function validateScopeArguments(argv) {
+  const scopes = ['global', 'local', 'system', 'worktree', 'file'].filter(
+    (name) => argv[name]
+  );
+  if (scopes.length > 1) {
+    throw new Error(`Arguments ${scopes.join(', ')} are mutually exclusive`);
+  }
+  return true;
+}
+
+/**
+ * Validate glab auth login arguments
+ * @param {Object} argv - Parsed arguments
+ * @returns {boolean} True if arguments are valid
+ * @throws {Error} If arguments conflict
+ */
+function validateLoginArguments(argv) {
+  // Tokens and API hosts belong to a single GitLab instance
+  if (
+    parseHostnames(argv.hostname).length > 1 &&
+    (argv.token || argv.jobToken || argv.stdin || argv.apiHost)
+  ) {
+    throw new Error(
+      'Arguments token, job-token, stdin and api-host can only be used with a single hostname'
+    );
+  }
+  // --token and --stdin are mutually exclusive
+  if (argv.token && argv.stdin) {
+    throw new Error('Arguments token and stdin are mutually exclusive');
+  }
+  // --token and --job-token are mutually exclusive
+  if (argv.token && argv.jobToken) {
+    throw new Error('Arguments token and job-token are mutually exclusive');
+  }
+  return true;
+}
+
+/**
+ * Validate combinations of setup arguments
+ * @param {Object} argv - Parsed arguments
+ * @returns {boolean} True if arguments are valid
+ * @throws {Error} If arguments conflict
+ */
+export function validateArguments(argv) {
+  const hostnames = parseHostnames(argv.hostname);
+
+  validateScopeArguments(argv);
+  validateIdentitySourceArguments(argv);
+  validateProfileArguments(argv, hostnames);
+  validateSigningArguments(argv);
+  validateSshArguments(argv, hostnames);
+  validateRecursiveArguments(argv);
+  validateCheckArguments(argv, hostnames);
+  return validateLoginArguments(argv);
+}
+
+/**
+ * Usage examples of the setup command
+ */
+const setupExamples = [
+  ['$0', 'Setup git identity globally using GitLab user'],
+  ['$0 --local', 'Setup git identity for current repository only'],
+  ['$0 --dry-run', 'Show what would be configured without making changes'],
+  ['$0 --undo', 'Undo the config changes of the last run'],
+  [
+    '$0 --name-source "{name} ({username})"',
+    'Use the full profile name followed by the username for user.name',
+  ],
+  [
+    '$0 --email-source noreply',
+    'Use the private noreply address to keep the primary email out of commits',
+  ],
+  [
+    '$0 --email-match "*@company.com"',
+    'Use the verified company email from the GitLab account',
+  ],
+  [
+    '$0 --signing ssh --upload-signing-key',
+    'Sign commits with your SSH key and register it on GitLab',
+  ],
+  ['$0 --signing gpg', 'Sign commits with the GPG key registered on GitLab'],
+  [
+    '$0 --allowed-signers --allowed-signers-project group/project',
+    "Verify SSH signatures of your and your teammates' commits locally",
+  ],
+  [
+    '$0 --gitdir ~/work --hostname gitlab.company.com',
+    'Use the company GitLab identity for repositories under ~/work',
+  ],
+  ['$0 --remove-profile --profile work', 'Remove the "work" profile'],
+  ['$0 --hostname gitlab.company.com', 'Authenticate with self-hosted GitLab'],
+  [
+    '$0 --check',
+    'Exit with a non-zero status if git config drifted from GitLab',
+  ],
+  [
+    '$0 --local --recursive ~/work --hostname gitlab.company.com',
+    'Set the identity in every checkout under ~/work that uses gitlab.company.com',
+  ],
+  [
+    'cd ~/work/project && $0 --local',
+    'Use the GitLab host of the repository remotes',
+  ],
+  [
+    '$0 --hostname gitlab.com --gitdir ~/oss --hostname gitlab.company.com --gitdir ~/work',
+    'Configure several GitLab hosts, each with its own profile',
+  ],
+  ['$0 --git-protocol ssh', 'Use SSH protocol for git operations'],
+  [
+    '$0 --git-protocol ssh --setup-ssh-key',
+    'Use SSH and make sure this machine has a key registered on GitLab',
+  ],
+  [
+    '$0 --hostname gitlab.company.com --git-protocol ssh --ssh-config --ssh-hostname ssh.gitlab.company.com --ssh-port 2222',
+    'Write an ~/.ssh/config entry for SSH on another hostname and port',
+  ],
+  ['echo "$TOKEN" | $0 --stdin', 'Authenticate using token from stdin'],
+  ['$0 --token glpat-xxxxx', 'Authenticate using a token directly'],
+  ['$0 --job-token "$CI_JOB_TOKEN"', 'Authenticate using CI job token'],
+];
+
+/**
+ * Register the subcommands with their options, checks and examples
+ *
+ * `setup` is the default command, so running the tool without a command
+ * sets up the identity as it always did. Options shared by all commands
+ * are registered once, before the commands.
+ *
+ * @param {Object} yargs - yargs instance
+ * @param {Function} getenv - Environment variable reader
+ * @returns {Object} yargs instance
+ */
+export function defineCommands(yargs, getenv) {
+  return yargs
+    .options(getCommonOptions(getenv))
+    .command(
+      ['setup', '$0'],
+      'Authenticate with GitLab and set up the git identity (default command)',
+      (command) =>
+        command
+          .options(getScopeOptions(getenv))
+          .options(getRecursiveOptions(getenv))
+          .options(getModeOptions())
+          .options(getJournalOptions())
+          .options(getIdentitySourceOptions(getenv))
+          .options(getSigningOptions(getenv))
+          .options(getProfileOptions(getenv))
+          .options(getLoginOptions(getenv))
+          .options(getCredentialHelperOptions(getenv))
+          .options(getSshOptions(getenv))
+          .check(validateArguments)
+          .example(setupExamples)
+    )
+    .command(
+      'verify',
+      'Show the git identity, authentication and credential helper',
+      (command) =>
+        command
+          .options(getScopeOptions(getenv))
+          .check(validateScopeArguments)
+          .example([
+            ['$0 verify', 'Show the global git identity'],
+            [
+              '$0 verify --local',
+              'Show the identity of the current repository',
+            ],
+          ])
+    )
+    .command('login', 'Authenticate glab with GitLab', (command) =>
+      command
+        .options(getLoginOptions(getenv))
+        .options(getCredentialHelperOptions(getenv))
+        .check(validateLoginArguments)
+        .example([
+          ['$0 login', 'Log in to gitlab.com in the browser'],
+          [
+            'echo "$TOKEN" | $0 login --hostname gitlab.company.com --stdin',
+            'Log in to a self-hosted GitLab with a token',
+          ],
+        ])
+    )
+    .command(
+      'logout',
+      'Log glab out and remove its git credential helper',
+      (command) =>
+        command.example([
+          ['$0 logout', 'Log out of gitlab.com'],
+          [
+            '$0 logout --hostname gitlab.company.com --dry-run',
+            'Show what logging out of a self-hosted GitLab would change',
+          ],
+        ])
+    )
+    .command(
+      'credential [action]',
+      'Configure the git credential helper for the host, or act as one (get, store, erase)',
+      (command) =>
+        command
+          .positional('action', {
+            type: 'string',
+            description:
+              'git credential protocol action, run by git with the request on stdin',
+            choices: gitCredentialActions,
+          })
+          .option('force', {
+            type: 'boolean',
+            description: 'Replace the credential helpers already configured',
+            default: false,
+          })
+          .options(getCredentialHelperOptions(getenv))
+          .example([
+            ['$0 credential', 'Let git fetch and push over HTTPS with glab'],
+            [
+              '$0 credential --force',
+              'Replace another credential helper configured for the host',
+            ],
+            [
+              '$0 credential --credential-helper self --force',
+              'Register this tool as the helper; it reads the glab token whenever git asks',
+            ],
+            [
+              '$0 credential --repair',
+              'Fix helper entries pointing at a moved glab, or registered twice',
+            ],
+            [
+              'printf "protocol=https\\nhost=gitlab.com\\n\\n" | $0 credential get',
+              'Print the credentials git would get',
+            ],
+          ])
+    )
+    .command(
+      'status',
+      'Print one line per host: authentication, user, credential helper and identity',
+      (command) =>
+        command.example([
+          ['$0 status', 'Show the status for the current host'],
+          [
+            '$0 status --hostname gitlab.com,gitlab.company.com --json',
+            'Show the status of two hosts as JSON',
+          ],
+        ])
+    )
+    .command(
+      'doctor',
+      'Check glab, git, authentication, the credential helper, identity and signing',
+      (command) =>
+        command
+          .options(getScopeOptions(getenv))
+          .options(getIdentitySourceOptions(getenv))
+          .check(
+            (argv) =>
+              validateScopeArguments(argv) &&
+              validateIdentitySourceArguments(argv)
+          )
+          .example([
+            ['$0 doctor', 'Find out why pushing to GitLab does not work'],
+            [
+              '$0 doctor --local --email-source noreply',
+              'Check the repository identity against the noreply address',
+            ],
+          ])
+    );
+}
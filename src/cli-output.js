@@ -0,0 +1,82 @@
+/**
+ * glab-setup-git-identity CLI - human readable or JSON output
+ *
+ * The CLI and the library functions it calls write through one output
+ * object. By default it prints to the console. With --json, messages are
+ * dropped (warnings and errors are collected) and a single JSON document is
+ * printed when the run ends.
+ */
+
+/**
+ * Create the CLI output
+ *
+ * @param {Object} options - Options
+ * @param {boolean} options.json - Collect a JSON document instead of printing (default: false)
+ * @param {Object} options.document - Initial document fields (e.g., mode, scope)
+ * @returns {Object} Logger (log, error, warn, debug) with set, action and flush methods
+ */
+export function createCliOutput(options = {}) {
+  const { json = false, document: initial = {} } = options;
+
+  const document = {
+    ...initial,
+    actions: [],
+    warnings: [],
+    errors: [],
+  };
+  const format = (args) => args.join(' ').trim();
+
+  return {
+    json,
+    log: (...args) => {
+      if (!json) {
+        console.log(...args);
+      }
+    },
+    debug: (...args) => {
+      if (!json) {
+        console.debug(...args);
+      }
+    },
+    warn: (...args) => {
+      if (!json) {
+        console.warn(...args);
+      } else if (format(args)) {
+        document.warnings.push(format(args));
+      }
+    },
+    error: (...args) => {
+      if (!json) {
+        console.error(...args);
+      } else if (format(args)) {
+        document.errors.push(format(args));
+      }
+    },
+
+    /**
+     * Merge fields into the JSON document
+     * @param {Object} fields - Fields to set
+     */
+    set: (fields) => {
+      Object.assign(document, fields);
+    },
+
+    /**
+     * Record an action taken (or, in dry-run mode, planned)
+     * @param {Object} action - Action with a `type` and its details
+     */
+    action: (action) => {
+      document.actions.push(action);
+    },
+
+    /**
+     * Print the JSON document (no-op without --json)
+     * @param {Object} fields - Final fields (e.g., success, exitCode)
+     */
+    flush: (fields = {}) => {
+      if (json) {
+        console.log(JSON.stringify({ ...document, ...fields }, null, 2));
+      }
+    },
+  };
+}
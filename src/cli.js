@@ -6,209 +6,218 @@
  * Command-line interface for setting up git identity based on GitLab user
  */
 
+import { createInterface } from 'node:readline/promises';
 import { makeConfig } from 'lino-arguments';
 import {
   setupGitIdentity,
+  setupGitIdentityProfile,
+  setupGitIdentityRecursive,
+  removeGitIdentityProfile,
   isGlabAuthenticated,
   runGlabAuthLogin,
+  runGlabAuthLogout,
   runGlabAuthSetupGit,
+  getGitCredentialHelpers,
+  inspectGitCredentialHelpers,
+  removeGlabCredentialHelper,
+  getGlabPath,
+  getGitLabUsername,
   verifyGitIdentity,
+  checkGitIdentity,
+  identityCheckExitCodes,
+  getErrorExitCode,
+  GlabSetupError,
+  setupSshSigning,
+  setupGpgSigning,
+  verifyCommitSigning,
+  formatGitConfigScope,
+  writeAllowedSigners,
+  setupSshKey,
+  writeSshConfig,
+  findSshPublicKey,
+  readJournal,
+  groupJournalRuns,
+  restoreJournalRun,
+  getJournalFile,
+  setJournalEnabled,
+  detectGitLabHostname,
+  listGlabHosts,
+  resolveGitLabApiClient,
   defaultAuthOptions,
+  runCommand,
+  runGitCredential,
 } from './index.js';
-import { $ } from 'command-stream';
+import {
+  defineCommands,
+  getScopeSettings,
+  getSharedIdentityWarning,
+  splitHostnames,
+} from './cli-options.js';
+import { createCliOutput } from './cli-output.js';
 
 // Parse command-line arguments with environment variable and .lenv support
 const config = makeConfig({
   yargs: ({ yargs, getenv }) =>
-    yargs
-      .usage('Usage: $0 [options]')
-      // Git identity options
-      .option('global', {
-        alias: 'g',
-        type: 'boolean',
-        description: 'Set git config globally (default)',
-        default: false,
-      })
-      .option('local', {
-        alias: 'l',
-        type: 'boolean',
-        description: 'Set git config locally (in current repository)',
-        default: getenv('GLAB_SETUP_GIT_IDENTITY_LOCAL', false),
-      })
-      .option('verbose', {
-        alias: 'v',
-        type: 'boolean',
-        description: 'Enable verbose output',
-        default: getenv('GLAB_SETUP_GIT_IDENTITY_VERBOSE', false),
-      })
-      .option('dry-run', {
-        alias: 'dry',
-        type: 'boolean',
-        description:
-          'Dry run mode - show what would be done without making changes',
-        default: getenv('GLAB_SETUP_GIT_IDENTITY_DRY_RUN', false),
-      })
-      .option('verify', {
-        type: 'boolean',
-        description: 'Verify current git identity configuration',
-        default: false,
-      })
-      // glab auth login options
-      .option('hostname', {
-        type: 'string',
-        description: 'GitLab hostname to authenticate with',
-        default: getenv('GLAB_AUTH_HOSTNAME', defaultAuthOptions.hostname),
-      })
-      .option('token', {
-        alias: 't',
-        type: 'string',
-        description: 'GitLab access token',
-        default: getenv('GLAB_AUTH_TOKEN', undefined),
-      })
-      .option('stdin', {
-        type: 'boolean',
-        description: 'Read token from standard input',
-        default: false,
-      })
-      .option('git-protocol', {
-        alias: 'p',
-        type: 'string',
-        description: 'Protocol for git operations: ssh, https, or http',
-        choices: ['ssh', 'https', 'http'],
-        default: getenv(
-          'GLAB_AUTH_GIT_PROTOCOL',
-          defaultAuthOptions.gitProtocol
-        ),
-      })
-      .option('api-protocol', {
-        type: 'string',
-        description: 'Protocol for API calls: https or http',
-        choices: ['https', 'http'],
-        default: getenv(
-          'GLAB_AUTH_API_PROTOCOL',
-          defaultAuthOptions.apiProtocol
-        ),
-      })
-      .option('api-host', {
-        type: 'string',
-        description: 'Custom API host URL',
-        default: getenv('GLAB_AUTH_API_HOST', undefined),
-      })
-      .option('use-keyring', {
-        type: 'boolean',
-        description: 'Store token in system keyring',
-        default: getenv('GLAB_AUTH_USE_KEYRING', defaultAuthOptions.useKeyring),
-      })
-      .option('job-token', {
-        alias: 'j',
-        type: 'string',
-        description: 'CI job token for authentication',
-        default: getenv('GLAB_AUTH_JOB_TOKEN', undefined),
-      })
-      .check((argv) => {
-        // --global and --local are mutually exclusive
-        if (argv.global && argv.local) {
-          throw new Error('Arguments global and local are mutually exclusive');
-        }
-        // --token and --stdin are mutually exclusive
-        if (argv.token && argv.stdin) {
-          throw new Error('Arguments token and stdin are mutually exclusive');
-        }
-        // --token and --job-token are mutually exclusive
-        if (argv.token && argv.jobToken) {
-          throw new Error(
-            'Arguments token and job-token are mutually exclusive'
-          );
-        }
-        return true;
-      })
-      .example('$0', 'Setup git identity globally using GitLab user')
-      .example('$0 --local', 'Setup git identity for current repository only')
-      .example(
-        '$0 --dry-run',
-        'Show what would be configured without making changes'
-      )
-      .example('$0 --verify', 'Verify current git identity configuration')
-      .example(
-        '$0 --hostname gitlab.company.com',
-        'Authenticate with self-hosted GitLab'
-      )
-      .example('$0 --git-protocol ssh', 'Use SSH protocol for git operations')
-      .example(
-        'echo "$TOKEN" | $0 --stdin',
-        'Authenticate using token from stdin'
-      )
-      .example('$0 --token glpat-xxxxx', 'Authenticate using a token directly')
-      .example(
-        '$0 --job-token "$CI_JOB_TOKEN"',
-        'Authenticate using CI job token'
-      )
+    defineCommands(yargs.usage('Usage: $0 [command] [options]'), getenv)
       .help('h')
       .alias('h', 'help')
       .version()
       .strict(),
 });
 
+/**
+ * Subcommand to run (setup when none is given)
+ */
+const command = String(config._[0] || 'setup');
+
+/**
+ * Output of this run: the console, or a JSON document with --json
+ */
+const output = createCliOutput({
+  json: config.json,
+  document: { mode: command, dryRun: config.dryRun },
+});
+
+/**
+ * Options passed to every library call
+ */
+const logOptions = {
+  verbose: config.verbose,
+  logger: output,
+  api: {
+    client: config.apiClient,
+    token: config.token,
+    apiProtocol: config.apiProtocol,
+    apiHost: config.apiHost,
+    cache: config.cache,
+    // Values from the environment arrive as strings
+    cacheTtl: Number(config.cacheTtl),
+  },
+};
+
+// Record every change of this run so it can be undone with --undo
+setJournalEnabled(true);
+
+/**
+ * Whether the user can be asked questions (never with --json)
+ */
+const interactive = Boolean(process.stdin.isTTY) && !config.json;
+
+/**
+ * Collect the verification results for --json
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<void>}
+ */
+async function collectVerify(scopeSettings) {
+  const [hostname] = await resolveHostnames();
+  const identity = await verifyGitIdentity({ ...scopeSettings, ...logOptions });
+  const authenticated = await isGlabAuthenticated({ hostname, ...logOptions });
+
+  output.set({
+    mode: 'verify',
+    hostname,
+    ...scopeSettings,
+    username: authenticated
+      ? await getGitLabUsername({ hostname, ...logOptions })
+      : null,
+    name: identity.username,
+    email: identity.email,
+    authenticated,
+    credentialHelper: await getGitCredentialHelpers({
+      hostname,
+      ...logOptions,
+    }),
+    signing: await verifyCommitSigning({ ...scopeSettings, ...logOptions }),
+  });
+}
+
 /**
  * Run verification commands and display results
- * @param {string} scope - 'global' or 'local'
- * @param {boolean} verbose - Enable verbose logging
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
  */
-async function runVerify(scope, verbose) {
-  const scopeFlag = scope === 'local' ? '--local' : '--global';
+async function runVerify(scopeSettings) {
+  const { scope } = scopeSettings;
+  const scopeFlag = formatGitConfigScope(scope, scopeSettings);
+
+  if (output.json) {
+    await collectVerify(scopeSettings);
+    return;
+  }
+
+  const [hostname] = await resolveHostnames();
 
-  console.log('Verifying git identity configuration...');
-  console.log('');
+  output.log('Verifying git identity configuration...');
+  output.log('');
 
   // 1. Run glab auth status
-  console.log('1. GitLab CLI authentication status:');
-  console.log('   $ glab auth status');
-  console.log('');
+  output.log('1. GitLab CLI authentication status:');
+  output.log(`   $ glab auth status --hostname ${hostname}`);
+  output.log('');
 
-  // Run glab auth status - use command-stream with inherited stdio for interactive output
+  // Run glab auth status with its output shown as it comes
   try {
-    await $`glab auth status`.run({ mirror: { stdout: true, stderr: true } });
+    await runCommand('glab', ['auth', 'status', '--hostname', hostname], {
+      mirror: true,
+    });
   } catch {
     // Continue even if not authenticated
   }
 
-  console.log('');
+  output.log('');
 
   // 2. Get git config user.name
-  console.log(`2. Git user.name (${scope}):`);
-  console.log(`   $ git config ${scopeFlag} user.name`);
+  output.log(`2. Git user.name (${scope}):`);
+  output.log(`   $ git config ${scopeFlag} user.name`);
 
-  const identity = await verifyGitIdentity({ scope, verbose });
+  const identity = await verifyGitIdentity({ ...scopeSettings, ...logOptions });
 
   if (identity.username) {
-    console.log(`   ${identity.username}`);
+    output.log(`   ${identity.username}`);
   } else {
-    console.log('   (not set)');
+    output.log('   (not set)');
   }
 
-  console.log('');
+  output.log('');
 
   // 3. Get git config user.email
-  console.log(`3. Git user.email (${scope}):`);
-  console.log(`   $ git config ${scopeFlag} user.email`);
+  output.log(`3. Git user.email (${scope}):`);
+  output.log(`   $ git config ${scopeFlag} user.email`);
 
   if (identity.email) {
-    console.log(`   ${identity.email}`);
+    output.log(`   ${identity.email}`);
   } else {
-    console.log('   (not set)');
+    output.log('   (not set)');
   }
 
-  console.log('');
-  console.log('Verification complete!');
+  output.log('');
+
+  // 4. Get commit signing config
+  output.log(`4. Commit signing (${scope}):`);
+  output.log(
+    `   $ git config ${scopeFlag} gpg.format / user.signingkey / commit.gpgsign`
+  );
+
+  const signing = await verifyCommitSigning({
+    ...scopeSettings,
+    ...logOptions,
+  });
+
+  output.log(`   gpg.format:      ${signing.format || '(not set)'}`);
+  output.log(`   user.signingkey: ${signing.signingKey || '(not set)'}`);
+  output.log(`   commit.gpgsign:  ${signing.gpgSign || '(not set)'}`);
+
+  output.log('');
+  output.log('Verification complete!');
 }
 
 /**
  * Get auth options from CLI config
+ * @param {string} hostname - GitLab hostname
  * @returns {Object} Auth options
  */
-function getAuthOptions() {
+function getAuthOptions(hostname) {
   return {
-    hostname: config.hostname,
+    hostname,
     token: config.token,
     gitProtocol: config.gitProtocol,
     apiProtocol: config.apiProtocol,
@@ -216,44 +225,60 @@ function getAuthOptions() {
     useKeyring: config.useKeyring,
     jobToken: config.jobToken,
     stdin: config.stdin,
-    verbose: config.verbose,
+    quiet: output.json,
+    ...logOptions,
   };
 }
 
 /**
  * Handle authentication flow
+ * @param {string} hostname - GitLab hostname
  * @returns {Promise<boolean>} True if authentication succeeded or already authenticated
  */
-async function ensureAuthenticated() {
-  const authenticated = await isGlabAuthenticated({
-    hostname: config.hostname,
-    verbose: config.verbose,
-  });
+async function ensureAuthenticated(hostname) {
+  const authenticated = await isGlabAuthenticated({ hostname, ...logOptions });
+
+  // Without glab there is no login to run and no credential helper to set up
+  if ((await resolveGitLabApiClient(logOptions.api)) === 'fetch') {
+    if (!authenticated) {
+      output.error(
+        `The GitLab API of ${hostname} did not accept the token (--verbose shows the response)`
+      );
+    }
+    return authenticated;
+  }
+
+  const success = authenticated
+    ? await handleAlreadyAuthenticated(hostname)
+    : await handleNotAuthenticated(hostname);
 
-  if (authenticated) {
-    return handleAlreadyAuthenticated();
+  if (success && !authenticated) {
+    output.action({ type: 'login', hostname });
   }
 
-  return handleNotAuthenticated();
+  return success;
 }
 
 /**
  * Handle case when already authenticated
+ * @param {string} hostname - GitLab hostname
  * @returns {Promise<boolean>} True
  */
-async function handleAlreadyAuthenticated() {
+async function handleAlreadyAuthenticated(hostname) {
   // Ensure git credential helper is configured
   const setupGitSuccess = await runGlabAuthSetupGit({
-    hostname: config.hostname,
-    verbose: config.verbose,
+    hostname,
+    helper: config.credentialHelper,
+    repair: config.repair,
+    ...logOptions,
   });
 
   if (!setupGitSuccess && config.verbose) {
-    console.log(
+    output.log(
       'Note: Git credential helper may not be configured. Consider running:'
     );
-    console.log(
-      '  Configure manually or use --force option to overwrite existing config'
+    output.log(
+      `  glab-setup-git-identity credential --hostname ${hostname} --force`
     );
   }
 
@@ -262,79 +287,84 @@ async function handleAlreadyAuthenticated() {
 
 /**
  * Print headless authentication instructions
+ * @param {string} hostname - GitLab hostname
  */
-function printHeadlessAuthInstructions() {
-  console.log('');
-  console.log('=== Authentication in Docker/Server Environments ===');
-  console.log('');
-  console.log(
+function printHeadlessAuthInstructions(hostname) {
+  output.log('');
+  output.log('=== Authentication in Docker/Server Environments ===');
+  output.log('');
+  output.log(
     'If you see a browser URL but cannot open it, follow these steps:'
   );
-  console.log('');
-  console.log('1. Copy the authorization URL displayed above');
-  console.log('2. Open it in your local browser and complete the OAuth flow');
-  console.log(
+  output.log('');
+  output.log('1. Copy the authorization URL displayed above');
+  output.log('2. Open it in your local browser and complete the OAuth flow');
+  output.log(
     '3. You will be redirected to: http://localhost:7171/auth/redirect?code=...&state=...'
   );
-  console.log('4. Use curl to send that redirect URL back to glab:');
-  console.log('');
-  console.log(
+  output.log('4. Use curl to send that redirect URL back to glab:');
+  output.log('');
+  output.log(
     '   curl -L "http://localhost:7171/auth/redirect?code=YOUR_CODE&state=YOUR_STATE"'
   );
-  console.log('');
-  console.log('Alternatively, use token-based authentication:');
-  console.log('');
-  console.log('1. Generate a Personal Access Token at:');
-  console.log(`   https://${config.hostname}/-/profile/personal_access_tokens`);
-  console.log('   Required scopes: api, write_repository');
-  console.log('');
-  console.log('2. Re-run with your token:');
-  console.log(`   glab-setup-git-identity --token YOUR_TOKEN`);
-  console.log('');
-  console.log('================================================');
+  output.log('');
+  output.log('Alternatively, use token-based authentication:');
+  output.log('');
+  output.log('1. Generate a Personal Access Token at:');
+  output.log(`   https://${hostname}/-/profile/personal_access_tokens`);
+  output.log('   Required scopes: api, write_repository');
+  output.log('');
+  output.log('2. Re-run with your token:');
+  output.log(`   glab-setup-git-identity --token YOUR_TOKEN`);
+  output.log('');
+  output.log('================================================');
 }
 
 /**
  * Handle case when not authenticated
+ * @param {string} hostname - GitLab hostname
  * @returns {Promise<boolean>} True if login succeeded
  */
-async function handleNotAuthenticated() {
-  console.log('GitLab CLI is not authenticated. Starting authentication...');
-  console.log('');
+async function handleNotAuthenticated(hostname) {
+  output.log(
+    `GitLab CLI is not authenticated with ${hostname}. Starting authentication...`
+  );
+  output.log('');
 
   // Print headless instructions before attempting auth
   // This helps users in Docker/server environments know what to do
-  printHeadlessAuthInstructions();
-  console.log('');
+  printHeadlessAuthInstructions(hostname);
+  output.log('');
 
-  const loginSuccess = await runGlabAuthLogin(getAuthOptions());
+  const loginSuccess = await runGlabAuthLogin(getAuthOptions(hostname));
 
   if (!loginSuccess) {
-    console.log('');
-    console.log('Authentication failed. Please try one of the following:');
-    console.log('');
-    console.log('Option 1: Interactive login');
-    console.log('  glab auth login');
-    console.log('');
-    console.log('Option 2: Token-based login (recommended for headless)');
-    console.log(
-      `  glab auth login --hostname ${config.hostname} --token YOUR_TOKEN`
-    );
-    console.log('');
-    console.log('Option 3: Use this tool with a token');
-    console.log(`  glab-setup-git-identity --token YOUR_TOKEN`);
+    output.error(`Authentication with ${hostname} failed`);
+    output.log('');
+    output.log('Authentication failed. Please try one of the following:');
+    output.log('');
+    output.log('Option 1: Interactive login');
+    output.log('  glab auth login');
+    output.log('');
+    output.log('Option 2: Token-based login (recommended for headless)');
+    output.log(`  glab auth login --hostname ${hostname} --token YOUR_TOKEN`);
+    output.log('');
+    output.log('Option 3: Use this tool with a token');
+    output.log(`  glab-setup-git-identity --token YOUR_TOKEN`);
     return false;
   }
 
   // Setup git credential helper after successful login
   const setupGitSuccess = await runGlabAuthSetupGit({
-    hostname: config.hostname,
-    verbose: config.verbose,
+    hostname,
+    helper: config.credentialHelper,
+    repair: config.repair,
+    ...logOptions,
   });
 
   if (!setupGitSuccess) {
-    console.log('');
-    console.log(
+    output.log('');
+    output.warn(
       'Warning: Failed to setup git credential helper. HTTPS git operations may require manual authentication.'
     );
   }
@@ -342,6 +372,161 @@ async function handleNotAuthenticated() {
   return true;
 }
 
+/**
+ * Ask the user to pick one entry of a numbered list
+ * @param {string} heading - Line shown above the list
+ * @param {string} question - Prompt shown below the list
+ * @param {string[]} choices - Entries to choose from
+ * @returns {Promise<string>} Chosen entry
+ */
+async function promptForChoice(heading, question, choices) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    output.log('');
+    output.log(heading);
+    choices.forEach((choice, index) => {
+      output.log(`  ${index + 1}. ${choice}`);
+    });
+
+    while (true) {
+      const answer = await rl.question(`${question} [1-${choices.length}]: `);
+      const choice = Number.parseInt(answer, 10);
+      if (choice >= 1 && choice <= choices.length) {
+        return choices[choice - 1];
+      }
+      output.log('Please enter one of the listed numbers.');
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Ask the user to choose one of several verified emails
+ * @param {string[]} emails - Verified email addresses
+ * @returns {Promise<string>} Chosen email address
+ */
+function promptForEmail(emails) {
+  return promptForChoice(
+    'Verified emails on your GitLab account:',
+    'Which email should be used for user.email?',
+    emails
+  );
+}
+
+/**
+ * Detect the GitLab hostname from the remotes of the current repository
+ *
+ * If the remotes point at several hosts, the user is asked to pick one (or an
+ * error lists them when not running interactively).
+ *
+ * @returns {Promise<string|null>} Hostname, or null if no remote names one
+ */
+async function detectRemoteHostname() {
+  try {
+    const detected = await detectGitLabHostname(logOptions);
+    if (detected) {
+      output.log(`Using GitLab hostname ${detected} from git remotes`);
+    }
+    return detected;
+  } catch (error) {
+    if (!error.hosts || !interactive) {
+      throw error;
+    }
+    return promptForChoice(
+      'The remotes of this repository point at several hosts:',
+      'Which GitLab host should be set up?',
+      error.hosts
+    );
+  }
+}
+
+/**
+ * Pick hostnames from the hosts glab is logged in to
+ *
+ * A single host is used as is. With several, recursive mode and the status
+ * command take all of them; otherwise glab's default host (then gitlab.com)
+ * wins, or the user is asked to pick one.
+ *
+ * @returns {Promise<string[]>} Hostnames (default: gitlab.com)
+ */
+async function selectGlabHosts() {
+  const hosts = (await listGlabHosts()).filter((host) => host.tokenSource);
+  const hostnames = hosts.map((host) => host.hostname);
+
+  if (hostnames.length === 0) {
+    return [defaultAuthOptions.hostname];
+  }
+  if (hostnames.length === 1 || config.recursive || command === 'status') {
+    output.log(
+      `Using GitLab hostname ${hostnames.join(', ')} from the glab config`
+    );
+    return hostnames;
+  }
+
+  const preferred =
+    hosts.find((host) => host.default) ||
+    hosts.find((host) => host.hostname === defaultAuthOptions.hostname);
+  if (preferred) {
+    output.log(
+      `Using GitLab hostname ${preferred.hostname} from the glab config`
+    );
+    return [preferred.hostname];
+  }
+  if (!interactive) {
+    throw new Error(
+      `glab is logged in to several hosts: ${hostnames.join(', ')}. Choose one with --hostname`
+    );
+  }
+  return [
+    await promptForChoice(
+      'glab is logged in to several hosts:',
+      'Which GitLab host should be set up?',
+      hostnames
+    ),
+  ];
+}
+
+/**
+ * Get the GitLab hostnames to set up
+ *
+ * Uses --hostname when given. Otherwise the host is taken from the remotes of
+ * the current repository, then from the hosts glab is logged in to.
+ *
+ * @returns {Promise<string[]>} Hostnames (default: gitlab.com)
+ */
+async function resolveHostnames() {
+  const hostnames = splitHostnames(config.hostname);
+  if (hostnames.length > 0) {
+    return hostnames;
+  }
+
+  // In recursive mode the current directory says nothing about the
+  // repositories, and status reports on every host
+  if (config.detectHostname && !config.recursive && command !== 'status') {
+    const detected = await detectRemoteHostname();
+    if (detected) {
+      return [detected];
+    }
+  }
+
+  return selectGlabHosts();
+}
+
+/**
+ * Get the user.name and user.email source settings from CLI config
+ * @returns {Object} Name and email source options for setupGitIdentity
+ */
+function getIdentitySourceSettings() {
+  return {
+    nameSource: config.nameSource,
+    emailSource: config.emailMatch ? 'verified' : config.emailSource,
+    emailMatch: config.emailMatch,
+    selectEmail: interactive ? promptForEmail : undefined,
+  };
+}
+
 /**
  * Display the setup results
  * @param {Object} result - Setup result with username and email
@@ -349,83 +534,932 @@ async function handleNotAuthenticated() {
  */
 function displayResults(result, options) {
   const { scope, dryRun } = options;
+  const scopeFlag = formatGitConfigScope(scope, options);
 
-  console.log('');
-  console.log(`  ${dryRun ? '[DRY MODE] Would configure' : 'Git configured'}:`);
-  console.log(`    user.name:  ${result.username}`);
-  console.log(`    user.email: ${result.email}`);
-  console.log(
-    `  Scope: ${scope === 'global' ? 'global (--global)' : 'local (--local)'}`
-  );
+  output.log('');
+  output.log(`  ${dryRun ? '[DRY MODE] Would configure' : 'Git configured'}:`);
+  output.log(`    user.name:  ${result.name} (${result.nameSource})`);
+  output.log(`    user.email: ${result.email} (${result.emailSource})`);
+
+  if (result.profile) {
+    output.log(`  Profile: ${result.profile} (${result.configFile})`);
+    output.log(`  Applies to: gitdir:${result.gitdir}`);
+  } else {
+    output.log(`  Scope: ${scope} (${scopeFlag})`);
+  }
 
   if (!dryRun) {
-    console.log('');
-    console.log('Git identity setup complete!');
-    console.log('');
-    console.log('You can verify your configuration with:');
-    console.log('  glab auth status');
-    console.log(
-      `  git config ${scope === 'global' ? '--global' : '--local'} user.name`
+    output.log('');
+    output.log('Git identity setup complete!');
+    output.log('');
+    output.log('You can verify your configuration with:');
+    output.log('  glab auth status');
+    if (result.profile) {
+      output.log(`  git config --file ${result.configFile} user.name`);
+      output.log(`  git config --file ${result.configFile} user.email`);
+    } else {
+      output.log(`  git config ${scopeFlag} user.name`);
+      output.log(`  git config ${scopeFlag} user.email`);
+    }
+  }
+}
+
+/**
+ * Print the runs recorded in the backup journal
+ * @returns {Promise<void>}
+ */
+async function runHistory() {
+  const runs = groupJournalRuns(await readJournal());
+
+  output.set({ mode: 'history', journal: getJournalFile(), runs });
+  output.log(`Backup journal: ${getJournalFile()}`);
+  if (runs.length === 0) {
+    output.log('No changes recorded yet.');
+    return;
+  }
+
+  for (const run of runs) {
+    let note = '';
+    if (run.restores) {
+      note = ` (restores ${run.restores})`;
+    } else if (run.restoredBy) {
+      note = ` (restored by ${run.restoredBy})`;
+    }
+    output.log('');
+    output.log(`${run.runId}  ${run.time}  ${run.user}@${run.machine}${note}`);
+    for (const entry of run.entries) {
+      const target =
+        entry.type === 'file'
+          ? entry.path
+          : `${entry.key} (${entry.target.join(' ')})`;
+      output.log(`  ${entry.action}: ${target}`);
+    }
+  }
+}
+
+/**
+ * Write the allowed_signers file from the GitLab account's signing keys
+ * @param {string} hostname - GitLab hostname
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<boolean>} True if the file was written
+ */
+async function runAllowedSigners(hostname, scopeSettings) {
+  output.set({ mode: 'allowed-signers', hostname, ...scopeSettings });
+  if (!(await ensureAuthenticated(hostname))) {
+    return false;
+  }
+
+  const result = await writeAllowedSigners({
+    hostname,
+    projects: config.allowedSignersProject,
+    file: config.allowedSignersFile,
+    ...scopeSettings,
+    dryRun: config.dryRun,
+    ...logOptions,
+  });
+  output.action({ type: 'allowed-signers', ...result });
+
+  return true;
+}
+
+/**
+ * Set the identity in every repository under the --recursive directory
+ * @param {string[]} hostnames - GitLab hostnames whose repositories are updated
+ * @returns {Promise<boolean>} True if no host or repository failed
+ */
+async function runRecursive(hostnames) {
+  output.set({ mode: 'recursive', hostname: hostnames[0], scope: 'local' });
+  if (config.dryRun) {
+    output.log('');
+    output.log('DRY MODE - No actual changes will be made');
+  }
+
+  for (const hostname of hostnames) {
+    if (!(await ensureAuthenticated(hostname))) {
+      return false;
+    }
+  }
+
+  const report = await setupGitIdentityRecursive({
+    directory: config.recursive,
+    hostname: hostnames,
+    submodules: config.submodules,
+    ...getIdentitySourceSettings(),
+    dryRun: config.dryRun,
+    ...logOptions,
+  });
+  output.set({ repositories: report });
+
+  const counts = ['changed', 'unchanged', 'skipped', 'failed'].map(
+    (status) =>
+      `${report.filter((row) => row.status === status).length} ${status}`
+  );
+  output.log('');
+  output.log(`Summary: ${counts.join(', ')}`);
+
+  return report.every((row) => row.status !== 'failed');
+}
+
+/**
+ * Remove the profiles selected by --profile or --gitdir
+ * @param {string[]} gitdirs - Profile directories
+ * @returns {Promise<void>}
+ */
+async function runRemoveProfile(gitdirs) {
+  output.set({ mode: 'remove-profile' });
+
+  for (const directory of gitdirs.length > 0 ? gitdirs : [undefined]) {
+    const result = await removeGitIdentityProfile({
+      profile: config.profile,
+      directory,
+      dryRun: config.dryRun,
+      ...logOptions,
+    });
+    output.action({ type: 'remove-profile', ...result });
+  }
+}
+
+/**
+ * Compare the git identity with GitLab and print the differences
+ * @param {string} hostname - GitLab hostname
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<number>} Exit code from identityCheckExitCodes
+ */
+async function runCheck(hostname, scopeSettings) {
+  const scopeFlag = formatGitConfigScope(scopeSettings.scope, scopeSettings);
+
+  const { status, expected, actual, differences } = await checkGitIdentity({
+    hostname,
+    ...scopeSettings,
+    ...getIdentitySourceSettings(),
+    ...logOptions,
+  });
+
+  output.set({
+    mode: 'check',
+    hostname,
+    ...scopeSettings,
+    status,
+    authenticated: status !== 'unauthenticated',
+    username: expected?.username ?? null,
+    name: actual.name,
+    email: actual.email,
+    expected,
+    differences,
+  });
+
+  if (status === 'unauthenticated') {
+    output.error(
+      `Not authenticated with ${hostname}. Run: glab auth login --hostname ${hostname}`
     );
-    console.log(
-      `  git config ${scope === 'global' ? '--global' : '--local'} user.email`
+    return identityCheckExitCodes[status];
+  }
+
+  output.log(`Git identity (${scopeFlag}) compared with ${hostname}:`);
+  for (const field of ['name', 'email']) {
+    const key = `user.${field}`;
+    const difference = differences.find((entry) => entry.key === key);
+    if (!difference) {
+      output.log(`  ${key.padEnd(10)}  ${expected[field]}`);
+      continue;
+    }
+    output.log(`- ${key.padEnd(10)}  ${actual[field] ?? '(not set)'}`);
+    output.log(`+ ${key.padEnd(10)}  ${expected[field]}`);
+  }
+  output.log(`Result: ${status}`);
+
+  return identityCheckExitCodes[status];
+}
+
+/**
+ * Log in to every host and configure the credential helper
+ * @returns {Promise<number>} Exit code
+ */
+async function runLogin() {
+  const hosts = [];
+  for (const hostname of await resolveHostnames()) {
+    hosts.push({ hostname, success: await ensureAuthenticated(hostname) });
+  }
+  output.set({ hosts });
+
+  return hosts.every((host) => host.success) ? 0 : 1;
+}
+
+/**
+ * Remove the glab credential helper and log out of every host
+ * @returns {Promise<number>} Exit code
+ */
+async function runLogout() {
+  const hosts = [];
+  for (const hostname of await resolveHostnames()) {
+    if (
+      await removeGlabCredentialHelper({
+        hostname,
+        dryRun: config.dryRun,
+        ...logOptions,
+      })
+    ) {
+      output.action({ type: 'remove-credential-helper', hostname });
+    }
+
+    let success = true;
+    if (!(await isGlabAuthenticated({ hostname, ...logOptions }))) {
+      output.log(`Not logged in to ${hostname}`);
+    } else if (config.dryRun) {
+      output.log(`DRY MODE: Would run glab auth logout --hostname ${hostname}`);
+      output.action({ type: 'logout', hostname });
+    } else {
+      success = await runGlabAuthLogout({ hostname, ...logOptions });
+      if (success) {
+        output.action({ type: 'logout', hostname });
+      }
+    }
+    hosts.push({ hostname, success });
+  }
+  output.set({ hosts });
+
+  return hosts.every((host) => host.success) ? 0 : 1;
+}
+
+/**
+ * Answer a request of git as its credential helper
+ *
+ * Only the credentials go to stdout, which git reads; debug output goes to
+ * stderr.
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function runCredentialAction() {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+
+  const answer = await runGitCredential(config.action, input, {
+    verbose: config.verbose,
+    logger: { log: console.error },
+  });
+  process.stdout.write(answer);
+  return 0;
+}
+
+/**
+ * Print what the credential command would do for a host
+ * @param {string} hostname - GitLab hostname
+ * @param {Object} plan - What would happen
+ * @param {boolean} plan.replace - Whether the helpers would be replaced
+ * @param {boolean} plan.repair - Whether stale entries would be rewritten
+ * @param {Array<{message: string}>} plan.issues - Stale entries
+ */
+function printCredentialDryRun(hostname, { replace, repair, issues }) {
+  if (replace) {
+    output.log(
+      `DRY MODE: Would configure glab as the credential helper for ${hostname}`
+    );
+    return;
+  }
+  for (const issue of issues) {
+    output.log(
+      `DRY MODE: ${repair ? 'Would repair' : 'Stale'} credential helper for ${hostname}: ${issue.message}`
+    );
+  }
+  if (issues.length === 0) {
+    output.log(
+      `DRY MODE: Credential helper already configured for ${hostname}`
     );
   }
 }
 
 /**
- * Main CLI function
+ * Configure, or repair, the git credential helper of a host
+ * @param {string} hostname - GitLab hostname
+ * @returns {Promise<{hostname: string, success: boolean, configured: boolean, issues: Object[]}>} Result for --json
  */
-async function main() {
+async function configureCredentialHelper(hostname) {
+  const { helpers, configured, issues } = await inspectGitCredentialHelpers({
+    hostname,
+    ...logOptions,
+  });
+  const replace = config.force || !helpers.some(Boolean);
+  const repair = !replace && config.repair && issues.length > 0;
+
+  let success = true;
+  if (config.dryRun) {
+    printCredentialDryRun(hostname, { replace, repair, issues });
+  } else {
+    success = await runGlabAuthSetupGit({
+      hostname,
+      helper: config.credentialHelper,
+      force: config.force,
+      repair: config.repair,
+      ...logOptions,
+    });
+  }
+  if (success && (replace || repair)) {
+    output.action({
+      type: repair ? 'repair-credential-helper' : 'credential-helper',
+      hostname,
+    });
+  }
+
+  if (!success || !(replace || repair)) {
+    return { hostname, success, configured, issues };
+  }
+  if (config.dryRun) {
+    return { hostname, success, configured: true, issues: [] };
+  }
+
+  // Look again rather than assume that the rewrite left nothing behind
+  const after = await inspectGitCredentialHelpers({ hostname, ...logOptions });
+  for (const issue of after.issues) {
+    output.warn(
+      `Warning: stale credential helper remains for ${hostname}: ${issue.message}`
+    );
+  }
+  return {
+    hostname,
+    success,
+    configured: after.configured,
+    issues: after.issues,
+  };
+}
+
+/**
+ * Configure the git credential helper of every host, or act as one
+ * @returns {Promise<number>} Exit code
+ */
+async function runCredential() {
+  if (config.action) {
+    return runCredentialAction();
+  }
+
+  const hosts = [];
+  for (const hostname of await resolveHostnames()) {
+    hosts.push(await configureCredentialHelper(hostname));
+  }
+  output.set({ hosts });
+
+  return hosts.every((host) => host.success) ? 0 : 1;
+}
+
+/**
+ * Print one status line per host
+ * @returns {Promise<number>} Exit code
+ */
+async function runStatus() {
+  const identity = await verifyGitIdentity(logOptions);
+
+  const hosts = [];
+  for (const hostname of await resolveHostnames()) {
+    const authenticated = await isGlabAuthenticated({
+      hostname,
+      ...logOptions,
+    });
+    const { configured, registered, issues } =
+      await inspectGitCredentialHelpers({ hostname, ...logOptions });
+    hosts.push({
+      hostname,
+      authenticated,
+      username: authenticated
+        ? await getGitLabUsername({ hostname, ...logOptions })
+        : null,
+      credentialHelper: configured,
+      credentialHelperName: registered,
+      credentialHelperIssues: issues,
+    });
+  }
+  output.set({ name: identity.username, email: identity.email, hosts });
+
+  const configuredIdentity = identity.email
+    ? `${identity.username} <${identity.email}>`
+    : '(not set)';
+  for (const host of hosts) {
+    output.log(
+      [
+        host.hostname,
+        host.authenticated ? `logged in as ${host.username}` : 'not logged in',
+        `credential helper: ${host.credentialHelperName || 'not configured'}${host.credentialHelperIssues.length > 0 ? ' (stale entries)' : ''}`,
+        `identity: ${configuredIdentity}`,
+      ].join('  ')
+    );
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether glab and git can be run
+ * @returns {Promise<Array<{name: string, ok: boolean, detail: string, hint?: string}>>} Check results
+ */
+async function checkTools() {
+  const checks = [];
+
   try {
-    const scope = config.local ? 'local' : 'global';
+    const glabPath = await getGlabPath(logOptions);
+    checks.push({ name: 'glab', ok: true, detail: glabPath });
+  } catch (error) {
+    checks.push({
+      name: 'glab',
+      ok: false,
+      detail: error.message,
+      hint: 'Install glab: https://gitlab.com/gitlab-org/cli#installation',
+    });
+  }
+
+  const git = await runCommand('git', ['--version']);
+  checks.push(
+    git.code === 0
+      ? { name: 'git', ok: true, detail: git.stdout.trim() }
+      : {
+          name: 'git',
+          ok: false,
+          detail: 'git --version failed',
+          hint: 'Install git: https://git-scm.com/downloads',
+        }
+  );
+
+  return checks;
+}
+
+/**
+ * Check authentication, credential helper and identity for a host
+ * @param {string} hostname - GitLab hostname
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<Array<{name: string, ok: boolean, detail: string, hint?: string}>>} Check results
+ */
+async function checkHost(hostname, scopeSettings) {
+  const hostFlag = `--hostname ${hostname}`;
 
-    // Handle --verify mode
-    if (config.verify) {
-      await runVerify(scope, config.verbose);
-      process.exit(0);
+  const { status, differences } = await checkGitIdentity({
+    hostname,
+    ...scopeSettings,
+    ...getIdentitySourceSettings(),
+    ...logOptions,
+  });
+  const authenticated = status !== 'unauthenticated';
+
+  const { configured, issues } = await inspectGitCredentialHelpers({
+    hostname,
+    ...logOptions,
+  });
+
+  return [
+    {
+      name: `authentication (${hostname})`,
+      ok: authenticated,
+      detail: authenticated ? 'logged in' : 'not logged in',
+      hint: `glab-setup-git-identity login ${hostFlag}`,
+    },
+    {
+      name: `credential helper (${hostname})`,
+      ok: configured && issues.length === 0,
+      detail:
+        issues.map((issue) => issue.message).join(', ') ||
+        (configured ? 'glab' : 'not configured'),
+      hint: `glab-setup-git-identity credential ${hostFlag}${issues.length > 0 ? ' --repair' : ''}`,
+    },
+    {
+      name: `identity (${hostname})`,
+      ok: status === 'match',
+      detail: authenticated
+        ? differences
+            .map((entry) => `${entry.key} should be ${entry.expected}`)
+            .join(', ') || 'matches GitLab'
+        : 'not compared without authentication',
+      hint: `glab-setup-git-identity ${hostFlag}`,
+    },
+  ];
+}
+
+/**
+ * Check that commit signing, when enabled, has a key
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<{name: string, ok: boolean, detail: string, hint?: string}>} Check result
+ */
+async function checkSigning(scopeSettings) {
+  const signing = await verifyCommitSigning({
+    ...scopeSettings,
+    ...logOptions,
+  });
+
+  if (signing.gpgSign !== 'true') {
+    return { name: 'signing', ok: true, detail: 'not enabled' };
+  }
+  return {
+    name: 'signing',
+    ok: Boolean(signing.signingKey),
+    detail: signing.signingKey
+      ? `${signing.format || 'openpgp'} key ${signing.signingKey}`
+      : 'commit.gpgsign is on but user.signingkey is not set',
+    hint: 'glab-setup-git-identity --signing ssh',
+  };
+}
+
+/**
+ * Diagnose the setup and print a hint for every failed check
+ * @returns {Promise<number>} Exit code (1 if a check failed)
+ */
+async function runDoctor() {
+  const scopeSettings = getScopeSettings(config);
+
+  const checks = await checkTools();
+  for (const hostname of await resolveHostnames()) {
+    checks.push(...(await checkHost(hostname, scopeSettings)));
+  }
+  checks.push(await checkSigning(scopeSettings));
+
+  output.set({ ...scopeSettings, checks });
+  for (const { name, ok, detail, hint } of checks) {
+    output.log(`[${ok ? 'ok' : 'fail'}] ${name}: ${detail}`);
+    if (!ok && hint) {
+      output.log(`       Fix: ${hint}`);
     }
+  }
+
+  return checks.every((check) => check.ok) ? 0 : 1;
+}
+
+/**
+ * Print the error for a failed step
+ * @param {Error} error - Error to print
+ */
+function printError(error) {
+  output.error('');
+  output.error('Error:', error.message);
+
+  if (config.verbose) {
+    output.error('Stack trace:');
+    output.error(error.stack);
+  }
+}
+
+/**
+ * Register the SSH key and write the ssh config entry when asked for
+ * @param {Object} options - Setup options for the host
+ * @returns {Promise<void>}
+ */
+async function setupSsh(options) {
+  const { hostname, dryRun } = options;
+
+  const sshKey = config.setupSshKey
+    ? await setupSshKey({ hostname, dryRun, ...logOptions })
+    : null;
+  if (sshKey) {
+    output.action({ type: 'ssh-key', hostname, ...sshKey });
+  }
+
+  if (!config.sshConfig) {
+    return;
+  }
 
+  // Point IdentityFile at the registered key, or the first key in ~/.ssh
+  const publicKeyFile =
+    sshKey?.keyFile ||
+    (await findSshPublicKey().then(
+      (found) => found.keyFile,
+      () => null
+    ));
+
+  const { configFile, changed } = await writeSshConfig({
+    hostname,
+    sshHostname: config.sshHostname,
+    port: config.sshPort,
+    identityFile: publicKeyFile
+      ? publicKeyFile.replace(/\.pub$/, '')
+      : undefined,
+    dryRun,
+    ...logOptions,
+  });
+  output.action({ type: 'ssh-config', hostname, configFile, changed });
+}
+
+/**
+ * Configure commit signing for one host when --signing is given
+ * @param {Object} result - Identity written by setupHost
+ * @param {Object} options - Setup options for the host
+ * @returns {Promise<void>}
+ */
+async function setupSigning(result, options) {
+  const { hostname, scope, configFile, dryRun } = options;
+
+  if (config.signing === 'ssh') {
+    const signing = await setupSshSigning({
+      hostname,
+      keyFile: config.signingKey,
+      upload: config.uploadSigningKey,
+      scope,
+      configFile,
+      dryRun,
+      ...logOptions,
+    });
+    output.action({ type: 'signing', format: 'ssh', ...signing });
+  } else if (config.signing === 'gpg') {
+    const signing = await setupGpgSigning({
+      hostname,
+      email: result.email,
+      keyId: config.signingKey,
+      scope,
+      configFile,
+      dryRun,
+      ...logOptions,
+    });
+    output.action({ type: 'signing', format: 'gpg', ...signing });
+  }
+}
+
+/**
+ * Run authentication, credential helper and identity setup for one host
+ * @param {Object} options - Setup options for the host
+ * @param {boolean} options.configureIdentity - Whether to write the git identity
+ * @returns {Promise<Object>} Summary row for the host
+ */
+async function setupHost(options) {
+  const { hostname, configureIdentity } = options;
+
+  try {
     // Ensure authenticated
-    const authSuccess = await ensureAuthenticated();
+    const authSuccess = await ensureAuthenticated(hostname);
     if (!authSuccess) {
-      process.exit(1);
+      return {
+        hostname,
+        success: false,
+        error: 'Authentication failed',
+        errorCode: 'NOT_AUTHENTICATED',
+      };
+    }
+
+    // Prepare git over SSH for this host
+    await setupSsh(options);
+
+    if (!configureIdentity) {
+      return { hostname, success: true, result: null };
     }
 
+    // Setup git identity (as a per-directory profile when --gitdir is given)
+    const result = options.directory
+      ? await setupGitIdentityProfile(options)
+      : await setupGitIdentity(options);
+
+    // Display results
+    displayResults(result, options);
+    output.action(
+      result.profile
+        ? { type: 'profile', hostname, ...result }
+        : {
+            type: 'identity',
+            hostname,
+            scope: options.scope,
+            name: result.name,
+            email: result.email,
+          }
+    );
+
+    // Setup commit signing
+    await setupSigning(result, options);
+
+    return { hostname, success: true, result };
+  } catch (error) {
+    printError(error);
+    return {
+      hostname,
+      success: false,
+      error: error.message,
+      errorCode: error instanceof GlabSetupError ? error.code : undefined,
+    };
+  }
+}
+
+/**
+ * Print a per-host summary table
+ * @param {Object[]} rows - Summary rows returned by setupHost
+ * @param {string} primaryHostname - Host whose identity was written to git config
+ */
+function printSummary(rows, primaryHostname) {
+  const table = [
+    ['HOST', 'STATUS', 'IDENTITY'],
+    ...rows.map(({ hostname, success, result, error }) => {
+      if (!success) {
+        return [hostname, 'failed', error];
+      }
+      if (!result) {
+        return [hostname, 'ok', `(identity from ${primaryHostname})`];
+      }
+      const identity = `${result.name} <${result.email}>`;
+      return [
+        hostname,
+        'ok',
+        result.profile ? `${identity} for gitdir:${result.gitdir}` : identity,
+      ];
+    }),
+  ];
+
+  const widths = [0, 1].map((column) =>
+    Math.max(...table.map((row) => row[column].length))
+  );
+
+  output.log('');
+  output.log('Summary:');
+  for (const [hostname, status, identity] of table) {
+    output.log(
+      `  ${hostname.padEnd(widths[0])}  ${status.padEnd(widths[1])}  ${identity}`
+    );
+  }
+}
+
+/**
+ * Add the outcome of a setup run to the JSON document
+ * @param {Object[]} rows - Summary rows returned by setupHost
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<void>}
+ */
+async function reportSetup(rows, scopeSettings) {
+  if (!output.json) {
+    return;
+  }
+
+  const hosts = [];
+  for (const { hostname, success, result, error, errorCode } of rows) {
+    hosts.push({
+      hostname,
+      success,
+      authenticated: errorCode !== 'NOT_AUTHENTICATED',
+      credentialHelper: await getGitCredentialHelpers({
+        hostname,
+        ...logOptions,
+      }),
+      username: result?.username ?? null,
+      name: result?.name ?? null,
+      email: result?.email ?? null,
+      ...(error ? { error } : {}),
+      ...(errorCode ? { errorCode } : {}),
+    });
+  }
+
+  const { hostname, authenticated, credentialHelper, username, name, email } =
+    hosts[0];
+  output.set({
+    hostname,
+    ...scopeSettings,
+    username,
+    name,
+    email,
+    authenticated,
+    credentialHelper,
+    hosts,
+  });
+}
+
+/**
+ * Set up every host and print a summary when there are several
+ * @param {string[]} hostnames - GitLab hostnames
+ * @param {string[]} gitdirs - Profile directories paired with the hostnames
+ * @param {{scope: string, configFile?: string}} scopeSettings - Git config scope
+ * @returns {Promise<number>} Exit code: 0, or the code of the first failed host's error
+ */
+async function runSetup(hostnames, gitdirs, scopeSettings) {
+  if (config.dryRun) {
+    output.log('');
+    output.log('DRY MODE - No actual changes will be made');
+  }
+
+  const sharedIdentityWarning = getSharedIdentityWarning(hostnames, gitdirs);
+  if (sharedIdentityWarning) {
+    output.warn(sharedIdentityWarning);
+  }
+
+  const rows = [];
+  for (const [index, hostname] of hostnames.entries()) {
     // Prepare options
     const options = {
-      hostname: config.hostname,
-      scope,
+      hostname,
+      ...scopeSettings,
+      directory: gitdirs[index],
+      profile: config.profile,
+      ...getIdentitySourceSettings(),
+      // Without profiles all hosts share one identity: use the first host
+      configureIdentity: gitdirs.length > 0 || index === 0,
       dryRun: config.dryRun,
-      verbose: config.verbose,
+      ...logOptions,
     };
 
-    if (options.verbose) {
-      console.log('Options:', options);
+    if (hostnames.length > 1) {
+      output.log('');
+      output.log(`=== ${hostname} ===`);
     }
 
-    if (options.dryRun) {
-      console.log('');
-      console.log('DRY MODE - No actual changes will be made');
+    if (options.verbose) {
+      output.log('Options:', {
+        ...options,
+        logger: undefined,
+        api: { ...options.api, token: options.api.token && '(hidden)' },
+      });
     }
 
-    // Setup git identity
-    const result = await setupGitIdentity(options);
+    rows.push(await setupHost(options));
+  }
 
-    // Display results
-    displayResults(result, options);
+  if (hostnames.length > 1) {
+    printSummary(rows, hostnames[0]);
+  }
 
-    process.exit(0);
-  } catch (error) {
-    console.error('');
-    console.error('Error:', error.message);
+  await reportSetup(rows, scopeSettings);
 
-    if (config.verbose) {
-      console.error('Stack trace:');
-      console.error(error.stack);
-    }
+  const failed = rows.find((row) => !row.success);
+  return failed ? getErrorExitCode({ code: failed.errorCode }) : 0;
+}
+
+/**
+ * Print the JSON document when --json is given, then exit
+ * @param {number} exitCode - Process exit code
+ */
+function exit(exitCode) {
+  output.flush({ success: exitCode === 0, exitCode });
+  process.exit(exitCode);
+}
 
-    process.exit(1);
+/**
+ * Run the setup command, or the mode selected by its flags
+ * @returns {Promise<number>} Exit code
+ */
+async function runSetupCommand() {
+  const scopeSettings = getScopeSettings(config);
+  const gitdirs = config.gitdir || [];
+
+  // Handle --verify mode
+  if (config.verify) {
+    await runVerify(scopeSettings);
+    return 0;
+  }
+
+  // Handle --restore/--undo and --history modes (no GitLab access needed)
+  if (config.restore !== undefined) {
+    const restored = await restoreJournalRun({
+      runId: config.restore || undefined,
+      dryRun: config.dryRun,
+      ...logOptions,
+    });
+    output.set({ mode: 'restore', ...restored });
+    return 0;
+  }
+  if (config.history) {
+    await runHistory();
+    return 0;
+  }
+
+  // Handle --remove-profile mode (no GitLab access needed)
+  if (config.removeProfile) {
+    await runRemoveProfile(gitdirs);
+    return 0;
+  }
+
+  const hostnames = await resolveHostnames();
+
+  // Handle --allowed-signers mode
+  if (config.allowedSigners) {
+    return (await runAllowedSigners(hostnames[0], scopeSettings)) ? 0 : 1;
+  }
+
+  // Handle --check mode
+  if (config.check) {
+    return runCheck(hostnames[0], scopeSettings);
+  }
+
+  // Handle --local --recursive mode
+  if (config.recursive) {
+    return (await runRecursive(hostnames)) ? 0 : 1;
+  }
+
+  return runSetup(hostnames, gitdirs, scopeSettings);
+}
+
+/**
+ * Subcommands and the functions running them
+ */
+const commands = {
+  setup: runSetupCommand,
+  verify: async () => {
+    await runVerify(getScopeSettings(config));
+    return 0;
+  },
+  login: runLogin,
+  logout: runLogout,
+  credential: runCredential,
+  status: runStatus,
+  doctor: runDoctor,
+};
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  try {
+    exit(await commands[command]());
+  } catch (error) {
+    printError(error);
+    if (error instanceof GlabSetupError) {
+      output.set({ errorCode: error.code });
+    }
+    exit(getErrorExitCode(error));
   }
 }
 
@@ -0,0 +1,549 @@
+/**
+ * glab-setup-git-identity - git credential helper configuration
+ *
+ * GitLab CLI has no `glab auth setup-git` like GitHub CLI's, so git is pointed
+ * at `glab auth git-credential` (or at this tool's own `credential` command,
+ * see git-credential.js) here, through the global
+ * `credential.https://<host>.helper` entries.
+ *
+ * Entries go stale when glab moves or setup runs more than once, so they can
+ * be inspected for missing executables and duplicates, and repaired.
+ */
+
+import { basename, dirname, isAbsolute } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { GlabNotFoundError } from './errors.js';
+import { runCommand } from './executor.js';
+import { recordGitConfigChange } from './journal.js';
+
+/**
+ * Credential helpers runGlabAuthSetupGit can register
+ *
+ * - glab: `!<absolute glab path> auth git-credential`
+ * - self: `!glab-setup-git-identity credential`, looked up on the PATH each
+ *   time git runs it, so it keeps working when glab moves
+ */
+export const credentialHelpers = ['glab', 'self'];
+
+/**
+ * Helper value registered for the 'self' credential helper
+ */
+export const selfCredentialHelper = '!glab-setup-git-identity credential';
+
+/**
+ * Error message when glab is not installed
+ */
+const glabNotFoundMessage =
+  'glab CLI not found. Please install glab: https://gitlab.com/gitlab-org/cli#installation';
+
+/**
+ * Get the full path to the glab executable
+ *
+ * This function dynamically detects the glab installation path
+ * without depending on any specific installation method.
+ *
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string>} Full path to glab executable
+ * @throws {GlabNotFoundError} If glab is not found
+ */
+export async function getGlabPath(options = {}) {
+  const { executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug('Detecting glab installation path...');
+
+  // Use 'which' on Unix-like systems or 'where' on Windows
+  const command = process.platform === 'win32' ? 'where' : 'which';
+
+  try {
+    const result = await runCommand(command, ['glab'], { executor });
+
+    if (result.code !== 0 || !result.stdout) {
+      throw new GlabNotFoundError(glabNotFoundMessage);
+    }
+
+    // Get the first line (in case multiple paths are returned)
+    const glabPath = result.stdout.split('\n')[0].trim();
+    log.debug(`Found glab at: ${glabPath}`);
+
+    return glabPath;
+  } catch (error) {
+    if (error instanceof GlabNotFoundError) {
+      throw error;
+    }
+    throw new GlabNotFoundError(glabNotFoundMessage, { cause: error });
+  }
+}
+
+/**
+ * Get the helper value to register
+ * @param {string} helper - One of credentialHelpers
+ * @param {Object} options - Options for getGlabPath
+ * @returns {Promise<string>} Helper value for git config
+ * @throws {Error} If the helper is not supported
+ */
+async function getCredentialHelperValue(helper, options) {
+  if (!credentialHelpers.includes(helper)) {
+    throw new Error(
+      `Invalid credential helper: ${helper}. Expected one of: ${credentialHelpers.join(', ')}`
+    );
+  }
+  if (helper === 'self') {
+    return selfCredentialHelper;
+  }
+
+  // Uses the dynamically detected glab path
+  return `!${await getGlabPath(options)} auth git-credential`;
+}
+
+/**
+ * Check the credential helpers already configured for a host
+ *
+ * Stale entries are reported, or rewritten with repair. Healthy helpers,
+ * glab or not, are left alone.
+ *
+ * @param {string} key - Git config key (credential.<url>.helper)
+ * @param {string} credentialHelper - glab helper value to register
+ * @param {Object} options - Options of runGlabAuthSetupGit
+ * @returns {Promise<boolean|null>} Result for runGlabAuthSetupGit, or null if no helper is configured
+ */
+async function checkExistingHelpers(key, credentialHelper, options) {
+  const { hostname, repair, executor, verbose, logger } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const { helpers, issues } = await inspectGitCredentialHelpers({
+    hostname,
+    executor,
+    verbose,
+    logger,
+  });
+
+  if (issues.length > 0 && repair) {
+    const repaired = repairCredentialHelpers(helpers, credentialHelper);
+    log.debug(
+      `Rewriting credential helpers for ${hostname}: ${JSON.stringify(repaired)}`
+    );
+    await writeCredentialHelpers(key, repaired, executor);
+    log.log(
+      `Repaired ${issues.length} stale credential helper entr${issues.length === 1 ? 'y' : 'ies'} for ${hostname}`
+    );
+    return true;
+  }
+
+  if (issues.length > 0) {
+    for (const issue of issues) {
+      log.warn(`Stale credential helper for ${hostname}: ${issue.message}`);
+    }
+    log.log(
+      'Use repair: true to rewrite the stale entries, or force: true to replace all helpers.'
+    );
+    return false;
+  }
+
+  if (!helpers.some(Boolean)) {
+    return null;
+  }
+  log.debug(
+    `Existing credential helpers found for ${hostname}: ${helpers.join(', ')}`
+  );
+  log.log(
+    `Git credential helper already configured for ${hostname}. Use force: true to overwrite.`
+  );
+  return true;
+}
+
+/**
+ * Run glab auth setup-git equivalent to configure git to use GitLab CLI as credential helper
+ *
+ * Unlike GitHub CLI which has `gh auth setup-git`, GitLab CLI doesn't have an equivalent command.
+ * This function manually configures git to use `glab auth git-credential` as the credential helper
+ * for GitLab HTTPS operations.
+ *
+ * Without this, git push/pull may fail with "could not read Username" error when using HTTPS protocol.
+ *
+ * Helpers already configured for the host are kept unless they are stale
+ * (see inspectGitCredentialHelpers): stale entries are reported and the
+ * function returns false, or, with repair, they are rewritten.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (default: 'gitlab.com')
+ * @param {string} options.helper - One of credentialHelpers (default: 'glab')
+ * @param {boolean} options.force - Force setup by overwriting existing credential helper config (default: false)
+ * @param {boolean} options.repair - Rewrite stale entries, keeping the other helpers (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<boolean>} True if setup was successful
+ */
+export async function runGlabAuthSetupGit(options = {}) {
+  const {
+    hostname = 'gitlab.com',
+    helper = 'glab',
+    force = false,
+    repair = false,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug('Configuring git credential helper for GitLab CLI...');
+
+  try {
+    const credentialHelper = await getCredentialHelperValue(helper, {
+      executor,
+      verbose,
+      logger,
+    });
+
+    // Build the credential helper URL based on hostname
+    const credentialUrl = `https://${hostname}`;
+    const key = `credential.${credentialUrl}.helper`;
+
+    // Keep, or repair, the credential helpers already configured
+    if (!force) {
+      const kept = await checkExistingHelpers(key, credentialHelper, {
+        hostname,
+        repair,
+        executor,
+        verbose,
+        logger,
+      });
+      if (kept !== null) {
+        return kept;
+      }
+    }
+
+    // First, clear any existing credential helpers for this host
+    // This ensures we have a clean state
+    log.debug(`Clearing existing credential helpers for ${credentialUrl}...`);
+
+    // Keep the current helpers in the backup journal before replacing them
+    await recordGitConfigChange(key, {
+      action: 'credential helper',
+      executor,
+    });
+
+    // Set an empty helper first to clear the chain (ignore errors if not set)
+    try {
+      await runCommand('git', ['config', '--global', key, ''], { executor });
+    } catch {
+      // Ignore errors if not set
+    }
+
+    // Add the glab credential helper
+    log.debug(`Setting credential helper: ${credentialHelper}`);
+
+    const result = await runCommand(
+      'git',
+      ['config', '--global', '--add', key, credentialHelper],
+      { executor }
+    );
+
+    if (result.code !== 0) {
+      log.error(`Failed to set git credential helper: ${result.stderr}`);
+      return false;
+    }
+
+    log.log(`Git credential helper configured for ${hostname}`);
+    log.debug(`  URL: ${credentialUrl}`);
+    log.debug(`  Helper: ${credentialHelper}`);
+
+    return true;
+  } catch (error) {
+    log.error(`Failed to setup git credential helper: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get the git credential helpers configured globally for a GitLab host
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (default: 'gitlab.com')
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{helpers: string[], configured: boolean}>} Helper values in order, and whether glab or this tool is one of them
+ */
+export async function getGitCredentialHelpers(options = {}) {
+  const {
+    hostname = 'gitlab.com',
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  const result = await runCommand(
+    'git',
+    [
+      'config',
+      '--global',
+      '--get-all',
+      `credential.https://${hostname}.helper`,
+    ],
+    { executor }
+  );
+  const helpers =
+    result.code === 0 ? result.stdout.replace(/\n$/, '').split('\n') : [];
+
+  log.debug(`Credential helpers for ${hostname}: ${JSON.stringify(helpers)}`);
+
+  return {
+    helpers,
+    configured: helpers.some(isGlabCredentialHelper),
+  };
+}
+
+/**
+ * Check whether a credential helper value runs glab or this tool
+ * @param {string} helper - Helper value from git config
+ * @returns {boolean} True for `!<glab> auth git-credential` and selfCredentialHelper
+ */
+function isGlabCredentialHelper(helper) {
+  return (
+    helper.endsWith('auth git-credential') || helper === selfCredentialHelper
+  );
+}
+
+/**
+ * Get the executable a credential helper value runs
+ *
+ * `!command args` runs command through the shell, and an absolute path runs
+ * that file. Helper names such as `store` or `manager` are resolved by git
+ * itself, and shell snippets (e.g., `!f() { ...; }; f`) cannot be checked
+ * without running them, so they give null.
+ *
+ * @param {string} helper - Helper value from git config
+ * @returns {string|null} Executable path or name, or null if it cannot be checked
+ */
+function getHelperExecutable(helper) {
+  const glabCommand = helper.match(/^!(.+) auth git-credential$/);
+  const command = glabCommand
+    ? glabCommand[1].trim()
+    : helper
+        .replace(/^!/, '')
+        .trim()
+        .match(/^(?:"([^"]+)"|'([^']+)'|(\S+))/)
+        ?.slice(1)
+        .find(Boolean);
+
+  if (!command || (!helper.startsWith('!') && !isAbsolute(command))) {
+    return null;
+  }
+  return /[()$`;|&<>{}=*?]/.test(command) ? null : command;
+}
+
+/**
+ * Check whether an executable can be found, as a path or on the PATH
+ * @param {string} command - Executable path or name
+ * @param {Function} executor - Command executor (see executor.js)
+ * @returns {Promise<boolean>} False only if the lookup ran and found nothing
+ */
+async function executableExists(command, executor) {
+  const windows = process.platform === 'win32';
+  // `where` looks up absolute paths as <directory>:<name>
+  const args =
+    windows && isAbsolute(command)
+      ? [`${dirname(command)}:${basename(command)}`]
+      : [command];
+
+  try {
+    const result = await runCommand(windows ? 'where' : 'which', args, {
+      executor,
+    });
+    return result.code === 0;
+  } catch {
+    // Without which/where nothing can be told
+    return true;
+  }
+}
+
+/**
+ * Inspect the git credential helpers configured globally for a GitLab host
+ *
+ * Every entry is checked for two kinds of staleness:
+ *
+ * - missing: the executable it runs does not exist (e.g., glab was moved
+ *   or uninstalled since it was registered)
+ * - duplicate: the same value is configured twice, or glab (or this tool)
+ *   is registered more than once
+ *
+ * Empty values, which reset the helper chain, are not checked.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (default: 'gitlab.com')
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{helpers: string[], configured: boolean, registered: string|null, issues: Array<{index: number, helper: string, problem: 'missing'|'duplicate', message: string}>}>} Helpers as getGitCredentialHelpers returns them, which of credentialHelpers the first glab entry is ('glab', 'self' or null), and the stale entries
+ */
+export async function inspectGitCredentialHelpers(options = {}) {
+  const {
+    hostname = 'gitlab.com',
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const { helpers, configured } = await getGitCredentialHelpers({
+    hostname,
+    executor,
+    verbose,
+    logger,
+  });
+
+  const issues = [];
+  const firstGlabIndex = helpers.findIndex(isGlabCredentialHelper);
+  for (const [index, helper] of helpers.entries()) {
+    if (helper === '') {
+      continue;
+    }
+
+    if (helpers.indexOf(helper) < index) {
+      issues.push({
+        index,
+        helper,
+        problem: 'duplicate',
+        message: `${helper} is configured more than once`,
+      });
+      continue;
+    }
+    if (isGlabCredentialHelper(helper) && index > firstGlabIndex) {
+      issues.push({
+        index,
+        helper,
+        problem: 'duplicate',
+        message: `${helper} duplicates ${helpers[firstGlabIndex]}`,
+      });
+      continue;
+    }
+
+    const executable = getHelperExecutable(helper);
+    if (executable && !(await executableExists(executable, executor))) {
+      issues.push({
+        index,
+        helper,
+        problem: 'missing',
+        message: `${executable} does not exist`,
+      });
+    }
+  }
+
+  log.debug(`Stale credential helpers for ${hostname}: ${issues.length}`);
+
+  const registered =
+    firstGlabIndex === -1
+      ? null
+      : helpers[firstGlabIndex] === selfCredentialHelper
+        ? 'self'
+        : 'glab';
+  return { helpers, configured, registered, issues };
+}
+
+/**
+ * Rewrite a list of credential helpers without its stale entries
+ *
+ * The glab entries are replaced by the given helper, at the place of the
+ * first of them (or at the end), and repeated values are dropped. Other
+ * helpers are kept in order, even when their executable is missing: they
+ * belong to the user.
+ *
+ * @param {string[]} helpers - Helper values in order
+ * @param {string} credentialHelper - glab helper value to keep
+ * @returns {string[]} Helper values to write
+ */
+function repairCredentialHelpers(helpers, credentialHelper) {
+  const repaired = [];
+  for (const helper of helpers) {
+    const value = isGlabCredentialHelper(helper) ? credentialHelper : helper;
+    if (value === '' || !repaired.includes(value)) {
+      repaired.push(value);
+    }
+  }
+  if (!repaired.includes(credentialHelper)) {
+    repaired.push(credentialHelper);
+  }
+  return repaired;
+}
+
+/**
+ * Replace all values of a credential helper key, keeping a backup
+ * @param {string} key - Git config key (credential.<url>.helper)
+ * @param {string[]} helpers - Values to write, in order
+ * @param {Function} executor - Command executor (see executor.js)
+ * @returns {Promise<void>}
+ */
+async function writeCredentialHelpers(key, helpers, executor) {
+  await recordGitConfigChange(key, { action: 'credential helper', executor });
+  await runCommand('git', ['config', '--global', '--unset-all', key], {
+    executor,
+  });
+  for (const helper of helpers) {
+    await runCommand('git', ['config', '--global', '--add', key, helper], {
+      executor,
+    });
+  }
+}
+
+/**
+ * Remove the glab credential helper configured globally for a GitLab host
+ *
+ * This tool's own helper (selfCredentialHelper) counts as the glab one.
+ * Other helpers for the host are kept. The empty value that
+ * runGlabAuthSetupGit writes to reset the helper chain is dropped too,
+ * unless other helpers follow it.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (default: 'gitlab.com')
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<boolean>} True if a helper was (or would be) removed
+ */
+export async function removeGlabCredentialHelper(options = {}) {
+  const {
+    hostname = 'gitlab.com',
+    dryRun = false,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const key = `credential.https://${hostname}.helper`;
+
+  const { helpers, configured } = await getGitCredentialHelpers({
+    hostname,
+    executor,
+    verbose,
+    logger,
+  });
+  if (!configured) {
+    log.debug(`No glab credential helper configured for ${hostname}`);
+    return false;
+  }
+
+  const kept = helpers.filter((helper) => !isGlabCredentialHelper(helper));
+  const remaining = kept.some(Boolean) ? kept : [];
+
+  if (dryRun) {
+    log.log(
+      `DRY MODE: Would remove the glab credential helper for ${hostname}`
+    );
+    return true;
+  }
+
+  await writeCredentialHelpers(key, remaining, executor);
+
+  log.log(`Removed the glab credential helper for ${hostname}`);
+  return true;
+}
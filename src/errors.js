@@ -0,0 +1,141 @@
+/**
+ * glab-setup-git-identity - Error classes
+ *
+ * Every failure the library can explain throws one of these classes. The
+ * `code` property is stable across releases, unlike the messages, so callers
+ * can react to it (`error.code === 'MISSING_EMAIL'`).
+ */
+
+/**
+ * Base class of the errors thrown by glab-setup-git-identity
+ */
+export class GlabSetupError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options
+   * @param {string} options.code - Stable error code
+   * @param {*} options.cause - Underlying error (optional)
+   */
+  constructor(message, options = {}) {
+    const { code = 'GLAB_SETUP_ERROR', cause } = options;
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.code = code;
+  }
+}
+
+/**
+ * glab is not installed or not on the PATH
+ */
+export class GlabNotFoundError extends GlabSetupError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options (cause)
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'GLAB_NOT_FOUND' });
+  }
+}
+
+/**
+ * A GitLab API request failed
+ *
+ * Carries the HTTP status as `status` when it is known and, with the fetch
+ * client, GitLab's message as `gitlabMessage`.
+ */
+export class GitLabApiError extends GlabSetupError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options
+   * @param {number} options.status - HTTP status (optional)
+   * @param {string} options.gitlabMessage - GitLab's error message (optional)
+   * @param {string} options.code - Error code (default: 'GITLAB_API_ERROR')
+   * @param {*} options.cause - Underlying error (optional)
+   */
+  constructor(message, options = {}) {
+    const { status, gitlabMessage, code = 'GITLAB_API_ERROR', cause } = options;
+    super(message, { code, cause });
+    if (status !== undefined) {
+      this.status = status;
+    }
+    if (gitlabMessage !== undefined) {
+      this.gitlabMessage = gitlabMessage;
+    }
+  }
+}
+
+/**
+ * GitLab did not accept the credentials, or there are none
+ */
+export class NotAuthenticatedError extends GitLabApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options (status, gitlabMessage, cause)
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NOT_AUTHENTICATED' });
+  }
+}
+
+/**
+ * A GitLab response could not be parsed or lacks a required field
+ */
+export class MalformedResponseError extends GlabSetupError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options (cause)
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'MALFORMED_RESPONSE' });
+  }
+}
+
+/**
+ * The GitLab account has no email for the requested source or pattern
+ */
+export class MissingEmailError extends GlabSetupError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options (cause)
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'MISSING_EMAIL' });
+  }
+}
+
+/**
+ * A git config command failed
+ */
+export class GitConfigError extends GlabSetupError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options (cause)
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'GIT_CONFIG_ERROR' });
+  }
+}
+
+/**
+ * Exit codes of the CLI, keyed by error code
+ *
+ * 2 and 3 are taken by the --check mode (mismatch, unset), which shares 4
+ * with NOT_AUTHENTICATED. Other failures exit with 1.
+ */
+export const errorExitCodes = {
+  NOT_AUTHENTICATED: 4,
+  GLAB_NOT_FOUND: 5,
+  GITLAB_API_ERROR: 6,
+  MALFORMED_RESPONSE: 7,
+  MISSING_EMAIL: 8,
+  GIT_CONFIG_ERROR: 9,
+};
+
+/**
+ * Get the CLI exit code of an error
+ * @param {Error} error - Thrown error
+ * @returns {number} Exit code from errorExitCodes, or 1
+ */
+export function getErrorExitCode(error) {
+  return errorExitCodes[error?.code] ?? 1;
+}
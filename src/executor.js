@@ -0,0 +1,108 @@
+/**
+ * glab-setup-git-identity - Running external commands
+ *
+ * Every git, glab, gpg and ssh-keygen invocation goes through an executor, a
+ * function with the signature
+ *
+ *   executor(command, args, { env, stdin, mirror })
+ *     => Promise<{ code, stdout, stderr }>
+ *
+ * The default one runs the command locally with command-stream. Library users
+ * can replace it to run commands in a container or over a remote shell, or to
+ * fake glab in tests: per call with the `executor` option of the exported
+ * functions, or for the whole process with setExecutor().
+ */
+
+import { $ } from 'command-stream';
+
+/**
+ * Run a command locally with command-stream
+ *
+ * @param {string} command - Executable (e.g., 'git')
+ * @param {string[]} args - Arguments, passed without shell interpretation
+ * @param {Object} options - Options
+ * @param {Object} options.env - Environment variables added to the current ones
+ * @param {string} options.stdin - Input text, or 'inherit' to read from the terminal
+ * @param {boolean} options.mirror - Show the output as it comes instead of capturing it (default: false)
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output ('' when mirrored)
+ */
+export async function defaultExecutor(command, args = [], options = {}) {
+  const { env, stdin, mirror = false } = options;
+
+  const runOptions = mirror
+    ? { mirror: { stdout: true, stderr: true }, capture: false }
+    : { capture: true };
+  if (stdin !== undefined) {
+    runOptions.stdin = stdin;
+  }
+  if (env) {
+    runOptions.env = { ...process.env, ...env };
+  }
+
+  const result = await $`${command} ${args}`.run(runOptions);
+
+  return {
+    code: result.code,
+    stdout: result.stdout ?? '',
+    stderr: result.stderr ?? '',
+  };
+}
+
+/**
+ * Executor used when a call passes none
+ */
+let currentExecutor = defaultExecutor;
+
+/**
+ * Replace the executor for the whole process
+ *
+ * @param {Function} executor - Executor (see defaultExecutor), or null to restore the default
+ * @returns {Function} The previous executor
+ */
+export function setExecutor(executor) {
+  if (executor && typeof executor !== 'function') {
+    throw new TypeError('The executor must be a function');
+  }
+
+  const previous = currentExecutor;
+  currentExecutor = executor || defaultExecutor;
+  return previous;
+}
+
+/**
+ * Get the executor used when a call passes none
+ * @returns {Function} Current executor
+ */
+export function getExecutor() {
+  return currentExecutor;
+}
+
+/**
+ * Run a command with the given or the current executor
+ *
+ * @param {string} command - Executable (e.g., 'git')
+ * @param {string[]} args - Arguments
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Executor for this call (default: the current executor)
+ * @param {Object} options.env - Environment variables added to the current ones
+ * @param {string} options.stdin - Input text, or 'inherit' to read from the terminal
+ * @param {boolean} options.mirror - Show the output instead of capturing it
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ * @throws {TypeError} If the executor result has no numeric `code`
+ */
+export async function runCommand(command, args = [], options = {}) {
+  const { executor = currentExecutor, env, stdin, mirror } = options;
+
+  const result = await executor(command, args, { env, stdin, mirror });
+  if (typeof result?.code !== 'number') {
+    throw new TypeError(
+      `The executor returned no numeric exit code for ${command}`
+    );
+  }
+
+  return {
+    code: result.code,
+    stdout: result?.stdout ?? '',
+    stderr: result?.stderr ?? '',
+  };
+}
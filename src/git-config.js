@@ -0,0 +1,200 @@
+/**
+ * glab-setup-git-identity - Reading and writing git config values
+ */
+
+import { resolve } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { GitConfigError } from './errors.js';
+import { runCommand } from './executor.js';
+import { recordGitConfigChange } from './journal.js';
+
+/**
+ * Supported git config scopes
+ */
+export const gitConfigScopes = [
+  'global',
+  'local',
+  'system',
+  'worktree',
+  'file',
+];
+
+/**
+ * Get the git config arguments selecting a scope
+ *
+ * @param {string} scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {Object} options - Options
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @returns {string[]} Arguments (e.g., ['--global'] or ['--file', '/abs/path'])
+ * @throws {Error} If the scope is not supported or the file scope has no file
+ */
+export function getGitConfigScopeArgs(scope = 'global', options = {}) {
+  const { configFile } = options;
+
+  if (!gitConfigScopes.includes(scope)) {
+    throw new Error(
+      `Invalid git config scope: ${scope}. Expected one of: ${gitConfigScopes.join(', ')}`
+    );
+  }
+
+  if (scope === 'file') {
+    if (!configFile) {
+      throw new Error('A config file is required for the file scope');
+    }
+    return ['--file', resolve(configFile)];
+  }
+
+  return [`--${scope}`];
+}
+
+/**
+ * Format the git config arguments of a scope for output
+ *
+ * @param {string} scope - Git config scope (default: 'global')
+ * @param {Object} options - Options
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @returns {string} Arguments as typed on the command line (e.g., '--global')
+ */
+export function formatGitConfigScope(scope = 'global', options = {}) {
+  return getGitConfigScopeArgs(scope, options).join(' ');
+}
+
+/**
+ * Enable per-worktree config (`extensions.worktreeConfig`) in the repository
+ *
+ * Without it, `git config --worktree` fails once a repository has more than
+ * one worktree.
+ *
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<boolean>} True if the setting was changed
+ */
+export async function enableWorktreeConfig(options = {}) {
+  const { executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const current = await runCommand(
+    'git',
+    ['config', '--local', '--type=bool', 'extensions.worktreeConfig'],
+    { executor }
+  );
+  if (current.code === 0 && current.stdout.trim() === 'true') {
+    return false;
+  }
+
+  log.debug('Enabling extensions.worktreeConfig');
+
+  await recordGitConfigChange('extensions.worktreeConfig', {
+    scopeArgs: ['--local'],
+    executor,
+  });
+
+  const result = await runCommand(
+    'git',
+    ['config', '--local', 'extensions.worktreeConfig', 'true'],
+    { executor }
+  );
+
+  if (result.code !== 0) {
+    throw new GitConfigError(
+      `Failed to enable extensions.worktreeConfig: ${result.stderr}`
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Set git config value
+ *
+ * The previous value is recorded in the backup journal first. The worktree
+ * scope enables `extensions.worktreeConfig` when needed.
+ *
+ * @param {string} key - Config key (e.g., 'user.name')
+ * @param {string} value - Config value
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<void>}
+ * @throws {GitConfigError} If git config fails
+ * @throws {Error} If the scope is invalid
+ */
+export async function setGitConfig(key, value, options = {}) {
+  const {
+    scope = 'global',
+    configFile,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const scopeArgs = getGitConfigScopeArgs(scope, { configFile });
+
+  log.debug(`Setting git config ${key} = ${value} (${scope})`);
+
+  if (scope === 'worktree') {
+    await enableWorktreeConfig({ executor, verbose, logger });
+  }
+
+  await recordGitConfigChange(key, { scopeArgs, executor });
+
+  const result = await runCommand('git', ['config', ...scopeArgs, key, value], {
+    executor,
+  });
+
+  if (result.code !== 0) {
+    throw new GitConfigError(
+      `Failed to set git config ${key}: ${result.stderr}`
+    );
+  }
+
+  log.debug(`Successfully set git config ${key}`);
+}
+
+/**
+ * Get git config value
+ *
+ * @param {string} key - Config key (e.g., 'user.name')
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string|null>} Config value or null if not set
+ * @throws {Error} If the scope is invalid
+ */
+export async function getGitConfig(key, options = {}) {
+  const {
+    scope = 'global',
+    configFile,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const scopeArgs = getGitConfigScopeArgs(scope, { configFile });
+
+  log.debug(`Getting git config ${key} (${scope})`);
+
+  const result = await runCommand('git', ['config', ...scopeArgs, key], {
+    executor,
+  });
+
+  if (result.code !== 0) {
+    log.debug(`Git config ${key} not set`);
+    return null;
+  }
+
+  const value = result.stdout.trim();
+  log.debug(`Git config ${key} = ${value}`);
+
+  return value;
+}
@@ -0,0 +1,196 @@
+/**
+ * glab-setup-git-identity - git credential helper protocol
+ *
+ * git runs a credential helper with an action (get, store or erase) and
+ * writes `key=value` lines to its standard input:
+ *
+ *   protocol=https
+ *   host=gitlab.company.com
+ *
+ * For get, the helper answers with the same format, adding `username` and
+ * `password`, or answers nothing to let git ask the next helper.
+ *
+ * The token is looked up when git asks, the way glab does: from the
+ * environment, glab's config.yml, or the system keyring for `--use-keyring`
+ * logins. Nothing is cached, so a new login or a moved glab binary takes
+ * effect at once.
+ */
+
+import { createDefaultLogger } from './logger.js';
+import { runCommand } from './executor.js';
+import {
+  getConfigToken,
+  glabTokenVariables,
+  readGlabConfig,
+} from './glab-config.js';
+
+/**
+ * Actions of the git credential protocol
+ */
+export const gitCredentialActions = ['get', 'store', 'erase'];
+
+/**
+ * Parse a credential description as git writes it
+ * @param {string} text - `key=value` lines, ending with an empty line or EOF
+ * @returns {Object} Fields (e.g., {protocol: 'https', host: 'gitlab.com'})
+ */
+export function parseGitCredential(text) {
+  const fields = {};
+  for (const line of String(text).split(/\r?\n/)) {
+    if (line === '') {
+      break;
+    }
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      fields[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Format a credential description for git
+ * @param {Object} fields - Fields; empty values are left out
+ * @returns {string} `key=value` lines
+ */
+export function formatGitCredential(fields) {
+  return Object.entries(fields)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ''
+    )
+    .map(([key, value]) => `${key}=${value}\n`)
+    .join('');
+}
+
+/**
+ * Read glab's token for a host from the system keyring
+ *
+ * glab stores keyring tokens under the service `glab:<host>`. macOS
+ * (`security`) and Linux (`secret-tool`) are supported.
+ *
+ * @param {string} hostname - GitLab hostname
+ * @param {Function} executor - Command executor (see executor.js)
+ * @returns {Promise<string|null>} Token, or null if there is none or no keyring tool
+ */
+async function readKeyringToken(hostname, executor) {
+  const service = `glab:${hostname}`;
+  const lookups = {
+    darwin: ['security', ['find-generic-password', '-s', service, '-w']],
+    linux: ['secret-tool', ['lookup', 'service', service]],
+  };
+  const lookup = lookups[process.platform];
+  if (!lookup) {
+    return null;
+  }
+
+  const result = await runCommand(lookup[0], lookup[1], { executor }).catch(
+    () => null
+  );
+  return result?.code === 0 ? result.stdout.trim() || null : null;
+}
+
+/**
+ * Find the glab config entry of a host
+ * @param {Object} hosts - `hosts` mapping of glab's config
+ * @param {string} host - Host as git gives it, possibly with a port
+ * @returns {Object|null} Entry, matching with the port first
+ */
+function findHostEntry(hosts, host) {
+  const entry = hosts[host] ?? hosts[host.replace(/:\d+$/, '')];
+  return entry && typeof entry === 'object' ? entry : null;
+}
+
+/**
+ * Get the token glab would use for a host
+ *
+ * A token from the environment (GITLAB_TOKEN, GITLAB_ACCESS_TOKEN or
+ * OAUTH_TOKEN) wins, as in glab, but only for the hosts glab knows or
+ * GITLAB_HOST (default: gitlab.com), so it is not sent to other servers.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname, possibly with a port
+ * @param {Function} options.executor - Command executor for the keyring lookup (see executor.js)
+ * @returns {Promise<{token: string, username: string, source: 'env'|'config'|'keyring'}|null>} Token and the user to send it as, or null
+ */
+export async function getGitLabToken(options = {}) {
+  const { hostname, executor } = options;
+
+  const config = await readGlabConfig();
+  const hosts =
+    config.hosts && typeof config.hosts === 'object' ? config.hosts : {};
+  const entry = findHostEntry(hosts, hostname);
+  // GitLab ignores the username of token logins; glab sends oauth2
+  const username = entry?.user || 'oauth2';
+
+  const variable = glabTokenVariables.find((name) => process.env[name]);
+  const defaultHost = process.env.GITLAB_HOST || 'gitlab.com';
+  if (variable && (entry || hostname === defaultHost)) {
+    return { token: process.env[variable], username, source: 'env' };
+  }
+
+  // An empty `token:` line means no login, not a token
+  const configToken = getConfigToken(entry);
+  if (configToken) {
+    return { token: configToken, username, source: 'config' };
+  }
+  if (entry?.user) {
+    const token = await readKeyringToken(hostname, executor);
+    if (token) {
+      return { token, username, source: 'keyring' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Answer a git credential helper request
+ *
+ * `get` answers with the host's glab token, or with nothing for hosts without
+ * one and for protocols other than https and http. `store` and `erase` are
+ * accepted and ignored: the token belongs to glab, and a rejected token is
+ * fixed with `glab auth login`, not by forgetting it.
+ *
+ * @param {string} action - One of gitCredentialActions
+ * @param {string} input - Credential description from git
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger; keep it off stdout, which git reads
+ * @returns {Promise<string>} Text to write to stdout ('' for no answer)
+ * @throws {Error} If the action is not supported
+ */
+export async function runGitCredential(action, input, options = {}) {
+  const { executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  if (!gitCredentialActions.includes(action)) {
+    throw new Error(
+      `Invalid git credential action: ${action}. Expected one of: ${gitCredentialActions.join(', ')}`
+    );
+  }
+
+  const request = parseGitCredential(input);
+  if (action !== 'get') {
+    log.debug(`Ignoring git credential ${action} for ${request.host}`);
+    return '';
+  }
+  if (!['https', 'http'].includes(request.protocol) || !request.host) {
+    log.debug(`No credentials for ${request.protocol}://${request.host}`);
+    return '';
+  }
+
+  const found = await getGitLabToken({ hostname: request.host, executor });
+  if (!found) {
+    log.debug(`No glab token for ${request.host}`);
+    return '';
+  }
+
+  log.debug(`Using the ${found.source} token for ${request.host}`);
+  return formatGitCredential({
+    protocol: request.protocol,
+    host: request.host,
+    username: found.username,
+    password: found.token,
+  });
+}
@@ -0,0 +1,345 @@
+/**
+ * glab-setup-git-identity - GitLab API access through glab or fetch
+ *
+ * Requests go through `glab api` by default, which uses the credentials glab
+ * stored at login. Without glab (or when asked to), the REST API is called
+ * directly with fetch and a token.
+ */
+
+import { URL } from 'node:url';
+import { withApiCache } from './api-cache.js';
+import {
+  GitLabApiError,
+  MalformedResponseError,
+  NotAuthenticatedError,
+} from './errors.js';
+import { getExecutor, runCommand } from './executor.js';
+
+/**
+ * Supported GitLab API clients
+ *
+ * - auto: glab when it is installed, otherwise fetch when a token is available
+ * - glab: `glab api`
+ * - fetch: the REST API with a token, without glab
+ */
+export const gitLabApiClients = ['auto', 'glab', 'fetch'];
+
+/**
+ * Whether glab is on the PATH, checked once per process and executor
+ */
+const glabInstalled = new WeakMap();
+
+/**
+ * Check whether glab is on the PATH
+ * @param {Function} executor - Command executor (default: the current one)
+ * @returns {Promise<boolean>} True if glab is installed
+ */
+function isGlabInstalled(executor = getExecutor()) {
+  if (!glabInstalled.has(executor)) {
+    const command = process.platform === 'win32' ? 'where' : 'which';
+    glabInstalled.set(
+      executor,
+      runCommand(command, ['glab'], { executor })
+        .then((result) => result.code === 0 && Boolean(result.stdout.trim()))
+        .catch(() => false)
+    );
+  }
+  return glabInstalled.get(executor);
+}
+
+/**
+ * Get the token for the fetch client
+ *
+ * @param {Object} api - API options
+ * @param {string} api.token - GitLab access token
+ * @returns {string|undefined} The token, or GITLAB_TOKEN / GITLAB_ACCESS_TOKEN from the environment
+ */
+export function getGitLabApiToken(api = {}) {
+  return (
+    api.token ||
+    process.env.GITLAB_TOKEN ||
+    process.env.GITLAB_ACCESS_TOKEN ||
+    undefined
+  );
+}
+
+/**
+ * Decide which client serves the API requests
+ *
+ * @param {Object} api - API options
+ * @param {string} api.client - One of gitLabApiClients (default: 'auto')
+ * @param {string} api.token - GitLab access token
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor used to look for glab (see executor.js)
+ * @returns {Promise<'glab'|'fetch'>} Client to use
+ * @throws {Error} If the client is not supported
+ */
+export async function resolveGitLabApiClient(api = {}, options = {}) {
+  const { client = 'auto' } = api;
+
+  if (!gitLabApiClients.includes(client)) {
+    throw new Error(
+      `Invalid GitLab API client: ${client}. Expected one of: ${gitLabApiClients.join(', ')}`
+    );
+  }
+  if (client !== 'auto') {
+    return client;
+  }
+  if (await isGlabInstalled(options.executor)) {
+    return 'glab';
+  }
+  return getGitLabApiToken(api) ? 'fetch' : 'glab';
+}
+
+/**
+ * Get the REST API base URL of a GitLab instance
+ *
+ * `apiHost` replaces the hostname and may carry its own scheme and port
+ * (e.g., 'api.gitlab.company.com' or 'http://localhost:8080').
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (default: 'gitlab.com')
+ * @param {string} options.apiProtocol - 'https' or 'http' (default: 'https')
+ * @param {string} options.apiHost - API host, when it differs from the hostname
+ * @returns {string} Base URL ending in /api/v4
+ */
+export function getGitLabApiBase(options = {}) {
+  const { hostname = 'gitlab.com', apiProtocol = 'https', apiHost } = options;
+
+  const host = apiHost || hostname;
+  const base = (
+    /^[a-z][a-z0-9+.-]*:\/\//i.test(host) ? host : `${apiProtocol}://${host}`
+  ).replace(/\/+$/, '');
+
+  return base.endsWith('/api/v4') ? base : `${base}/api/v4`;
+}
+
+/**
+ * Get the message of a GitLab error response
+ *
+ * GitLab answers with `{"message": "401 Unauthorized"}`, with validation
+ * errors as `{"message": {"key": ["has already been taken"]}}`, or with
+ * OAuth-style `{"error": ..., "error_description": ...}`.
+ *
+ * @param {*} body - Parsed response body
+ * @returns {string} Message ('' if there is none)
+ */
+export function formatGitLabError(body) {
+  const message = body?.message ?? body?.error_description ?? body?.error;
+
+  if (message && typeof message === 'object' && !Array.isArray(message)) {
+    return Object.entries(message)
+      .map(([key, value]) => `${key} ${[value].flat().join(', ')}`)
+      .join('; ');
+  }
+  return message ? [message].flat().join(', ') : '';
+}
+
+/**
+ * Describe a failed request for error messages
+ * @param {string} method - HTTP method
+ * @param {string} purpose - What the data is needed for
+ * @returns {string} E.g., 'Failed to get GitLab user info'
+ */
+function describeFailure(method, purpose) {
+  return `Failed to ${method && method !== 'GET' ? 'update' : 'get'} GitLab ${purpose}`;
+}
+
+/**
+ * Create the error of a failed request
+ *
+ * HTTP 401 means GitLab did not accept the credentials.
+ *
+ * @param {string} message - Error message
+ * @param {Object} options - GitLabApiError options (status, gitlabMessage)
+ * @returns {GitLabApiError} NotAuthenticatedError for HTTP 401, GitLabApiError otherwise
+ */
+function createApiError(message, options = {}) {
+  return options.status === 401
+    ? new NotAuthenticatedError(message, options)
+    : new GitLabApiError(message, options);
+}
+
+/**
+ * Call a GitLab API endpoint through glab (`glab api <endpoint>`)
+ *
+ * Note: This function parses the JSON response in JavaScript rather than using
+ * glab's --jq flag, as the --jq flag is not available in all glab versions.
+ *
+ * @param {string} endpoint - API endpoint relative to /api/v4
+ * @param {Object} options - Options (see fetchGitLabApi)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function requestWithGlab(endpoint, options) {
+  const {
+    hostname,
+    executor,
+    purpose = 'user info',
+    method,
+    fields = {},
+  } = options;
+
+  const args = ['api', endpoint];
+  if (hostname) {
+    args.push('--hostname', hostname);
+  }
+  if (method) {
+    args.push('--method', method);
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    args.push('--raw-field', `${key}=${value}`);
+  }
+
+  const result = await runCommand('glab', args, { executor });
+
+  if (result.code !== 0) {
+    // glab reports API errors as "... (HTTP 401)"
+    const status = result.stderr.match(/\bHTTP (\d{3})\b/);
+    throw createApiError(
+      `${describeFailure(method, purpose)}: ${result.stderr}`,
+      { status: status ? Number(status[1]) : undefined }
+    );
+  }
+
+  // Parse JSON response in JavaScript (glab's --jq flag is not available in all versions)
+  try {
+    return JSON.parse(result.stdout.trim());
+  } catch (parseError) {
+    throw new MalformedResponseError(
+      `Failed to parse GitLab ${endpoint} data: ${parseError.message}. Raw output: ${result.stdout}`,
+      { cause: parseError }
+    );
+  }
+}
+
+/**
+ * Parse a GitLab API response, turning error responses into errors
+ *
+ * @param {Response} response - fetch response
+ * @param {Object} request - The request
+ * @param {string} request.endpoint - API endpoint
+ * @param {string} request.purpose - What the data is needed for
+ * @param {string} request.method - HTTP method
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function readGitLabResponse(response, request) {
+  const { endpoint, purpose, method } = request;
+
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (parseError) {
+    if (response.ok) {
+      throw new MalformedResponseError(
+        `Failed to parse GitLab ${endpoint} data: ${parseError.message}. Raw output: ${text}`,
+        { cause: parseError }
+      );
+    }
+  }
+
+  if (!response.ok) {
+    const message = formatGitLabError(body) || response.statusText;
+    // GitLab messages often repeat the status ("401 Unauthorized")
+    const detail = message.replace(new RegExp(`^${response.status}\\s*`), '');
+    throw createApiError(
+      `${describeFailure(method, purpose)}: ${detail || 'request failed'} (HTTP ${response.status})`,
+      { status: response.status, gitlabMessage: message }
+    );
+  }
+
+  return body;
+}
+
+/**
+ * Call a GitLab API endpoint over HTTP with fetch
+ *
+ * @param {string} endpoint - API endpoint relative to /api/v4
+ * @param {Object} options - Options (see fetchGitLabApi)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function requestWithFetch(endpoint, options) {
+  const {
+    hostname,
+    api = {},
+    purpose = 'user info',
+    method = 'GET',
+    fields = {},
+  } = options;
+
+  const token = getGitLabApiToken(api);
+  if (!token) {
+    throw new NotAuthenticatedError(
+      `${describeFailure(method, purpose)}: a token is required without glab (pass a token or set GITLAB_TOKEN)`
+    );
+  }
+
+  const url = new URL(`${getGitLabApiBase({ ...api, hostname })}/${endpoint}`);
+  const init = {
+    method,
+    headers: { Accept: 'application/json', Authorization: `Bearer ${token}` },
+  };
+  if (method === 'GET') {
+    for (const [key, value] of Object.entries(fields)) {
+      url.searchParams.set(key, value);
+    }
+  } else {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(fields);
+  }
+
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw new GitLabApiError(
+      `${describeFailure(method, purpose)}: cannot reach ${url.origin} (${error.cause?.message || error.message})`,
+      { cause: error }
+    );
+  }
+
+  return readGitLabResponse(response, { endpoint, purpose, method });
+}
+
+/**
+ * Call a GitLab API endpoint
+ *
+ * Goes through glab or fetch, as selected by `api.client`. Failed requests
+ * throw a GitLabApiError (NotAuthenticatedError for HTTP 401) with the HTTP
+ * status as `error.status` when it is known, and with fetch GitLab's message
+ * as `error.gitlabMessage`; unparsable responses throw a
+ * MalformedResponseError. With `api.cache`, user lookups are answered from
+ * the on-disk cache while fresh (see api-cache.js).
+ *
+ * @param {string} endpoint - API endpoint relative to /api/v4 (e.g., 'user')
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - API client options: client, token, apiProtocol, apiHost, cache, cacheTtl (default: glab when installed, no cache)
+ * @param {Function} options.executor - Command executor for glab (see executor.js)
+ * @param {string} options.purpose - What the data is needed for, used in error messages
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.fields - Request parameters (`--raw-field key=value` with glab)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function fetchGitLabApi(endpoint, options = {}) {
+  const { api = {}, executor } = options;
+  const client = await resolveGitLabApiClient(api, { executor });
+  const request = () =>
+    client === 'fetch'
+      ? requestWithFetch(endpoint, options)
+      : requestWithGlab(endpoint, options);
+
+  if (!api.cache) {
+    return request();
+  }
+  return withApiCache(
+    endpoint,
+    {
+      ...options,
+      client,
+      token: getGitLabApiToken(api),
+      ttl: api.cacheTtl,
+    },
+    request
+  );
+}
@@ -0,0 +1,203 @@
+/**
+ * glab-setup-git-identity - Reading glab's own config file
+ *
+ * glab keeps its settings and per-host credentials in `config.yml`:
+ *
+ *   host: gitlab.com
+ *   hosts:
+ *     gitlab.company.com:
+ *       token: glpat-...
+ *       api_protocol: https
+ *       git_protocol: ssh
+ *       user: jdoe
+ *
+ * Reading it tells which hosts glab is logged in to without running glab or
+ * parsing the text of `glab auth status`.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Environment variables glab takes a token from, in its order of precedence
+ */
+export const glabTokenVariables = [
+  'GITLAB_TOKEN',
+  'GITLAB_ACCESS_TOKEN',
+  'OAUTH_TOKEN',
+];
+
+/**
+ * Get glab's config directory
+ *
+ * @returns {string} GLAB_CONFIG_DIR, or glab-cli under XDG_CONFIG_HOME (default: ~/.config/glab-cli)
+ */
+export function getGlabConfigDir() {
+  if (process.env.GLAB_CONFIG_DIR) {
+    return process.env.GLAB_CONFIG_DIR;
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'glab-cli');
+}
+
+/**
+ * Get the path of glab's config file
+ * @returns {string} Path to config.yml in the glab config directory
+ */
+export function getGlabConfigFile() {
+  return join(getGlabConfigDir(), 'config.yml');
+}
+
+/**
+ * Parse a YAML scalar as glab writes it
+ *
+ * glab tags some values, e.g. `token: !!null glpat-...`; the tag is dropped.
+ *
+ * @param {string} raw - Text after the colon
+ * @returns {string} Value without tag, quotes and trailing comment
+ */
+function parseScalar(raw) {
+  const value = raw.trim().replace(/^!!?\S*(?:\s+|$)/, '');
+  const quoted = value.match(/^(["'])(.*)\1(\s+#.*)?$/);
+  if (quoted) {
+    return quoted[1] === '"'
+      ? quoted[2].replace(/\\(["\\])/g, '$1')
+      : quoted[2].replace(/''/g, "'");
+  }
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Get the indentation of a line
+ * @param {string} line - Line of the file
+ * @returns {number} Number of leading whitespace characters
+ */
+function getIndent(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Parse the subset of YAML used by glab's config file
+ *
+ * Handles nested mappings with scalar values, comments and quoted keys and
+ * values. A key without a value opens a mapping only when the next line is
+ * indented deeper; otherwise, like glab's stock `token:` line, it is empty.
+ * Sequences and multi-line values, which glab does not write for the
+ * settings read here, are skipped.
+ *
+ * @param {string} content - File contents
+ * @returns {Object} Nested object of string values
+ */
+export function parseGlabConfig(content) {
+  const root = {};
+  const stack = [{ indent: -1, node: root }];
+  const lines = String(content)
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '' && !line.trim().startsWith('#'));
+
+  for (const [index, line] of lines.entries()) {
+    const match = line.match(
+      /^(\s*)("[^"]*"|'[^']*'|[^\s#"'-][^:]*?):(?:\s+(.*?))?\s*$/
+    );
+    if (!match) {
+      continue;
+    }
+
+    const [, spaces, rawKey, rawValue = ''] = match;
+    const indent = spaces.length;
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    const key = parseScalar(rawKey);
+    const parent = stack[stack.length - 1].node;
+    if (rawValue !== '' && !rawValue.startsWith('#')) {
+      parent[key] = parseScalar(rawValue);
+    } else if (
+      index + 1 < lines.length &&
+      getIndent(lines[index + 1]) > indent
+    ) {
+      parent[key] = {};
+      stack.push({ indent, node: parent[key] });
+    } else {
+      parent[key] = '';
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Read and parse glab's config file
+ *
+ * @param {Object} options - Options
+ * @param {string} options.file - Config file (default: getGlabConfigFile())
+ * @returns {Promise<Object>} Parsed config ({} if the file does not exist)
+ */
+export async function readGlabConfig(options = {}) {
+  const { file = getGlabConfigFile() } = options;
+
+  const content = await readFile(file, 'utf8').catch((error) => {
+    if (error.code === 'ENOENT') {
+      return '';
+    }
+    throw error;
+  });
+
+  return parseGlabConfig(content);
+}
+
+/**
+ * Get the token stored for a host in glab's config file
+ * @param {Object} entry - Host entry of the config file
+ * @returns {string|null} Token, or null if the entry has none (e.g., an empty `token:` line)
+ */
+export function getConfigToken(entry) {
+  const token = entry?.token;
+  return typeof token === 'string' && token !== '' ? token : null;
+}
+
+/**
+ * Tell where glab gets the token of a host from
+ * @param {Object} entry - Host entry of the config file
+ * @returns {'env'|'config'|'keyring'|null} Token source, or null if glab has none
+ */
+function getTokenSource(entry) {
+  if (glabTokenVariables.some((name) => process.env[name])) {
+    return 'env';
+  }
+  if (getConfigToken(entry)) {
+    return 'config';
+  }
+  // With --use-keyring glab keeps the user in the file and the token elsewhere
+  return entry.user ? 'keyring' : null;
+}
+
+/**
+ * List the hosts in glab's config file
+ *
+ * Hosts with a token source are the ones glab is logged in to. The token
+ * itself is not returned.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.file - Config file (default: getGlabConfigFile())
+ * @returns {Promise<Array<{hostname: string, apiHost: string, apiProtocol: string, gitProtocol: string, user: string|null, tokenSource: string|null, default: boolean}>>} Hosts in file order
+ */
+export async function listGlabHosts(options = {}) {
+  const config = await readGlabConfig(options);
+  const hosts =
+    config.hosts && typeof config.hosts === 'object' ? config.hosts : {};
+
+  return Object.entries(hosts)
+    .filter(([, entry]) => entry && typeof entry === 'object')
+    .map(([hostname, entry]) => ({
+      hostname,
+      apiHost: entry.api_host || hostname,
+      apiProtocol: entry.api_protocol || config.api_protocol || 'https',
+      gitProtocol: entry.git_protocol || config.git_protocol || 'ssh',
+      user: entry.user || null,
+      tokenSource: getTokenSource(entry),
+      default: hostname === config.host,
+    }));
+}
@@ -2,10 +2,45 @@
  * glab-setup-git-identity - Type definitions for setting up git identity using GitLab CLI
  */
 
+/**
+ * Result of running a command
+ */
+export interface ExecutorResult {
+  /** Exit code */
+  code: number;
+  /** Captured standard output ('' when mirrored) */
+  stdout: string;
+  /** Captured standard error ('' when mirrored) */
+  stderr: string;
+}
+
+/**
+ * How a command is run
+ */
+export interface ExecutorRunOptions {
+  /** Environment variables added to the current ones */
+  env?: Record<string, string>;
+  /** Input text, or 'inherit' to read from the terminal */
+  stdin?: string;
+  /** Show the output as it comes instead of capturing it */
+  mirror?: boolean;
+}
+
+/**
+ * Runs git, glab, gpg and ssh-keygen for the library
+ */
+export type Executor = (
+  command: string,
+  args: string[],
+  options: ExecutorRunOptions
+) => Promise<Pick<ExecutorResult, 'code'> & Partial<ExecutorResult>>;
+
 /**
  * Logger options for customizing output
  */
 export interface LoggerOptions {
+  /** Command executor for this call (default: the one set with setExecutor) */
+  executor?: Executor;
   /** Enable verbose/debug logging */
   verbose?: boolean;
   /** Custom logger instance (defaults to console) */
@@ -17,6 +52,29 @@ export interface LoggerOptions {
   };
 }
 
+/**
+ * How the GitLab API is called
+ */
+export interface GitLabApiOptions {
+  /** 'glab', 'fetch', or 'auto' for glab when installed and fetch otherwise (default: 'auto') */
+  client?: GitLabApiClient;
+  /** Token for the fetch client (default: GITLAB_TOKEN or GITLAB_ACCESS_TOKEN) */
+  token?: string;
+  /** API protocol for the fetch client: 'https' or 'http' (default: 'https') */
+  apiProtocol?: 'https' | 'http';
+  /** API host for the fetch client, when it differs from the hostname */
+  apiHost?: string;
+  /** Answer user lookups for a hostname from the on-disk cache (default: false) */
+  cache?: boolean;
+  /** Seconds a cached lookup stays valid (default: defaultApiCacheTtl) */
+  cacheTtl?: number;
+}
+
+/**
+ * GitLab API client
+ */
+export type GitLabApiClient = 'auto' | 'glab' | 'fetch';
+
 /**
  * Options for GitLab authentication
  */
@@ -37,6 +95,8 @@ export interface AuthOptions extends LoggerOptions {
   jobToken?: string;
   /** Read token from stdin */
   stdin?: boolean;
+  /** Capture glab output instead of showing it */
+  quiet?: boolean;
 }
 
 /**
@@ -45,6 +105,8 @@ export interface AuthOptions extends LoggerOptions {
 export interface AuthStatusOptions extends LoggerOptions {
   /** GitLab instance hostname to check */
   hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
 }
 
 /**
@@ -53,46 +115,540 @@ export interface AuthStatusOptions extends LoggerOptions {
 export interface SetupGitOptions extends LoggerOptions {
   /** GitLab instance hostname (default: 'gitlab.com') */
   hostname?: string;
+  /** Helper to register: glab by its absolute path, or this tool by name (default: 'glab') */
+  helper?: CredentialHelper;
   /** Force setup by overwriting existing credential helper config (default: false) */
   force?: boolean;
+  /** Rewrite stale helper entries, keeping the other helpers (default: false) */
+  repair?: boolean;
+}
+
+/**
+ * Credential helper registered by runGlabAuthSetupGit
+ */
+export type CredentialHelper = 'glab' | 'self';
+
+/**
+ * Options for removing the glab credential helper
+ */
+export interface RemoveCredentialHelperOptions extends LoggerOptions {
+  /** GitLab instance hostname (default: 'gitlab.com') */
+  hostname?: string;
+  /** Only report whether a helper would be removed (default: false) */
+  dryRun?: boolean;
+}
+
+/**
+ * Source for the git user.email value
+ *
+ * - 'primary': the account's primary email
+ * - 'commit_email': the email GitLab uses for web-based commits
+ * - 'public_email': the email shown on the public profile
+ * - 'noreply': the private `<id>-<username>@users.noreply.<host>` address
+ * - 'verified': an address picked from the account's confirmed emails
+ */
+export type EmailSource =
+  'primary' | 'commit_email' | 'public_email' | 'noreply' | 'verified';
+
+/**
+ * Options for picking one of the verified emails
+ */
+export interface EmailSelectionOptions {
+  /** Glob pattern such as '*@company.com' */
+  emailMatch?: string;
+  /** Callback choosing one of several addresses, e.g. an interactive prompt */
+  selectEmail?: (emails: string[]) => Promise<string>;
 }
 
+/**
+ * Source for the git user.name value
+ *
+ * - 'username': the GitLab username
+ * - 'name': the full profile name
+ * - any other string is a template with `{name}`, `{username}` and `{id}`
+ *   placeholders, e.g. '{name} ({username})'
+ */
+export type NameSource = 'username' | 'name' | (string & {});
+
 /**
  * Options for getting user information
  */
-export interface UserInfoOptions extends LoggerOptions {
+export interface UserInfoOptions extends LoggerOptions, EmailSelectionOptions {
   /** GitLab instance hostname */
   hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Value for user.name (default: 'username') */
+  nameSource?: NameSource;
+  /** Which GitLab email to use (default: 'primary') */
+  emailSource?: EmailSource;
 }
 
+/**
+ * Git config scope: the matching `git config` flag, or `--file <configFile>`
+ */
+export type GitConfigScope =
+  'global' | 'local' | 'system' | 'worktree' | 'file';
+
 /**
  * Options for git config operations
  */
 export interface GitConfigOptions extends LoggerOptions {
-  /** Config scope: 'global' or 'local' (default: 'global') */
-  scope?: 'global' | 'local';
+  /** Config scope (default: 'global') */
+  scope?: GitConfigScope;
+  /** Config file for the 'file' scope */
+  configFile?: string;
 }
 
 /**
  * Options for setting up git identity
  */
-export interface SetupOptions extends LoggerOptions {
+export interface SetupOptions extends LoggerOptions, EmailSelectionOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Config scope (default: 'global') */
+  scope?: GitConfigScope;
+  /** Config file for the 'file' scope */
+  configFile?: string;
+  /** Value for user.name (default: 'username') */
+  nameSource?: NameSource;
+  /** Which GitLab email to use (default: 'primary') */
+  emailSource?: EmailSource;
+  /** Dry run mode - don't actually configure git */
+  dryRun?: boolean;
+}
+
+/**
+ * Options for setting up a per-directory identity profile
+ */
+export interface ProfileSetupOptions
+  extends LoggerOptions, EmailSelectionOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Directory prefix the profile applies to (e.g., '~/work') */
+  directory: string;
+  /** Profile name (default: directory name) */
+  profile?: string;
+  /** Directory holding profile files (default: ~/.gitconfig.d) */
+  profileDir?: string;
+  /** Value for user.name (default: 'username') */
+  nameSource?: NameSource;
+  /** Which GitLab email to use (default: 'primary') */
+  emailSource?: EmailSource;
+  /** Dry run mode - don't actually configure git */
+  dryRun?: boolean;
+}
+
+/**
+ * Options for setting the identity in every repository under a directory
+ */
+export interface RecursiveSetupOptions
+  extends LoggerOptions, EmailSelectionOptions {
+  /** Directory to search for repositories */
+  directory: string;
+  /** GitLab hostname(s) whose repositories are updated (default: 'gitlab.com') */
+  hostname?: string | string[];
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Include submodules (default: false) */
+  submodules?: boolean;
+  /** Value for user.name (default: 'username') */
+  nameSource?: NameSource;
+  /** Which GitLab email to use (default: 'primary') */
+  emailSource?: EmailSource;
+  /** Dry run mode - don't actually configure git */
+  dryRun?: boolean;
+}
+
+/**
+ * Per-repository result of a recursive setup
+ */
+export interface RepositoryReport {
+  /** Repository working tree */
+  path: string;
+  /** Host of the repository remotes, or null */
+  host: string | null;
+  /** Whether the repository is a submodule */
+  submodule: boolean;
+  status: 'changed' | 'unchanged' | 'skipped' | 'failed';
+  /** Why the repository was skipped or failed */
+  reason?: string;
+}
+
+/**
+ * Git repository found under a directory
+ */
+export interface GitRepository {
+  path: string;
+  submodule: boolean;
+}
+
+/**
+ * Options for removing a per-directory identity profile
+ */
+export interface ProfileRemoveOptions extends LoggerOptions {
+  /** Profile name (optional if directory is given) */
+  profile?: string;
+  /** Directory prefix used to derive the profile name */
+  directory?: string;
+  /** Directory holding profile files (default: ~/.gitconfig.d) */
+  profileDir?: string;
+  /** Dry run mode - don't actually change anything */
+  dryRun?: boolean;
+}
+
+/**
+ * Options for finding the local SSH public key
+ */
+export interface SshKeyOptions {
+  /** Path to the key to use; a private key path is mapped to its `.pub` file */
+  keyFile?: string;
+  /** Directory searched for keys (default: ~/.ssh) */
+  sshDir?: string;
+}
+
+/**
+ * Options for setting up SSH commit signing
+ */
+export interface SshSigningOptions extends LoggerOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** SSH key to sign with (default: first of id_ed25519, id_ecdsa, id_rsa in ~/.ssh) */
+  keyFile?: string;
+  /** Upload the key as a signing key if it is not registered (default: false) */
+  upload?: boolean;
+  /** Title for the uploaded key (default: '<machine hostname> signing key') */
+  title?: string;
+  /** Config scope (default: 'global') */
+  scope?: GitConfigScope;
+  /** Config file for the 'file' scope */
+  configFile?: string;
+  /** Dry run mode - don't actually configure git or upload the key */
+  dryRun?: boolean;
+}
+
+/**
+ * SSH key registered on the GitLab account (`/user/keys`)
+ */
+export interface GitLabSshKey {
+  id: number;
+  title: string;
+  key: string;
+  /** 'auth', 'signing' or 'auth_and_signing' (missing on older GitLab versions) */
+  usage_type?: 'auth' | 'signing' | 'auth_and_signing';
+  created_at?: string;
+  expires_at?: string | null;
+}
+
+/**
+ * Result of setting up SSH commit signing
+ */
+export interface SshSigningResult {
+  /** Public key file used as user.signingkey */
+  keyFile: string;
+  /** True if the key is registered on GitLab as a signing key */
+  registered: boolean;
+  /** True if the key was uploaded during this run */
+  uploaded: boolean;
+}
+
+/**
+ * Options for setting up GPG commit signing
+ */
+export interface GpgSigningOptions extends LoggerOptions {
   /** GitLab instance hostname */
   hostname?: string;
-  /** Config scope: 'global' or 'local' (default: 'global') */
-  scope?: 'global' | 'local';
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Committer email checked against the key's UIDs (default: user.email from the scope) */
+  email?: string;
+  /** Key ID or fingerprint to use (default: the local key registered on GitLab) */
+  keyId?: string;
+  /** Config scope (default: 'global') */
+  scope?: GitConfigScope;
+  /** Config file for the 'file' scope */
+  configFile?: string;
   /** Dry run mode - don't actually configure git */
   dryRun?: boolean;
 }
 
+/**
+ * GPG key from the local keyring
+ */
+export interface GpgKey {
+  /** Primary key fingerprint */
+  fingerprint: string;
+  /** Long key ID */
+  keyId: string;
+  /** True if the key has signing capability */
+  canSign: boolean;
+  /** False if the key is expired or revoked */
+  usable: boolean;
+  /** Lowercased emails from the key's UIDs */
+  emails: string[];
+  /** Full UID strings */
+  uids: string[];
+  /** Subkey fingerprints */
+  subkeyFingerprints: string[];
+}
+
+/**
+ * GPG key registered on the GitLab account (`/user/gpg_keys`)
+ */
+export interface GitLabGpgKey {
+  id: number;
+  /** ASCII-armored public key */
+  key: string;
+  created_at?: string;
+  /** Primary key fingerprint read from the armored key */
+  fingerprint: string;
+  /** Lowercased emails from the key's UIDs */
+  emails: string[];
+  /** Subkey fingerprints */
+  subkeyFingerprints: string[];
+}
+
+/**
+ * Result of setting up GPG commit signing
+ */
+export interface GpgSigningResult {
+  /** Fingerprint written to user.signingkey */
+  keyId: string;
+  /** True if the key is registered on GitLab */
+  registered: boolean;
+  /** True if the committer email is one of the key's UIDs */
+  emailMatches: boolean;
+}
+
+/**
+ * Options for writing an allowed_signers file
+ */
+export interface AllowedSignersOptions extends LoggerOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Principal for the user's own keys (default: user.email from the scope) */
+  email?: string;
+  /** Projects whose members' signing keys are added under their public emails */
+  projects?: string[];
+  /** allowed_signers file (default: ~/.config/git/allowed_signers) */
+  file?: string;
+  /** Config scope for gpg.ssh.allowedSignersFile (default: 'global') */
+  scope?: GitConfigScope;
+  /** Config file for the 'file' scope */
+  configFile?: string;
+  /** Dry run mode - don't actually write the file or configure git */
+  dryRun?: boolean;
+}
+
+/**
+ * Result of writing an allowed_signers file
+ */
+export interface AllowedSignersResult {
+  /** File written */
+  file: string;
+  /** Number of signer entries from GitLab */
+  signers: number;
+}
+
+/**
+ * Options for registering an SSH key for git over SSH
+ */
+export interface SshKeySetupOptions extends LoggerOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Private key path (default: first key in ~/.ssh, or ~/.ssh/id_ed25519 for a new key) */
+  keyFile?: string;
+  /** Title for the uploaded key (default: '<machine hostname> <date>') */
+  title?: string;
+  /** Dry run mode - don't actually generate or upload a key */
+  dryRun?: boolean;
+}
+
+/**
+ * Result of registering an SSH key
+ */
+export interface SshKeySetupResult {
+  /** Public key file, or null in dry run mode when no key exists yet */
+  keyFile: string | null;
+  /** Key fingerprint (e.g., 'SHA256:...'), or null in dry run mode */
+  fingerprint: string | null;
+  /** True if a new key was generated */
+  created: boolean;
+  /** True if the key was uploaded to GitLab */
+  uploaded: boolean;
+}
+
+/**
+ * Options for writing the ssh config entry of a GitLab host
+ */
+export interface SshConfigOptions extends LoggerOptions {
+  /** GitLab hostname used in git remotes (the Host alias) */
+  hostname: string;
+  /** Real SSH hostname (default: hostname) */
+  sshHostname?: string;
+  /** SSH port (default: 22) */
+  port?: number | string;
+  /** Private key to use (optional) */
+  identityFile?: string;
+  /** ssh config file (default: ~/.ssh/config) */
+  configFile?: string;
+  /** Dry run mode - don't actually write the file */
+  dryRun?: boolean;
+}
+
+/**
+ * Result of writing the ssh config entry
+ */
+export interface SshConfigResult {
+  /** ssh config file */
+  configFile: string;
+  /** Managed block for the host */
+  block: string;
+  /** True if the file contents changed (or would change in dry run mode) */
+  changed: boolean;
+}
+
+/**
+ * Backup journal entry (one line of the journal file)
+ */
+export interface JournalEntry {
+  runId: string;
+  /** ISO timestamp of the change */
+  time: string;
+  /** User who ran the tool */
+  user: string;
+  /** Machine hostname */
+  machine: string;
+  /** 'git-config', 'file', or 'restore' for the marker of a restore run */
+  type: 'git-config' | 'file' | 'restore';
+  /** Short description of the change (e.g., 'set', 'credential helper') */
+  action?: string;
+  /** git config location arguments (git-config entries) */
+  target?: string[];
+  /** Config key (git-config entries) */
+  key?: string;
+  /** File path (file entries) */
+  path?: string;
+  /** Previous values (git-config) or contents, null if the file did not exist (file) */
+  previous?: string[] | string | null;
+  /** Run restored by this run (restore entries) */
+  restores?: string;
+}
+
+/**
+ * Journal entries of one run
+ */
+export interface JournalRun {
+  runId: string;
+  time: string;
+  user: string;
+  machine: string;
+  /** Run this run restored, if it is a restore */
+  restores: string | null;
+  /** Run that restored this run, if any */
+  restoredBy: string | null;
+  entries: JournalEntry[];
+}
+
+/**
+ * Options for restoring a run
+ */
+export interface RestoreOptions extends LoggerOptions {
+  /** Run to restore (default: the last run not yet restored) */
+  runId?: string;
+  /** Dry run mode - only show what would be restored */
+  dryRun?: boolean;
+}
+
+/**
+ * Options for comparing the git identity with GitLab
+ */
+export interface IdentityCheckOptions extends GitConfigOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Value for user.name (default: 'username') */
+  nameSource?: NameSource;
+  /** Which GitLab email to use (default: 'primary') */
+  emailSource?: EmailSource;
+  /** Glob pattern for the 'verified' source (e.g., '*@company.com') */
+  emailMatch?: string;
+}
+
+/**
+ * Outcome of an identity check
+ */
+export type IdentityCheckStatus =
+  'match' | 'mismatch' | 'unset' | 'unauthenticated';
+
+/**
+ * Result of comparing the git identity with GitLab
+ */
+export interface IdentityCheckResult {
+  status: IdentityCheckStatus;
+  /** GitLab identity, or null when not authenticated */
+  expected: UserInfo | null;
+  /** Configured values (null if not set) */
+  actual: { name: string | null; email: string | null };
+  /** Keys whose configured value differs from GitLab */
+  differences: Array<{ key: string; expected: string; actual: string | null }>;
+}
+
+/**
+ * Fetch URL of a git remote
+ */
+export interface GitRemote {
+  name: string;
+  url: string;
+  /** Host of the URL, or null for local paths */
+  host: string | null;
+}
+
+/**
+ * Options for detecting the GitLab hostname from git remotes
+ */
+export interface DetectHostnameOptions extends LoggerOptions {
+  /** Remote to prefer (default: 'origin') */
+  remote?: string;
+}
+
+/**
+ * Current commit signing configuration
+ */
+export interface CommitSigningConfig {
+  /** Configured gpg.format or null if not set */
+  format: string | null;
+  /** Configured user.signingkey or null if not set */
+  signingKey: string | null;
+  /** Configured commit.gpgsign or null if not set */
+  gpgSign: string | null;
+}
+
 /**
  * User information returned from GitLab
  */
 export interface UserInfo {
   /** GitLab username */
   username: string;
-  /** Primary email address */
+  /** Value for user.name built from the selected source */
+  name: string;
+  /** Email address from the selected source */
   email: string;
+  /** Source the name was built from */
+  nameSource: NameSource;
+  /** Source the email was taken from */
+  emailSource: EmailSource;
 }
 
 /**
@@ -105,6 +661,30 @@ export interface GitIdentity {
   email: string | null;
 }
 
+/**
+ * Per-directory identity profile configuration
+ */
+export interface ProfileInfo extends UserInfo {
+  /** Profile name */
+  profile: string;
+  /** Path to the profile config file */
+  configFile: string;
+  /** includeIf gitdir pattern (always ends with '/') */
+  gitdir: string;
+}
+
+/**
+ * Result of removing a per-directory identity profile
+ */
+export interface ProfileRemoveResult {
+  /** Profile name */
+  profile: string;
+  /** Path to the profile config file */
+  configFile: string;
+  /** True if anything was removed */
+  removed: boolean;
+}
+
 /**
  * Default options for glab auth login
  */
@@ -116,87 +696,480 @@ export declare const defaultAuthOptions: {
 };
 
 /**
- * Get the full path to the glab executable
- *
- * This function dynamically detects the glab installation path
- * without depending on any specific installation method.
- *
- * @param options - Logger options
- * @returns Full path to glab executable
- * @throws Error if glab is not found
+ * Predefined sources for the git user.name value
  */
-export declare function getGlabPath(options?: LoggerOptions): Promise<string>;
+export declare const nameSources: NameSource[];
 
 /**
- * Run glab auth login interactively
- * @param options - Authentication options
- * @returns True if login was successful
+ * Supported sources for the git user.email value
  */
-export declare function runGlabAuthLogin(
-  options?: AuthOptions
-): Promise<boolean>;
+export declare const emailSources: EmailSource[];
 
 /**
- * Run glab auth setup-git equivalent to configure git to use GitLab CLI as credential helper
- *
- * Unlike GitHub CLI which has `gh auth setup-git`, GitLab CLI doesn't have an equivalent command.
- * This function manually configures git to use `glab auth git-credential` as the credential helper
- * for GitLab HTTPS operations.
+ * Supported GitLab API clients
+ */
+export declare const gitLabApiClients: GitLabApiClient[];
+
+/**
+ * Options for a GitLab API request
+ */
+export interface GitLabApiRequestOptions {
+  /** GitLab instance hostname */
+  hostname?: string;
+  /** GitLab API client (default: glab when installed) */
+  api?: GitLabApiOptions;
+  /** Command executor for glab */
+  executor?: Executor;
+  /** What the data is needed for, used in error messages */
+  purpose?: string;
+  /** HTTP method (default: 'GET') */
+  method?: string;
+  /** Request parameters */
+  fields?: Record<string, string>;
+}
+
+/**
+ * Call a GitLab API endpoint through glab or fetch
  *
- * Without this, git push/pull may fail with "could not read Username" error when using HTTPS protocol.
+ * Failed requests throw an error with `status` (the HTTP status, when known)
+ * and, with fetch, `gitlabMessage`.
  *
- * @param options - Setup options
- * @returns True if setup was successful
+ * @param endpoint - Endpoint relative to /api/v4 (e.g., 'user')
+ * @param options - Request options
+ * @returns Parsed JSON response
  */
-export declare function runGlabAuthSetupGit(
-  options?: SetupGitOptions
-): Promise<boolean>;
+export declare function fetchGitLabApi<T = unknown>(
+  endpoint: string,
+  options?: GitLabApiRequestOptions
+): Promise<T>;
 
 /**
- * Check if GitLab CLI is authenticated
- * @param options - Options
- * @returns True if authenticated
+ * Get the REST API base URL of a GitLab instance
+ * @param options - Hostname, API protocol and API host
+ * @returns Base URL ending in /api/v4
  */
-export declare function isGlabAuthenticated(
-  options?: AuthStatusOptions
-): Promise<boolean>;
+export declare function getGitLabApiBase(options?: {
+  hostname?: string;
+  apiProtocol?: 'https' | 'http';
+  apiHost?: string;
+}): string;
 
 /**
- * Get GitLab username from authenticated user
- * @param options - Options
- * @returns GitLab username
- * @throws Error if not authenticated or API call fails
+ * Decide which client serves the API requests
+ * @param api - API client options
+ * @param options - Command executor used to look for glab
+ * @returns 'glab' or 'fetch'
  */
-export declare function getGitLabUsername(
-  options?: UserInfoOptions
-): Promise<string>;
+export declare function resolveGitLabApiClient(
+  api?: GitLabApiOptions,
+  options?: { executor?: Executor }
+): Promise<'glab' | 'fetch'>;
 
 /**
- * Get primary email from GitLab user
- * @param options - Options
- * @returns Primary email address
- * @throws Error if not authenticated, API call fails, or no email is set
+ * Run a command locally with command-stream
+ * @param command - Executable (e.g., 'git')
+ * @param args - Arguments, passed without shell interpretation
+ * @param options - Environment, input and output mode
+ * @returns Exit code and output
  */
-export declare function getGitLabEmail(
-  options?: UserInfoOptions
-): Promise<string>;
+export declare const defaultExecutor: Executor;
 
 /**
- * Get GitLab user information (username and primary email)
- * @param options - Options
- * @returns User information object
- * @throws Error if not authenticated or API calls fail
+ * Replace the executor used by every git and glab invocation
+ * @param executor - New executor, or null to restore defaultExecutor
+ * @returns The previous executor
+ * @throws TypeError if the executor is not a function
  */
-export declare function getGitLabUserInfo(
-  options?: UserInfoOptions
-): Promise<UserInfo>;
+export declare function setExecutor(executor: Executor | null): Executor;
 
 /**
- * Set git config value
- * @param key - Config key (e.g., 'user.name')
- * @param value - Config value
- * @param options - Options
- * @throws Error if git config command fails
+ * Get the executor used when a call passes none
+ * @returns Current executor
+ */
+export declare function getExecutor(): Executor;
+
+/**
+ * Run a command with the given or the current executor
+ * @param command - Executable (e.g., 'git')
+ * @param args - Arguments
+ * @param options - Executor for this call, environment, input and output mode
+ * @returns Exit code and output, with missing output filled in
+ * @throws TypeError if the executor result has no numeric `code`
+ */
+export declare function runCommand(
+  command: string,
+  args?: string[],
+  options?: ExecutorRunOptions & { executor?: Executor }
+): Promise<ExecutorResult>;
+
+/**
+ * Default time to live of cached user lookups, in seconds
+ */
+export declare const defaultApiCacheTtl: number;
+
+/**
+ * Get the path of the user lookup cache file
+ * @returns GLAB_SETUP_GIT_IDENTITY_CACHE_FILE, or api-cache.json under XDG_CACHE_HOME
+ */
+export declare function getApiCacheFile(): string;
+
+/**
+ * Drop cached user lookups
+ * @param options - Only drop this host's entries (default: all hosts)
+ */
+export declare function clearApiCache(options?: {
+  hostname?: string;
+}): Promise<void>;
+
+/**
+ * Where glab takes the token of a host from
+ */
+export type GlabTokenSource = 'env' | 'config' | 'keyring';
+
+/**
+ * A host in glab's config file
+ */
+export interface GlabHost {
+  /** GitLab hostname */
+  hostname: string;
+  /** API host (default: the hostname) */
+  apiHost: string;
+  /** API protocol (default: 'https') */
+  apiProtocol: string;
+  /** Git protocol (default: 'ssh') */
+  gitProtocol: string;
+  /** GitLab username glab logged in as, if recorded */
+  user: string | null;
+  /** Where the token comes from, or null if glab is not logged in to the host */
+  tokenSource: GlabTokenSource | null;
+  /** Whether this is glab's default host */
+  default: boolean;
+}
+
+/**
+ * Options for reading glab's config file
+ */
+export interface GlabConfigOptions {
+  /** Config file (default: config.yml in the glab config directory) */
+  file?: string;
+}
+
+/**
+ * Get glab's config directory
+ * @returns GLAB_CONFIG_DIR, or glab-cli under XDG_CONFIG_HOME (default: ~/.config/glab-cli)
+ */
+export declare function getGlabConfigDir(): string;
+
+/**
+ * Get the path of glab's config file
+ * @returns Path to config.yml in the glab config directory
+ */
+export declare function getGlabConfigFile(): string;
+
+/**
+ * Read and parse glab's config file
+ * @param options - Config file
+ * @returns Nested object of string values ({} if the file does not exist)
+ */
+export declare function readGlabConfig(
+  options?: GlabConfigOptions
+): Promise<Record<string, unknown>>;
+
+/**
+ * List the hosts in glab's config file, without their tokens
+ * @param options - Config file
+ * @returns Hosts in file order
+ */
+export declare function listGlabHosts(
+  options?: GlabConfigOptions
+): Promise<GlabHost[]>;
+
+/**
+ * Get the full path to the glab executable
+ *
+ * This function dynamically detects the glab installation path
+ * without depending on any specific installation method.
+ *
+ * @param options - Logger options
+ * @returns Full path to glab executable
+ * @throws Error if glab is not found
+ */
+export declare function getGlabPath(options?: LoggerOptions): Promise<string>;
+
+/**
+ * Run glab auth login interactively
+ * @param options - Authentication options
+ * @returns True if login was successful
+ */
+export declare function runGlabAuthLogin(
+  options?: AuthOptions
+): Promise<boolean>;
+
+/**
+ * Run glab auth logout for a GitLab host
+ * @param options - Options
+ * @returns True if logout was successful
+ */
+export declare function runGlabAuthLogout(
+  options?: AuthStatusOptions
+): Promise<boolean>;
+
+/**
+ * Run glab auth setup-git equivalent to configure git to use GitLab CLI as credential helper
+ *
+ * Unlike GitHub CLI which has `gh auth setup-git`, GitLab CLI doesn't have an equivalent command.
+ * This function manually configures git to use `glab auth git-credential` as the credential helper
+ * for GitLab HTTPS operations.
+ *
+ * Without this, git push/pull may fail with "could not read Username" error when using HTTPS protocol.
+ *
+ * @param options - Setup options
+ * @returns True if setup was successful
+ */
+export declare function runGlabAuthSetupGit(
+  options?: SetupGitOptions
+): Promise<boolean>;
+
+/**
+ * Credential helpers configured globally for a GitLab host
+ */
+export interface CredentialHelperState {
+  /** Values of credential.https://<host>.helper, in order */
+  helpers: string[];
+  /** Whether `glab auth git-credential` is one of them */
+  configured: boolean;
+}
+
+/**
+ * Get the git credential helpers configured globally for a GitLab host
+ * @param options - Options
+ * @returns Helper values and whether glab is one of them
+ */
+export declare function getGitCredentialHelpers(
+  options?: AuthStatusOptions
+): Promise<CredentialHelperState>;
+
+/**
+ * Stale credential helper entry
+ */
+export interface CredentialHelperIssue {
+  /** Position of the entry among the host's helpers */
+  index: number;
+  /** Helper value */
+  helper: string;
+  /** missing: its executable does not exist; duplicate: configured twice */
+  problem: 'missing' | 'duplicate';
+  /** Description (e.g., '/usr/local/bin/glab does not exist') */
+  message: string;
+}
+
+/**
+ * Credential helpers of a host with their stale entries
+ */
+export interface CredentialHelperInspection extends CredentialHelperState {
+  /** Which of credentialHelpers is registered first, or null for neither */
+  registered: 'glab' | 'self' | null;
+  /** Entries with a missing executable, or duplicated */
+  issues: CredentialHelperIssue[];
+}
+
+/**
+ * Inspect the git credential helpers configured globally for a GitLab host
+ * for missing executables and duplicates
+ * @param options - Options
+ * @returns Helper values, whether glab is one of them, and the stale entries
+ */
+export declare function inspectGitCredentialHelpers(
+  options?: AuthStatusOptions
+): Promise<CredentialHelperInspection>;
+
+/**
+ * Remove the glab credential helper configured globally for a GitLab host,
+ * keeping other helpers
+ * @param options - Options
+ * @returns True if a helper was (or would be) removed
+ */
+export declare function removeGlabCredentialHelper(
+  options?: RemoveCredentialHelperOptions
+): Promise<boolean>;
+
+/**
+ * Credential helpers runGlabAuthSetupGit can register
+ */
+export declare const credentialHelpers: CredentialHelper[];
+
+/**
+ * Action of the git credential protocol
+ */
+export type GitCredentialAction = 'get' | 'store' | 'erase';
+
+/**
+ * Actions of the git credential protocol
+ */
+export declare const gitCredentialActions: GitCredentialAction[];
+
+/**
+ * Token glab uses for a host
+ */
+export interface GitLabToken {
+  token: string;
+  /** User from glab's config, or 'oauth2' */
+  username: string;
+  /** Where the token came from */
+  source: 'env' | 'config' | 'keyring';
+}
+
+/**
+ * Parse a credential description as git writes it
+ * @param text - `key=value` lines
+ * @returns Fields (e.g., { protocol: 'https', host: 'gitlab.com' })
+ */
+export declare function parseGitCredential(
+  text: string
+): Record<string, string>;
+
+/**
+ * Format a credential description for git, leaving out empty values
+ * @param fields - Fields
+ * @returns `key=value` lines
+ */
+export declare function formatGitCredential(
+  fields: Record<string, string | undefined | null>
+): string;
+
+/**
+ * Get the token glab would use for a host: from the environment, glab's
+ * config.yml, or the system keyring
+ * @param options - Hostname (possibly with a port) and command executor
+ * @returns Token and user, or null if glab has none for the host
+ */
+export declare function getGitLabToken(options: {
+  hostname: string;
+  executor?: Executor;
+}): Promise<GitLabToken | null>;
+
+/**
+ * Answer a git credential helper request; store and erase are ignored
+ * @param action - get, store or erase
+ * @param input - Credential description from git
+ * @param options - Options; keep the logger off stdout
+ * @returns Text for stdout ('' for no answer)
+ * @throws Error if the action is not supported
+ */
+export declare function runGitCredential(
+  action: GitCredentialAction,
+  input: string,
+  options?: LoggerOptions
+): Promise<string>;
+
+/**
+ * Check if GitLab CLI is authenticated
+ * @param options - Options
+ * @returns True if authenticated
+ */
+export declare function isGlabAuthenticated(
+  options?: AuthStatusOptions
+): Promise<boolean>;
+
+/**
+ * Get GitLab username from authenticated user
+ * @param options - Options
+ * @returns GitLab username
+ * @throws Error if not authenticated or API call fails
+ */
+export declare function getGitLabUsername(
+  options?: UserInfoOptions
+): Promise<string>;
+
+/**
+ * Get email from GitLab user
+ * @param options - Options
+ * @returns Email address from the selected source (default: primary)
+ * @throws Error if not authenticated, API call fails, or no email is set
+ */
+export declare function getGitLabEmail(
+  options?: UserInfoOptions
+): Promise<string>;
+
+/**
+ * Get the verified email addresses of the GitLab user (primary first)
+ * @param options - Options
+ * @returns Confirmed email addresses
+ * @throws Error if not authenticated or API calls fail
+ */
+export declare function getGitLabEmails(
+  options?: UserInfoOptions
+): Promise<string[]>;
+
+/**
+ * Pick an email from a list of verified addresses by pattern or callback
+ * @param emails - Verified email addresses
+ * @param options - Pattern and selection callback
+ * @returns Selected email address
+ * @throws Error if no verified address matches or no choice can be made
+ */
+export declare function selectGitLabEmail(
+  emails: string[],
+  options?: EmailSelectionOptions
+): Promise<string>;
+
+/**
+ * Get GitLab user information (username, name and email)
+ * @param options - Options
+ * @returns User information object
+ * @throws Error if not authenticated or API calls fail
+ */
+export declare function getGitLabUserInfo(
+  options?: UserInfoOptions
+): Promise<UserInfo>;
+
+/**
+ * Build the git user.name value from a GitLab `/user` API response
+ * @param userData - Raw `/user` response
+ * @param options - Name source
+ * @returns Value for user.name
+ * @throws Error if the source is unknown or refers to a missing field
+ */
+export declare function resolveGitLabName(
+  userData: Record<string, unknown>,
+  options?: { nameSource?: NameSource }
+): string;
+
+/**
+ * Pick the email address from a GitLab `/user` API response
+ * @param userData - Raw `/user` response
+ * @param options - Email source and hostname (used for noreply addresses)
+ * @returns Email address
+ * @throws Error if the source is unknown or the account has no such email
+ */
+export declare function resolveGitLabEmail(
+  userData: Record<string, unknown>,
+  options?: { emailSource?: EmailSource; hostname?: string }
+): string;
+
+/**
+ * Supported git config scopes
+ */
+export declare const gitConfigScopes: GitConfigScope[];
+
+/**
+ * Format the git config arguments of a scope for output
+ * @param scope - Git config scope (default: 'global')
+ * @param options - Config file for the 'file' scope
+ * @returns Arguments as typed on the command line (e.g., '--global')
+ * @throws Error if the scope is invalid or the file scope has no file
+ */
+export declare function formatGitConfigScope(
+  scope?: GitConfigScope,
+  options?: { configFile?: string }
+): string;
+
+/**
+ * Set git config value
+ * @param key - Config key (e.g., 'user.name')
+ * @param value - Config value
+ * @param options - Options
+ * @throws Error if the scope is invalid or git config command fails
  */
 export declare function setGitConfig(
   key: string,
@@ -225,6 +1198,65 @@ export declare function setupGitIdentity(
   options?: SetupOptions
 ): Promise<UserInfo>;
 
+/**
+ * Setup a per-directory git identity profile based on GitLab user
+ *
+ * Writes the identity into a dedicated config file and registers an
+ * `includeIf "gitdir:<directory>"` block in the global git config.
+ *
+ * @param options - Profile options
+ * @returns Configured profile
+ * @throws Error if not authenticated or configuration fails
+ */
+export declare function setupGitIdentityProfile(
+  options: ProfileSetupOptions
+): Promise<ProfileInfo>;
+
+/**
+ * Setup the git identity in the local config of every repository under a directory
+ *
+ * Repositories whose remotes point at one of the hostnames get the identity
+ * of that host; the others are skipped.
+ *
+ * @param options - Recursive setup options
+ * @returns Per-repository report
+ */
+export declare function setupGitIdentityRecursive(
+  options: RecursiveSetupOptions
+): Promise<RepositoryReport[]>;
+
+/**
+ * Find git repositories under a directory, including nested ones
+ * @param directory - Directory to search
+ * @param options - Options
+ * @returns Repositories, sorted by path
+ */
+export declare function findGitRepositories(
+  directory: string,
+  options?: { submodules?: boolean }
+): Promise<GitRepository[]>;
+
+/**
+ * Get the GitLab host of a repository from its remotes (origin first)
+ * @param directory - Repository working tree
+ * @param options - Options
+ * @returns Hostname, or null without remotes
+ * @throws Error with a `hosts` list if the remotes point at several hosts
+ */
+export declare function getRepositoryHost(
+  directory: string,
+  options?: LoggerOptions
+): Promise<string | null>;
+
+/**
+ * Remove a per-directory identity profile and its includeIf block
+ * @param options - Profile options
+ * @returns Removal result
+ */
+export declare function removeGitIdentityProfile(
+  options: ProfileRemoveOptions
+): Promise<ProfileRemoveResult>;
+
 /**
  * Verify git identity is configured correctly
  * @param options - Options
@@ -234,22 +1266,422 @@ export declare function verifyGitIdentity(
   options?: GitConfigOptions
 ): Promise<GitIdentity>;
 
+/**
+ * Find the local SSH public key to sign with
+ * @param options - Key file or directory to search
+ * @returns Public key file and contents
+ * @throws Error if no usable public key is found
+ */
+export declare function findSshPublicKey(
+  options?: SshKeyOptions
+): Promise<{ keyFile: string; key: string }>;
+
+/**
+ * Get the SSH keys registered on the GitLab account
+ * @param options - Options
+ * @returns Entries from the `/user/keys` API
+ */
+export declare function getGitLabSshKeys(
+  options?: UserInfoOptions
+): Promise<GitLabSshKey[]>;
+
+/**
+ * Setup SSH commit signing with a key registered on the GitLab account
+ *
+ * Sets `gpg.format=ssh`, `user.signingkey` and `commit.gpgsign=true`.
+ *
+ * @param options - Signing options
+ * @returns Signing setup result
+ * @throws Error if no key is found, API calls fail, or git config fails
+ */
+export declare function setupSshSigning(
+  options?: SshSigningOptions
+): Promise<SshSigningResult>;
+
+/**
+ * List the secret GPG keys in the local keyring
+ * @param options - Logger options
+ * @returns Local secret keys
+ * @throws Error if gpg is not available
+ */
+export declare function listLocalGpgKeys(
+  options?: LoggerOptions
+): Promise<GpgKey[]>;
+
+/**
+ * Get the GPG keys registered on the GitLab account
+ * @param options - Options
+ * @returns Entries from the `/user/gpg_keys` API with fingerprints and emails
+ */
+export declare function getGitLabGpgKeys(
+  options?: UserInfoOptions
+): Promise<GitLabGpgKey[]>;
+
+/**
+ * Setup GPG commit signing with a key registered on the GitLab account
+ *
+ * Sets `gpg.format=openpgp`, `user.signingkey` and `commit.gpgsign=true`.
+ * Warns when the committer email is not one of the key's UIDs.
+ *
+ * @param options - Signing options
+ * @returns Signing setup result
+ * @throws Error if no local key matches, API calls fail, or git config fails
+ */
+export declare function setupGpgSigning(
+  options?: GpgSigningOptions
+): Promise<GpgSigningResult>;
+
+/**
+ * Get the default allowed_signers file location
+ * @returns Path to ~/.config/git/allowed_signers
+ */
+export declare function getDefaultAllowedSignersFile(): string;
+
+/**
+ * Write an allowed_signers file from GitLab SSH signing keys
+ *
+ * Entries for the written principals are replaced on every run, and
+ * `gpg.ssh.allowedSignersFile` is pointed at the file.
+ *
+ * @param options - Options
+ * @returns File written and number of entries
+ * @throws Error if user.email is not configured or API calls fail
+ */
+export declare function writeAllowedSigners(
+  options?: AllowedSignersOptions
+): Promise<AllowedSignersResult>;
+
+/**
+ * Make sure a local SSH key is registered on the GitLab account
+ *
+ * Uploads the local key if GitLab does not have it, or generates an ed25519
+ * key first if there is none. Never overwrites an existing private key.
+ *
+ * @param options - Options
+ * @returns Key setup result
+ * @throws Error if key generation, the upload or ssh-keygen fails
+ */
+export declare function setupSshKey(
+  options?: SshKeySetupOptions
+): Promise<SshKeySetupResult>;
+
+/**
+ * Generate an ed25519 key pair without a passphrase
+ * @param options - Private key path and comment
+ * @returns Path to the generated public key
+ * @throws Error if the private or public key already exists
+ */
+export declare function generateSshKey(
+  options?: LoggerOptions & { keyFile?: string; comment?: string }
+): Promise<string>;
+
+/**
+ * Get the fingerprint of a public key file
+ * @param keyFile - Path to the public key file
+ * @param options - Command executor
+ * @returns Fingerprint (e.g., 'SHA256:...')
+ */
+export declare function getSshKeyFingerprint(
+  keyFile: string,
+  options?: { executor?: Executor }
+): Promise<string>;
+
+/**
+ * Get the default ssh config file location
+ * @returns Path to ~/.ssh/config
+ */
+export declare function getDefaultSshConfigFile(): string;
+
+/**
+ * Write or update the managed ~/.ssh/config entry for a GitLab host
+ *
+ * Only the managed block for the host is replaced; other entries are kept.
+ *
+ * @param options - Options
+ * @returns Written entry
+ */
+export declare function writeSshConfig(
+  options: SshConfigOptions
+): Promise<SshConfigResult>;
+
+/**
+ * Get the journal file location
+ * @returns Path to the journal (GLAB_SETUP_GIT_IDENTITY_JOURNAL or ~/.config/glab-setup-git-identity/journal.jsonl)
+ */
+export declare function getJournalFile(): string;
+
+/**
+ * Start a new run: later changes are journaled under a fresh run ID
+ * @returns New run ID
+ */
+export declare function startJournalRun(): string;
+
+/**
+ * Turn recording of changes on or off for the whole process (off by default;
+ * the CLI turns it on)
+ * @param enabled - Whether to record changes
+ * @returns Previous setting
+ */
+export declare function setJournalEnabled(enabled: boolean): boolean;
+
+/**
+ * Tell whether changes are recorded
+ * @returns True after setJournalEnabled(true)
+ */
+export declare function isJournalEnabled(): boolean;
+
+/**
+ * Read all journal entries
+ * @returns Entries in the order they were recorded
+ */
+export declare function readJournal(): Promise<JournalEntry[]>;
+
+/**
+ * Group journal entries into runs
+ * @param entries - Entries from readJournal
+ * @returns Runs, oldest first
+ */
+export declare function groupJournalRuns(entries: JournalEntry[]): JournalRun[];
+
+/**
+ * Restore the state recorded for a run by replaying its entries in reverse
+ * @param options - Options
+ * @returns Restored run and number of entries
+ * @throws Error if the journal has no matching run
+ */
+export declare function restoreJournalRun(
+  options?: RestoreOptions
+): Promise<{ runId: string; restored: number }>;
+
+/**
+ * Stable codes of the errors thrown by the library
+ */
+export type GlabSetupErrorCode =
+  | 'GLAB_SETUP_ERROR'
+  | 'GLAB_NOT_FOUND'
+  | 'GITLAB_API_ERROR'
+  | 'NOT_AUTHENTICATED'
+  | 'MALFORMED_RESPONSE'
+  | 'MISSING_EMAIL'
+  | 'GIT_CONFIG_ERROR';
+
+/**
+ * Base class of the errors thrown by glab-setup-git-identity
+ */
+export declare class GlabSetupError extends Error {
+  constructor(
+    message: string,
+    options?: { code?: GlabSetupErrorCode; cause?: unknown }
+  );
+  /** Stable error code */
+  code: GlabSetupErrorCode;
+}
+
+/**
+ * glab is not installed or not on the PATH
+ */
+export declare class GlabNotFoundError extends GlabSetupError {
+  constructor(message: string, options?: { cause?: unknown });
+  code: 'GLAB_NOT_FOUND';
+}
+
+/**
+ * A GitLab API request failed
+ */
+export declare class GitLabApiError extends GlabSetupError {
+  constructor(
+    message: string,
+    options?: {
+      status?: number;
+      gitlabMessage?: string;
+      code?: GlabSetupErrorCode;
+      cause?: unknown;
+    }
+  );
+  /** HTTP status, when known */
+  status?: number;
+  /** GitLab's error message (fetch client) */
+  gitlabMessage?: string;
+}
+
+/**
+ * GitLab did not accept the credentials, or there are none
+ */
+export declare class NotAuthenticatedError extends GitLabApiError {
+  code: 'NOT_AUTHENTICATED';
+}
+
+/**
+ * A GitLab response could not be parsed or lacks a required field
+ */
+export declare class MalformedResponseError extends GlabSetupError {
+  constructor(message: string, options?: { cause?: unknown });
+  code: 'MALFORMED_RESPONSE';
+}
+
+/**
+ * The GitLab account has no email for the requested source or pattern
+ */
+export declare class MissingEmailError extends GlabSetupError {
+  constructor(message: string, options?: { cause?: unknown });
+  code: 'MISSING_EMAIL';
+}
+
+/**
+ * A git config command failed
+ */
+export declare class GitConfigError extends GlabSetupError {
+  constructor(message: string, options?: { cause?: unknown });
+  code: 'GIT_CONFIG_ERROR';
+}
+
+/**
+ * Exit codes of the CLI, keyed by error code
+ */
+export declare const errorExitCodes: Record<
+  Exclude<GlabSetupErrorCode, 'GLAB_SETUP_ERROR'>,
+  number
+>;
+
+/**
+ * Get the CLI exit code of an error
+ * @param error - Thrown error
+ * @returns Exit code from errorExitCodes, or 1
+ */
+export declare function getErrorExitCode(error: unknown): number;
+
+/**
+ * Exit codes of the CLI --check mode, keyed by check status
+ */
+export declare const identityCheckExitCodes: Record<
+  IdentityCheckStatus,
+  number
+>;
+
+/**
+ * Compare the configured git identity with the GitLab identity without changing anything
+ * @param options - Options
+ * @returns Check result
+ */
+export declare function checkGitIdentity(
+  options?: IdentityCheckOptions
+): Promise<IdentityCheckResult>;
+
+/**
+ * Extract the hostname from a git remote URL (HTTPS, SSH or scp-style)
+ * @param url - Remote URL
+ * @returns Lowercased hostname, or null for local paths and unknown formats
+ */
+export declare function parseRemoteHost(url: string): string | null;
+
+/**
+ * List the fetch URLs of the remotes of the repository in the current directory
+ * @param options - Options
+ * @returns Remotes (empty outside a repository)
+ */
+export declare function listGitRemotes(
+  options?: LoggerOptions & { cwd?: string }
+): Promise<GitRemote[]>;
+
+/**
+ * Pick the GitLab hostname from a list of remotes, preferring origin
+ * @param remotes - Remotes from listGitRemotes
+ * @param options - Options
+ * @returns Hostname, or null if no remote has a host
+ * @throws Error with a `hosts` list if the remotes point at several hosts
+ */
+export declare function selectRemoteHost(
+  remotes: Array<Pick<GitRemote, 'name' | 'host'>>,
+  options?: { remote?: string }
+): string | null;
+
+/**
+ * Detect the GitLab hostname from the current repository's remotes
+ * @param options - Options
+ * @returns Hostname, or null outside a repository or without remotes
+ * @throws Error with a `hosts` list if the remotes point at several hosts
+ */
+export declare function detectGitLabHostname(
+  options?: DetectHostnameOptions
+): Promise<string | null>;
+
+/**
+ * Get the current commit signing configuration
+ * @param options - Options
+ * @returns Current signing configuration
+ */
+export declare function verifyCommitSigning(
+  options?: GitConfigOptions
+): Promise<CommitSigningConfig>;
+
 /**
  * Default export with all functions
  */
 declare const _default: {
   defaultAuthOptions: typeof defaultAuthOptions;
+  nameSources: typeof nameSources;
+  emailSources: typeof emailSources;
+  identityCheckExitCodes: typeof identityCheckExitCodes;
+  errorExitCodes: typeof errorExitCodes;
+  getErrorExitCode: typeof getErrorExitCode;
+  GlabSetupError: typeof GlabSetupError;
+  GlabNotFoundError: typeof GlabNotFoundError;
+  GitLabApiError: typeof GitLabApiError;
+  NotAuthenticatedError: typeof NotAuthenticatedError;
+  MalformedResponseError: typeof MalformedResponseError;
+  MissingEmailError: typeof MissingEmailError;
+  GitConfigError: typeof GitConfigError;
+  defaultExecutor: typeof defaultExecutor;
+  setExecutor: typeof setExecutor;
+  getExecutor: typeof getExecutor;
+  runCommand: typeof runCommand;
+  gitLabApiClients: typeof gitLabApiClients;
+  fetchGitLabApi: typeof fetchGitLabApi;
+  getGitLabApiBase: typeof getGitLabApiBase;
+  resolveGitLabApiClient: typeof resolveGitLabApiClient;
   getGlabPath: typeof getGlabPath;
+  listGlabHosts: typeof listGlabHosts;
+  clearApiCache: typeof clearApiCache;
   isGlabAuthenticated: typeof isGlabAuthenticated;
   runGlabAuthLogin: typeof runGlabAuthLogin;
+  runGlabAuthLogout: typeof runGlabAuthLogout;
   runGlabAuthSetupGit: typeof runGlabAuthSetupGit;
+  getGitCredentialHelpers: typeof getGitCredentialHelpers;
+  inspectGitCredentialHelpers: typeof inspectGitCredentialHelpers;
+  removeGlabCredentialHelper: typeof removeGlabCredentialHelper;
+  credentialHelpers: typeof credentialHelpers;
+  getGitLabToken: typeof getGitLabToken;
+  runGitCredential: typeof runGitCredential;
   getGitLabUsername: typeof getGitLabUsername;
   getGitLabEmail: typeof getGitLabEmail;
+  getGitLabEmails: typeof getGitLabEmails;
+  selectGitLabEmail: typeof selectGitLabEmail;
   getGitLabUserInfo: typeof getGitLabUserInfo;
+  resolveGitLabName: typeof resolveGitLabName;
+  resolveGitLabEmail: typeof resolveGitLabEmail;
   setGitConfig: typeof setGitConfig;
   getGitConfig: typeof getGitConfig;
+  formatGitConfigScope: typeof formatGitConfigScope;
   setupGitIdentity: typeof setupGitIdentity;
+  setupGitIdentityProfile: typeof setupGitIdentityProfile;
+  setupGitIdentityRecursive: typeof setupGitIdentityRecursive;
+  removeGitIdentityProfile: typeof removeGitIdentityProfile;
   verifyGitIdentity: typeof verifyGitIdentity;
+  checkGitIdentity: typeof checkGitIdentity;
+  findSshPublicKey: typeof findSshPublicKey;
+  getGitLabSshKeys: typeof getGitLabSshKeys;
+  setupSshSigning: typeof setupSshSigning;
+  getGitLabGpgKeys: typeof getGitLabGpgKeys;
+  listLocalGpgKeys: typeof listLocalGpgKeys;
+  setupGpgSigning: typeof setupGpgSigning;
+  verifyCommitSigning: typeof verifyCommitSigning;
+  writeAllowedSigners: typeof writeAllowedSigners;
+  setupSshKey: typeof setupSshKey;
+  writeSshConfig: typeof writeSshConfig;
+  readJournal: typeof readJournal;
+  restoreJournalRun: typeof restoreJournalRun;
+  setJournalEnabled: typeof setJournalEnabled;
+  detectGitLabHostname: typeof detectGitLabHostname;
 };
 
 export default _default;
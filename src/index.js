@@ -5,30 +5,199 @@
  *
  * This library provides functionality to:
  * - Check if GitLab CLI is authenticated
+ * - Call the GitLab API through glab, or directly with a token when glab is absent
  * - Get GitLab user information (username and email)
  * - Configure git user.name and user.email
+ * - Configure SSH or GPG commit signing with a key registered on GitLab
+ * - Build an allowed_signers file for local SSH signature verification
+ * - Create and register an SSH key for git over SSH
+ * - Write ~/.ssh/config host entries for self-hosted GitLab
+ * - Journal every config change and restore a previous run
+ * - Detect the GitLab hostname from the current repository's remotes
+ * - Apply a local identity to every repository under a directory
+ * - Check the configured identity against GitLab for drift
+ * - Log out and remove the glab credential helper
+ * - List the hosts glab is logged in to from its config file
+ * - Cache GitLab user lookups on disk
+ * - Report failures as error classes with stable codes
+ * - Run git and glab through a replaceable command executor
+ * - Answer git credential requests with the token glab uses
+ * - Detect and repair stale credential helper entries
  */
 
-import { $ } from 'command-stream';
-
-/**
- * Create a logger instance
- * This can be customized by users when using the library
- */
-function createDefaultLogger(options = {}) {
-  const { verbose = false, logger = console } = options;
-
-  return {
-    log: (...args) => logger.log(...args),
-    error: (...args) => (logger.error || logger.log)(...args),
-    warn: (...args) => (logger.warn || logger.log)(...args),
-    debug: (...args) => {
-      if (verbose) {
-        (logger.debug || logger.log)(...args);
-      }
-    },
-  };
-}
+import { createDefaultLogger } from './logger.js';
+import {
+  GlabSetupError,
+  GlabNotFoundError,
+  GitLabApiError,
+  NotAuthenticatedError,
+  MalformedResponseError,
+  MissingEmailError,
+  GitConfigError,
+  errorExitCodes,
+  getErrorExitCode,
+} from './errors.js';
+import {
+  defaultExecutor,
+  setExecutor,
+  getExecutor,
+  runCommand,
+} from './executor.js';
+import {
+  fetchGitLabApi,
+  gitLabApiClients,
+  getGitLabApiBase,
+  resolveGitLabApiClient,
+} from './glab-api.js';
+import {
+  defaultApiCacheTtl,
+  getApiCacheFile,
+  clearApiCache,
+} from './api-cache.js';
+import {
+  getGlabConfigDir,
+  getGlabConfigFile,
+  readGlabConfig,
+  listGlabHosts,
+} from './glab-config.js';
+import {
+  credentialHelpers,
+  getGlabPath,
+  runGlabAuthSetupGit,
+  getGitCredentialHelpers,
+  inspectGitCredentialHelpers,
+  removeGlabCredentialHelper,
+} from './credential-helper.js';
+import {
+  gitCredentialActions,
+  parseGitCredential,
+  formatGitCredential,
+  getGitLabToken,
+  runGitCredential,
+} from './git-credential.js';
+import {
+  setGitConfig,
+  getGitConfig,
+  gitConfigScopes,
+  formatGitConfigScope,
+} from './git-config.js';
+import {
+  getJournalFile,
+  readJournal,
+  groupJournalRuns,
+  restoreJournalRun,
+  startJournalRun,
+  setJournalEnabled,
+  isJournalEnabled,
+} from './journal.js';
+import {
+  normalizeProfileGitdir,
+  resolveProfileName,
+  getProfileConfigPath,
+  writeProfileConfig,
+  registerProfileInclude,
+  removeGitIdentityProfile,
+} from './profiles.js';
+import {
+  findSshPublicKey,
+  getGitLabSshKeys,
+  setupSshSigning,
+  getGitLabGpgKeys,
+  listLocalGpgKeys,
+  setupGpgSigning,
+  verifyCommitSigning,
+} from './signing.js';
+import {
+  generateSshKey,
+  getSshKeyFingerprint,
+  setupSshKey,
+} from './ssh-key.js';
+import { getDefaultSshConfigFile, writeSshConfig } from './ssh-config.js';
+import {
+  getDefaultAllowedSignersFile,
+  writeAllowedSigners,
+} from './allowed-signers.js';
+import {
+  findGitRepositories,
+  getRepositoryHost,
+  applyRepositoryIdentity,
+} from './repositories.js';
+import {
+  parseRemoteHost,
+  listGitRemotes,
+  selectRemoteHost,
+  detectGitLabHostname,
+} from './remotes.js';
+
+export {
+  GlabSetupError,
+  GlabNotFoundError,
+  GitLabApiError,
+  NotAuthenticatedError,
+  MalformedResponseError,
+  MissingEmailError,
+  GitConfigError,
+  errorExitCodes,
+  getErrorExitCode,
+  defaultExecutor,
+  setExecutor,
+  getExecutor,
+  runCommand,
+  fetchGitLabApi,
+  gitLabApiClients,
+  getGitLabApiBase,
+  resolveGitLabApiClient,
+  getGlabConfigDir,
+  getGlabConfigFile,
+  readGlabConfig,
+  listGlabHosts,
+  credentialHelpers,
+  getGlabPath,
+  runGlabAuthSetupGit,
+  getGitCredentialHelpers,
+  inspectGitCredentialHelpers,
+  removeGlabCredentialHelper,
+  gitCredentialActions,
+  parseGitCredential,
+  formatGitCredential,
+  getGitLabToken,
+  runGitCredential,
+  defaultApiCacheTtl,
+  getApiCacheFile,
+  clearApiCache,
+  removeGitIdentityProfile,
+  setGitConfig,
+  getGitConfig,
+  gitConfigScopes,
+  formatGitConfigScope,
+  findSshPublicKey,
+  getGitLabSshKeys,
+  setupSshSigning,
+  getGitLabGpgKeys,
+  listLocalGpgKeys,
+  setupGpgSigning,
+  verifyCommitSigning,
+  getDefaultAllowedSignersFile,
+  writeAllowedSigners,
+  generateSshKey,
+  getSshKeyFingerprint,
+  setupSshKey,
+  getDefaultSshConfigFile,
+  writeSshConfig,
+  getJournalFile,
+  readJournal,
+  groupJournalRuns,
+  restoreJournalRun,
+  startJournalRun,
+  setJournalEnabled,
+  isJournalEnabled,
+  parseRemoteHost,
+  listGitRemotes,
+  selectRemoteHost,
+  detectGitLabHostname,
+  findGitRepositories,
+  getRepositoryHost,
+};
 
 /**
  * Default options for glab auth login
@@ -40,51 +209,6 @@ export const defaultAuthOptions = {
   useKeyring: false,
 };
 
-/**
- * Get the full path to the glab executable
- *
- * This function dynamically detects the glab installation path
- * without depending on any specific installation method.
- *
- * @param {Object} options - Options
- * @param {boolean} options.verbose - Enable verbose logging
- * @param {Object} options.logger - Custom logger
- * @returns {Promise<string>} Full path to glab executable
- * @throws {Error} If glab is not found
- */
-export async function getGlabPath(options = {}) {
-  const { verbose = false, logger = console } = options;
-  const log = createDefaultLogger({ verbose, logger });
-
-  log.debug('Detecting glab installation path...');
-
-  // Use 'which' on Unix-like systems or 'where' on Windows
-  const command = process.platform === 'win32' ? 'where' : 'which';
-
-  try {
-    const result = await $`${command} glab`.run({ capture: true });
-
-    if (result.code !== 0 || !result.stdout) {
-      throw new Error(
-        'glab CLI not found. Please install glab: https://gitlab.com/gitlab-org/cli#installation'
-      );
-    }
-
-    // Get the first line (in case multiple paths are returned)
-    const glabPath = result.stdout.split('\n')[0].trim();
-    log.debug(`Found glab at: ${glabPath}`);
-
-    return glabPath;
-  } catch (error) {
-    if (error.message.includes('not found')) {
-      throw error;
-    }
-    throw new Error(
-      'glab CLI not found. Please install glab: https://gitlab.com/gitlab-org/cli#installation'
-    );
-  }
-}
-
 /**
  * Build glab auth login arguments from options
  * @param {Object} options - Auth options
@@ -144,6 +268,8 @@ function buildGlabAuthLoginArgs(options) {
  * @param {boolean} options.useKeyring - Store token in OS keyring (default: false)
  * @param {string} options.jobToken - CI job token for authentication (optional)
  * @param {boolean} options.stdin - Read token from stdin (default: false)
+ * @param {boolean} options.quiet - Capture glab output instead of showing it (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
  * @returns {Promise<boolean>} True if login was successful
@@ -158,6 +284,8 @@ export async function runGlabAuthLogin(options = {}) {
     useKeyring = defaultAuthOptions.useKeyring,
     jobToken,
     stdin = false,
+    quiet = false,
+    executor,
     verbose = false,
     logger = console,
   } = options;
@@ -178,16 +306,23 @@ export async function runGlabAuthLogin(options = {}) {
   log.debug(`Running: glab ${args.join(' ')}`);
 
   try {
-    const result = await $`glab ${args}`.run({
-      mirror: { stdout: true, stderr: true },
+    const result = await runCommand('glab', args, {
+      executor,
+      mirror: !quiet,
       stdin: stdin ? 'inherit' : undefined,
     });
 
     if (result.code !== 0) {
-      log.error('GitLab CLI authentication failed');
+      log.error(
+        quiet && result.stderr
+          ? `GitLab CLI authentication failed: ${result.stderr.trim()}`
+          : 'GitLab CLI authentication failed'
+      );
       return false;
     }
 
+    // Cached user lookups may belong to the previous login
+    await clearApiCache({ hostname }).catch(() => {});
     log.log('\nGitLab CLI authentication successful!');
     return true;
   } catch (error) {
@@ -197,96 +332,44 @@ export async function runGlabAuthLogin(options = {}) {
 }
 
 /**
- * Run glab auth setup-git equivalent to configure git to use GitLab CLI as credential helper
- *
- * Unlike GitHub CLI which has `gh auth setup-git`, GitLab CLI doesn't have an equivalent command.
- * This function manually configures git to use `glab auth git-credential` as the credential helper
- * for GitLab HTTPS operations.
- *
- * Without this, git push/pull may fail with "could not read Username" error when using HTTPS protocol.
+ * Run glab auth logout for a GitLab host
  *
  * @param {Object} options - Options
  * @param {string} options.hostname - GitLab hostname (default: 'gitlab.com')
- * @param {boolean} options.force - Force setup by overwriting existing credential helper config (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<boolean>} True if setup was successful
+ * @returns {Promise<boolean>} True if logout was successful
  */
-export async function runGlabAuthSetupGit(options = {}) {
+export async function runGlabAuthLogout(options = {}) {
   const {
     hostname = defaultAuthOptions.hostname,
-    force = false,
+    executor,
     verbose = false,
     logger = console,
   } = options;
 
   const log = createDefaultLogger({ verbose, logger });
 
-  log.debug('Configuring git credential helper for GitLab CLI...');
+  log.debug(`Running: glab auth logout --hostname ${hostname}`);
 
   try {
-    // Get the full path to glab executable
-    const glabPath = await getGlabPath({ verbose, logger });
-
-    // Build the credential helper URL based on hostname
-    const credentialUrl = `https://${hostname}`;
-
-    // The credential helper command - uses the dynamically detected glab path
-    const credentialHelper = `!${glabPath} auth git-credential`;
-
-    // Check if there's an existing credential helper for this host
-    try {
-      const existingResult =
-        await $`git config --global --get credential.${credentialUrl}.helper`.run(
-          { capture: true }
-        );
-
-      if (existingResult.code === 0 && existingResult.stdout && !force) {
-        log.debug(
-          `Existing credential helper found for ${hostname}: ${existingResult.stdout.trim()}`
-        );
-        log.log(
-          `Git credential helper already configured for ${hostname}. Use force: true to overwrite.`
-        );
-        return true;
-      }
-    } catch {
-      // No existing helper, proceed with setup
-    }
-
-    // First, clear any existing credential helpers for this host
-    // This ensures we have a clean state
-    log.debug(`Clearing existing credential helpers for ${credentialUrl}...`);
-
-    // Set an empty helper first to clear the chain (ignore errors if not set)
-    try {
-      await $`git config --global credential.${credentialUrl}.helper ""`.run({
-        capture: true,
-      });
-    } catch {
-      // Ignore errors if not set
-    }
-
-    // Add the glab credential helper
-    log.debug(`Setting credential helper: ${credentialHelper}`);
-
-    const result =
-      await $`git config --global --add credential.${credentialUrl}.helper ${credentialHelper}`.run(
-        { capture: true }
-      );
+    const result = await runCommand(
+      'glab',
+      ['auth', 'logout', '--hostname', hostname],
+      { executor }
+    );
 
     if (result.code !== 0) {
-      log.error(`Failed to set git credential helper: ${result.stderr}`);
+      log.error(`GitLab CLI logout failed: ${result.stderr.trim()}`);
       return false;
     }
 
-    log.log(`Git credential helper configured for ${hostname}`);
-    log.debug(`  URL: ${credentialUrl}`);
-    log.debug(`  Helper: ${credentialHelper}`);
-
+    await clearApiCache({ hostname }).catch(() => {});
+    log.log(`Logged out of ${hostname}`);
     return true;
   } catch (error) {
-    log.error(`Failed to setup git credential helper: ${error.message}`);
+    log.error(`GitLab CLI logout failed: ${error.message}`);
     return false;
   }
 }
@@ -294,16 +377,38 @@ export async function runGlabAuthSetupGit(options = {}) {
 /**
  * Check if GitLab CLI is authenticated
  *
+ * With the fetch API client, checks that the GitLab API accepts the token
+ * instead.
+ *
  * @param {Object} options - Options
  * @param {string} options.hostname - GitLab hostname to check (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
  * @returns {Promise<boolean>} True if authenticated
  */
 export async function isGlabAuthenticated(options = {}) {
-  const { hostname, verbose = false, logger = console } = options;
+  const {
+    hostname,
+    api,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
   const log = createDefaultLogger({ verbose, logger });
 
+  if ((await resolveGitLabApiClient(api, { executor })) === 'fetch') {
+    try {
+      await fetchGitLabApi('user', { hostname, api, executor });
+      log.debug('The GitLab API accepted the token');
+      return true;
+    } catch (error) {
+      log.debug(`The GitLab API rejected the request: ${error.message}`);
+      return false;
+    }
+  }
+
   log.debug('Checking GitLab CLI authentication status...');
 
   const args = ['auth', 'status'];
@@ -312,7 +417,7 @@ export async function isGlabAuthenticated(options = {}) {
   }
 
   try {
-    const result = await $`glab ${args}`.run({ capture: true });
+    const result = await runCommand('glab', args, { executor });
 
     if (result.code !== 0) {
       log.debug(`GitLab CLI is not authenticated: ${result.stderr}`);
@@ -328,228 +433,458 @@ export async function isGlabAuthenticated(options = {}) {
 }
 
 /**
- * Get GitLab username from authenticated user
+ * Supported sources for the git user.email value
+ *
+ * - primary: the account's primary email (`email`)
+ * - commit_email: the email GitLab uses for web-based commits (`commit_email`)
+ * - public_email: the email shown on the public profile (`public_email`)
+ * - noreply: the private `<id>-<username>@users.noreply.<host>` address
+ * - verified: an address picked from the account's confirmed emails
+ *   (`/user/emails`), by pattern or interactively
+ */
+export const emailSources = [
+  'primary',
+  'commit_email',
+  'public_email',
+  'noreply',
+  'verified',
+];
+
+/**
+ * Predefined sources for the git user.name value
  *
- * Note: This function parses the JSON response in JavaScript rather than using
- * glab's --jq flag, as the --jq flag is not available in all glab versions.
+ * - username: the GitLab username (e.g., 'jdoe42')
+ * - name: the full profile name (e.g., 'John Doe')
  *
+ * Any other value containing placeholders is treated as a template, where
+ * `{name}`, `{username}` and `{id}` are replaced with the profile values
+ * (e.g., '{name} ({username})').
+ */
+export const nameSources = ['username', 'name'];
+
+/**
+ * Get the confirmed email addresses of the authenticated user
+ *
+ * Combines the primary email from the `/user` response with the confirmed
+ * entries of `/user/emails`, primary first.
+ *
+ * @param {Object} userData - Raw `/user` response
  * @param {Object} options - Options
  * @param {string} options.hostname - GitLab hostname (optional)
- * @param {boolean} options.verbose - Enable verbose logging
- * @param {Object} options.logger - Custom logger
- * @returns {Promise<string>} GitLab username
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @returns {Promise<string[]>} Verified email addresses
  */
-export async function getGitLabUsername(options = {}) {
-  const { hostname, verbose = false, logger = console } = options;
-  const log = createDefaultLogger({ verbose, logger });
+async function fetchVerifiedEmails(userData, options = {}) {
+  const { hostname, api, executor } = options;
 
-  log.debug('Getting GitLab username...');
+  const entries = await fetchGitLabApi('user/emails', {
+    hostname,
+    api,
+    executor,
+    purpose: 'emails',
+  });
 
-  const args = ['api', 'user'];
-  if (hostname) {
-    args.push('--hostname', hostname);
+  const emails = [
+    userData.email,
+    ...[entries]
+      .flat()
+      .map((entry) => entry && entry.confirmed_at && entry.email),
+  ].filter(Boolean);
+
+  return [...new Set(emails)];
+}
+
+/**
+ * Convert an email glob pattern into a regular expression
+ *
+ * `*` matches any sequence of characters and `?` a single character; the match
+ * is case-insensitive (e.g., '*@company.com').
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function emailPatternToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Get the username from a GitLab `/user` response
+ * @param {Object} userData - Raw `/user` response
+ * @returns {string} GitLab username
+ * @throws {MalformedResponseError} If the response has no username
+ */
+function resolveGitLabUsername(userData) {
+  const username = userData.username;
+  if (!username) {
+    throw new MalformedResponseError(
+      'No username found in GitLab user data. Please ensure your GitLab account has a username.'
+    );
   }
+  return username;
+}
 
-  const result = await $`glab ${args}`.run({ capture: true });
+/**
+ * Build the git user.name value from a GitLab `/user` response
+ *
+ * @param {Object} userData - Raw `/user` response
+ * @param {Object} options - Options
+ * @param {string} options.nameSource - 'username', 'name', or a template such as '{name} ({username})' (default: 'username')
+ * @returns {string} Value for user.name
+ * @throws {Error} If the source is unknown or refers to a missing field
+ */
+export function resolveGitLabName(userData, options = {}) {
+  const { nameSource = 'username' } = options;
 
-  if (result.code !== 0) {
-    throw new Error(`Failed to get GitLab username: ${result.stderr}`);
+  if (nameSource === 'username') {
+    return resolveGitLabUsername(userData);
   }
 
-  // Parse JSON response in JavaScript (glab's --jq flag is not available in all versions)
-  let userData;
-  try {
-    userData = JSON.parse(result.stdout.trim());
-  } catch (parseError) {
-    throw new Error(
-      `Failed to parse GitLab user data: ${parseError.message}. Raw output: ${result.stdout}`
-    );
+  if (nameSource === 'name') {
+    if (!userData.name) {
+      throw new Error(
+        'No display name found on GitLab account. Please set a full name in your GitLab profile, or use a different name source.'
+      );
+    }
+    return userData.name;
   }
 
-  const username = userData.username;
-  if (!username) {
+  if (!/\{\w+\}/.test(nameSource)) {
     throw new Error(
-      'No username found in GitLab user data. Please ensure your GitLab account has a username.'
+      `Unknown name source "${nameSource}". Expected one of: ${nameSources.join(', ')}, or a template such as "{name} ({username})"`
     );
   }
 
-  log.debug(`GitLab username: ${username}`);
+  return nameSource.replace(/\{(\w+)\}/g, (placeholder, field) => {
+    if (!['name', 'username', 'id'].includes(field)) {
+      throw new Error(
+        `Unknown placeholder ${placeholder} in name template. Supported placeholders: {name}, {username}, {id}`
+      );
+    }
+    if (userData[field] === undefined || userData[field] === null) {
+      throw new Error(
+        `GitLab user data has no ${field} for placeholder ${placeholder}`
+      );
+    }
+    return String(userData[field]);
+  });
+}
 
-  return username;
+/**
+ * Pick the email address from a GitLab `/user` response
+ *
+ * @param {Object} userData - Raw `/user` response
+ * @param {Object} options - Options
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.hostname - GitLab hostname, used for noreply addresses (default: 'gitlab.com')
+ * @returns {string} Email address
+ * @throws {MissingEmailError} If the account has no email for the source
+ * @throws {Error} If the source is unknown
+ */
+export function resolveGitLabEmail(userData, options = {}) {
+  const { emailSource = 'primary', hostname = defaultAuthOptions.hostname } =
+    options;
+
+  switch (emailSource) {
+    case 'primary':
+      if (!userData.email) {
+        throw new MissingEmailError(
+          'No email found on GitLab account. Please set a primary email in your GitLab settings.'
+        );
+      }
+      return userData.email;
+    case 'commit_email':
+      if (!userData.commit_email) {
+        throw new MissingEmailError(
+          'No commit email found on GitLab account. Please set a commit email in your GitLab settings, or use a different email source.'
+        );
+      }
+      return userData.commit_email;
+    case 'public_email':
+      if (!userData.public_email) {
+        throw new MissingEmailError(
+          'No public email found on GitLab account. Please set a public email in your GitLab profile, or use a different email source.'
+        );
+      }
+      return userData.public_email;
+    case 'noreply':
+      if (!userData.id || !userData.username) {
+        throw new MalformedResponseError(
+          'Cannot build noreply email: GitLab user data has no id or username.'
+        );
+      }
+      return `${userData.id}-${userData.username}@users.noreply.${hostname}`;
+    case 'verified':
+      throw new Error(
+        'The verified email source needs the account email list. Use getGitLabEmails and selectGitLabEmail instead.'
+      );
+    default:
+      throw new Error(
+        `Unknown email source "${emailSource}". Expected one of: ${emailSources.join(', ')}`
+      );
+  }
 }
 
 /**
- * Get primary email from GitLab user
+ * Pick an email from a list of verified addresses
  *
- * Note: This function parses the JSON response in JavaScript rather than using
- * glab's --jq flag, as the --jq flag is not available in all glab versions.
+ * With `emailMatch`, the first address matching the glob pattern is used (or
+ * `selectEmail` chooses among several matches). Without a pattern, a single
+ * address is used directly and several addresses are passed to `selectEmail`.
  *
+ * @param {string[]} emails - Verified email addresses
  * @param {Object} options - Options
- * @param {string} options.hostname - GitLab hostname (optional)
- * @param {boolean} options.verbose - Enable verbose logging
- * @param {Object} options.logger - Custom logger
- * @returns {Promise<string>} Primary email address
+ * @param {string} options.emailMatch - Glob pattern such as '*@company.com' (optional)
+ * @param {Function} options.selectEmail - Async callback choosing one of several addresses, e.g. an interactive prompt (optional)
+ * @returns {Promise<string>} Selected email address
+ * @throws {MissingEmailError} If there is no verified address or none matches
+ * @throws {Error} If no choice can be made among several addresses
  */
-export async function getGitLabEmail(options = {}) {
-  const { hostname, verbose = false, logger = console } = options;
-  const log = createDefaultLogger({ verbose, logger });
+export async function selectGitLabEmail(emails, options = {}) {
+  const { emailMatch, selectEmail } = options;
 
-  log.debug('Getting GitLab primary email...');
-
-  const args = ['api', 'user'];
-  if (hostname) {
-    args.push('--hostname', hostname);
+  if (emails.length === 0) {
+    throw new MissingEmailError(
+      'No verified emails found on GitLab account. Please confirm an email address in your GitLab settings.'
+    );
   }
 
-  const result = await $`glab ${args}`.run({ capture: true });
+  let candidates = emails;
+  if (emailMatch) {
+    const pattern = emailPatternToRegExp(emailMatch);
+    candidates = emails.filter((email) => pattern.test(email));
 
-  if (result.code !== 0) {
-    throw new Error(`Failed to get GitLab email: ${result.stderr}`);
+    if (candidates.length === 0) {
+      throw new MissingEmailError(
+        `No verified email on GitLab account matches "${emailMatch}". Verified emails: ${emails.join(', ')}`
+      );
+    }
   }
 
-  // Parse JSON response in JavaScript (glab's --jq flag is not available in all versions)
-  let userData;
-  try {
-    userData = JSON.parse(result.stdout.trim());
-  } catch (parseError) {
-    throw new Error(
-      `Failed to parse GitLab user data: ${parseError.message}. Raw output: ${result.stdout}`
-    );
+  if (candidates.length === 1 || (emailMatch && !selectEmail)) {
+    return candidates[0];
   }
 
-  const email = userData.email;
-
-  if (!email) {
+  if (!selectEmail) {
     throw new Error(
-      'No email found on GitLab account. Please set a primary email in your GitLab settings.'
+      `Several verified emails found on GitLab account (${candidates.join(', ')}). Please choose one with an email match pattern.`
     );
   }
 
-  log.debug(`GitLab primary email: ${email}`);
+  const selected = await selectEmail(candidates);
+  if (!candidates.includes(selected)) {
+    throw new Error(`Selected email "${selected}" is not a verified email`);
+  }
 
-  return email;
+  return selected;
 }
 
 /**
- * Get GitLab user information (username and primary email)
+ * Get the verified email addresses of the GitLab user
  *
- * Note: This function makes a single API call and parses both username and email
- * from the response, which is more efficient than calling getGitLabUsername and
- * getGitLabEmail separately.
+ * Lists `/user/emails` through glab, keeps confirmed addresses and puts the
+ * primary email first.
  *
  * @param {Object} options - Options
  * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<{username: string, email: string}>} User information
+ * @returns {Promise<string[]>} Verified email addresses
  */
-export async function getGitLabUserInfo(options = {}) {
-  const { hostname, verbose = false, logger = console } = options;
+export async function getGitLabEmails(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
   const log = createDefaultLogger({ verbose, logger });
 
-  log.debug('Getting GitLab user information...');
+  log.debug('Getting GitLab verified emails...');
 
-  const args = ['api', 'user'];
-  if (hostname) {
-    args.push('--hostname', hostname);
-  }
+  const userData = await fetchGitLabApi('user', {
+    hostname,
+    api,
+    executor,
+    purpose: 'email',
+  });
+  const emails = await fetchVerifiedEmails(userData, {
+    hostname,
+    api,
+    executor,
+  });
 
-  const result = await $`glab ${args}`.run({ capture: true });
+  log.debug(`GitLab verified emails: ${emails.join(', ')}`);
 
-  if (result.code !== 0) {
-    throw new Error(`Failed to get GitLab user info: ${result.stderr}`);
-  }
+  return emails;
+}
 
-  // Parse JSON response in JavaScript (glab's --jq flag is not available in all versions)
-  let userData;
-  try {
-    userData = JSON.parse(result.stdout.trim());
-  } catch (parseError) {
-    throw new Error(
-      `Failed to parse GitLab user data: ${parseError.message}. Raw output: ${result.stdout}`
-    );
+/**
+ * Resolve the email for any email source, including verified emails
+ * @param {Object} userData - Raw `/user` response
+ * @param {Object} options - Email source options (see getGitLabUserInfo)
+ * @returns {Promise<string>} Email address
+ */
+async function resolveEmail(userData, options) {
+  const { emailSource, hostname, api, executor, emailMatch, selectEmail } =
+    options;
+
+  if (emailSource !== 'verified') {
+    return resolveGitLabEmail(userData, { emailSource, hostname });
   }
 
-  const username = userData.username;
-  const email = userData.email;
+  const emails = await fetchVerifiedEmails(userData, {
+    hostname,
+    api,
+    executor,
+  });
+  return selectGitLabEmail(emails, { emailMatch, selectEmail });
+}
 
-  if (!username) {
-    throw new Error(
-      'No username found in GitLab user data. Please ensure your GitLab account has a username.'
-    );
-  }
+/**
+ * Get GitLab username from authenticated user
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string>} GitLab username
+ */
+export async function getGitLabUsername(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
 
-  if (!email) {
-    throw new Error(
-      'No email found on GitLab account. Please set a primary email in your GitLab settings.'
-    );
-  }
+  log.debug('Getting GitLab username...');
+
+  const userData = await fetchGitLabApi('user', {
+    hostname,
+    api,
+    executor,
+    purpose: 'username',
+  });
+  const username = resolveGitLabUsername(userData);
 
   log.debug(`GitLab username: ${username}`);
-  log.debug(`GitLab primary email: ${email}`);
 
-  return { username, email };
+  return username;
 }
 
 /**
- * Set git config value
+ * Get email from GitLab user
  *
- * @param {string} key - Config key (e.g., 'user.name')
- * @param {string} value - Config value
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.emailMatch - Glob pattern for the 'verified' source (e.g., '*@company.com')
+ * @param {Function} options.selectEmail - Async callback choosing among several verified emails
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<void>}
+ * @returns {Promise<string>} Email address
  */
-export async function setGitConfig(key, value, options = {}) {
-  const { scope = 'global', verbose = false, logger = console } = options;
+export async function getGitLabEmail(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    emailSource = 'primary',
+    emailMatch,
+    selectEmail,
+    verbose = false,
+    logger = console,
+  } = options;
   const log = createDefaultLogger({ verbose, logger });
 
-  const scopeFlag = scope === 'local' ? '--local' : '--global';
-
-  log.debug(`Setting git config ${key} = ${value} (${scope})`);
+  log.debug(`Getting GitLab email (${emailSource})...`);
 
-  const result = await $`git config ${scopeFlag} ${key} ${value}`.run({
-    capture: true,
+  const userData = await fetchGitLabApi('user', {
+    hostname,
+    api,
+    executor,
+    purpose: 'email',
+  });
+  const email = await resolveEmail(userData, {
+    emailSource,
+    hostname,
+    api,
+    executor,
+    emailMatch,
+    selectEmail,
   });
 
-  if (result.code !== 0) {
-    throw new Error(`Failed to set git config ${key}: ${result.stderr}`);
-  }
+  log.debug(`GitLab email (${emailSource}): ${email}`);
 
-  log.debug(`Successfully set git config ${key}`);
+  return email;
 }
 
 /**
- * Get git config value
+ * Get GitLab user information (username, name and email)
+ *
+ * Note: This function makes a single API call and parses username, name and
+ * email from the response, which is more efficient than calling
+ * getGitLabUsername and getGitLabEmail separately.
  *
- * @param {string} key - Config key (e.g., 'user.name')
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.nameSource - 'username', 'name', or a template (default: 'username')
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.emailMatch - Glob pattern for the 'verified' source (e.g., '*@company.com')
+ * @param {Function} options.selectEmail - Async callback choosing among several verified emails
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
- * @returns {Promise<string|null>} Config value or null if not set
+ * @returns {Promise<{username: string, name: string, email: string, nameSource: string, emailSource: string}>} User information
  */
-export async function getGitConfig(key, options = {}) {
-  const { scope = 'global', verbose = false, logger = console } = options;
+export async function getGitLabUserInfo(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    nameSource = 'username',
+    emailSource = 'primary',
+    emailMatch,
+    selectEmail,
+    verbose = false,
+    logger = console,
+  } = options;
   const log = createDefaultLogger({ verbose, logger });
 
-  const scopeFlag = scope === 'local' ? '--local' : '--global';
-
-  log.debug(`Getting git config ${key} (${scope})`);
-
-  const result = await $`git config ${scopeFlag} ${key}`.run({ capture: true });
+  log.debug('Getting GitLab user information...');
 
-  if (result.code !== 0) {
-    log.debug(`Git config ${key} not set`);
-    return null;
-  }
+  const userData = await fetchGitLabApi('user', { hostname, api, executor });
+  const username = resolveGitLabUsername(userData);
+  const name = resolveGitLabName(userData, { nameSource });
+  const email = await resolveEmail(userData, {
+    emailSource,
+    hostname,
+    api,
+    executor,
+    emailMatch,
+    selectEmail,
+  });
 
-  const value = result.stdout.trim();
-  log.debug(`Git config ${key} = ${value}`);
+  log.debug(`GitLab username: ${username}`);
+  log.debug(`GitLab name (${nameSource}): ${name}`);
+  log.debug(`GitLab email (${emailSource}): ${email}`);
 
-  return value;
+  return { username, name, email, nameSource, emailSource };
 }
 
 /**
@@ -557,82 +892,467 @@ export async function getGitConfig(key, options = {}) {
  *
  * @param {Object} options - Options
  * @param {string} options.hostname - GitLab hostname (optional)
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {string} options.nameSource - 'username', 'name', or a template such as '{name} ({username})' (default: 'username')
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.emailMatch - Glob pattern for the 'verified' source (e.g., '*@company.com')
+ * @param {Function} options.selectEmail - Async callback choosing among several verified emails
  * @param {boolean} options.dryRun - Dry run mode (default: false)
  * @param {boolean} options.verbose - Enable verbose logging (default: false)
  * @param {Object} options.logger - Custom logger (default: console)
- * @returns {Promise<{username: string, email: string}>} Configured identity
+ * @returns {Promise<{username: string, name: string, email: string, nameSource: string, emailSource: string}>} Configured identity
  */
 export async function setupGitIdentity(options = {}) {
   const {
     hostname,
+    api,
+    executor,
     scope = 'global',
+    configFile,
+    nameSource = 'username',
+    emailSource = 'primary',
+    emailMatch,
+    selectEmail,
     dryRun = false,
     verbose = false,
     logger = console,
   } = options;
 
   const log = createDefaultLogger({ verbose, logger });
+  // Validates the scope before any API call
+  const scopeFlag = formatGitConfigScope(scope, { configFile });
 
   log.log('\nFetching GitLab user information...');
 
   // Get GitLab user info
-  const { username, email } = await getGitLabUserInfo({
+  const identity = await getGitLabUserInfo({
     hostname,
+    api,
+    executor,
+    nameSource,
+    emailSource,
+    emailMatch,
+    selectEmail,
     verbose,
     logger,
   });
+  const { username, name, email } = identity;
 
   log.log(`  GitLab user: ${username}`);
-  log.log(`  GitLab email: ${email}`);
+  log.log(`  GitLab name: ${name} (${nameSource})`);
+  log.log(`  GitLab email: ${email} (${emailSource})`);
 
   if (dryRun) {
     log.log('DRY MODE: Would configure the following:');
-    log.log(`  git config --${scope} user.name "${username}"`);
-    log.log(`  git config --${scope} user.email "${email}"`);
-    return { username, email };
+    log.log(`  git config ${scopeFlag} user.name "${name}"`);
+    log.log(`  git config ${scopeFlag} user.email "${email}"`);
+    return identity;
   }
 
   // Set git config
   log.log(`\nConfiguring git (${scope})...`);
 
-  await setGitConfig('user.name', username, { scope, verbose, logger });
-  await setGitConfig('user.email', email, { scope, verbose, logger });
+  const configOptions = { scope, configFile, executor, verbose, logger };
+  await setGitConfig('user.name', name, configOptions);
+  await setGitConfig('user.email', email, configOptions);
 
   log.log('  Git identity configured successfully!');
 
-  return { username, email };
+  return identity;
+}
+
+/**
+ * Setup a per-directory git identity profile based on GitLab user
+ *
+ * Writes user.name and user.email into a dedicated config file
+ * (default: ~/.gitconfig.d/<profile>) and registers an
+ * `includeIf "gitdir:<directory>"` block in the global git config, so the
+ * identity only applies to repositories below the directory.
+ * Running it again with the same options is a no-op apart from refreshing the
+ * identity in the profile file.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.directory - Directory prefix the profile applies to (e.g., '~/work')
+ * @param {string} options.profile - Profile name (default: directory name)
+ * @param {string} options.profileDir - Directory holding profile files (default: ~/.gitconfig.d)
+ * @param {string} options.nameSource - 'username', 'name', or a template (default: 'username')
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.emailMatch - Glob pattern for the 'verified' source (e.g., '*@company.com')
+ * @param {Function} options.selectEmail - Async callback choosing among several verified emails
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Custom logger (default: console)
+ * @returns {Promise<{username: string, name: string, email: string, nameSource: string, emailSource: string, profile: string, configFile: string, gitdir: string}>} Configured profile
+ */
+export async function setupGitIdentityProfile(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    directory,
+    profile,
+    profileDir,
+    nameSource = 'username',
+    emailSource = 'primary',
+    emailMatch,
+    selectEmail,
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  const gitdir = normalizeProfileGitdir(directory);
+  const name = resolveProfileName(profile, directory);
+  const configFile = getProfileConfigPath(name, { profileDir });
+
+  log.log('\nFetching GitLab user information...');
+
+  const identity = await getGitLabUserInfo({
+    hostname,
+    api,
+    executor,
+    nameSource,
+    emailSource,
+    emailMatch,
+    selectEmail,
+    verbose,
+    logger,
+  });
+
+  log.log(`  GitLab user: ${identity.username}`);
+  log.log(`  GitLab name: ${identity.name} (${nameSource})`);
+  log.log(`  GitLab email: ${identity.email} (${emailSource})`);
+
+  const result = { ...identity, profile: name, configFile, gitdir };
+
+  if (dryRun) {
+    log.log('DRY MODE: Would configure the following:');
+    log.log(`  git config --file ${configFile} user.name "${identity.name}"`);
+    log.log(`  git config --file ${configFile} user.email "${identity.email}"`);
+    log.log(
+      `  git config --global --add includeIf.gitdir:${gitdir}.path "${configFile}"`
+    );
+    return result;
+  }
+
+  log.log(`\nConfiguring git profile "${name}"...`);
+
+  await writeProfileConfig(configFile, identity, {
+    executor,
+    verbose,
+    logger,
+  });
+  const added = await registerProfileInclude(gitdir, configFile, {
+    executor,
+    verbose,
+    logger,
+  });
+
+  log.log(
+    added
+      ? `  Registered includeIf "gitdir:${gitdir}" in global git config`
+      : `  includeIf "gitdir:${gitdir}" already registered`
+  );
+  log.log('  Git identity profile configured successfully!');
+
+  return result;
+}
+
+/**
+ * Get the host of a repository, or the reason it is skipped
+ * @param {string} directory - Repository working tree
+ * @param {string[]} hostnames - GitLab hostnames to accept
+ * @param {Object} options - Logger options
+ * @returns {Promise<{host: string|null, reason?: string}>} Host, with a reason when skipped
+ */
+async function matchRepositoryHost(directory, hostnames, options) {
+  let host;
+  try {
+    host = await getRepositoryHost(directory, options);
+  } catch (error) {
+    return { host: null, reason: error.message };
+  }
+
+  if (!host) {
+    return { host: null, reason: 'no remote host' };
+  }
+  if (!hostnames.includes(host)) {
+    return { host, reason: `remote host ${host}` };
+  }
+  return { host };
+}
+
+/**
+ * Setup the git identity in the local config of every repository under a directory
+ *
+ * Repositories whose remotes point at one of the hostnames get the identity
+ * of that host; the others are skipped. The GitLab user information is
+ * fetched once per host.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.directory - Directory to search for repositories
+ * @param {string|string[]} options.hostname - GitLab hostname(s) to accept (default: gitlab.com)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.submodules - Include submodules (default: false)
+ * @param {string} options.nameSource - 'username', 'name', or a template (default: 'username')
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.emailMatch - Glob pattern for the 'verified' source (e.g., '*@company.com')
+ * @param {Function} options.selectEmail - Async callback choosing among several verified emails
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Object} options.logger - Custom logger (default: console)
+ * @returns {Promise<Array<{path: string, host: string|null, submodule: boolean, status: string, reason?: string}>>} Per-repository report; status is 'changed', 'unchanged', 'skipped' or 'failed'
+ */
+export async function setupGitIdentityRecursive(options = {}) {
+  const {
+    directory,
+    hostname = defaultAuthOptions.hostname,
+    executor,
+    submodules = false,
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const hostnames = [hostname].flat();
+
+  if (!directory) {
+    throw new Error('A directory is required to search for repositories');
+  }
+
+  log.log(`\nSearching for git repositories in ${directory}...`);
+
+  const repositories = await findGitRepositories(directory, { submodules });
+  const identities = new Map();
+  const report = [];
+
+  if (dryRun) {
+    log.log('DRY MODE: Would configure the following:');
+  }
+
+  for (const { path, submodule } of repositories) {
+    const { host, reason } = await matchRepositoryHost(path, hostnames, {
+      executor,
+      verbose,
+      logger,
+    });
+    const row = { path, host, submodule };
+
+    try {
+      if (reason) {
+        Object.assign(row, { status: 'skipped', reason });
+      } else {
+        // One lookup per host; a failed lookup fails its repositories alike
+        if (!identities.has(host)) {
+          identities.set(
+            host,
+            getGitLabUserInfo({ ...options, hostname: host })
+          );
+        }
+        row.status = await applyRepositoryIdentity(
+          path,
+          await identities.get(host),
+          { dryRun, executor, verbose, logger }
+        );
+      }
+    } catch (error) {
+      Object.assign(row, { status: 'failed', reason: error.message });
+    }
+
+    log.log(
+      `  ${row.status.padEnd(9)} ${path}${row.reason ? ` (${row.reason})` : ''}`
+    );
+    report.push(row);
+  }
+
+  if (repositories.length === 0) {
+    log.warn(`  Warning: No git repositories found in ${directory}.`);
+  }
+
+  return report;
 }
 
 /**
  * Verify git identity is configured correctly
  *
  * @param {Object} options - Options
- * @param {string} options.scope - 'global' or 'local' (default: 'global')
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {Function} options.executor - Command executor (see executor.js)
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {Object} options.logger - Custom logger
  * @returns {Promise<{username: string|null, email: string|null}>} Current git identity
  */
 export async function verifyGitIdentity(options = {}) {
-  const { scope = 'global', verbose = false, logger = console } = options;
+  const {
+    scope = 'global',
+    configFile,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
 
-  const username = await getGitConfig('user.name', { scope, verbose, logger });
-  const email = await getGitConfig('user.email', { scope, verbose, logger });
+  const configOptions = { scope, configFile, executor, verbose, logger };
+  const username = await getGitConfig('user.name', configOptions);
+  const email = await getGitConfig('user.email', configOptions);
 
   return { username, email };
 }
 
+/**
+ * Exit codes of the CLI --check mode, keyed by checkGitIdentity status
+ */
+export const identityCheckExitCodes = {
+  match: 0,
+  mismatch: 2,
+  unset: 3,
+  unauthenticated: 4,
+};
+
+/**
+ * Compare the configured git identity with the GitLab identity
+ *
+ * Nothing is changed. With the 'verified' email source and several verified
+ * addresses, a configured address that is one of them counts as a match.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {string} options.nameSource - 'username', 'name', or a template (default: 'username')
+ * @param {string} options.emailSource - One of emailSources (default: 'primary')
+ * @param {string} options.emailMatch - Glob pattern for the 'verified' source (e.g., '*@company.com')
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{status: string, expected: Object|null, actual: Object, differences: Array<{key: string, expected: string, actual: string|null}>}>} Check result; status is 'match', 'mismatch', 'unset' or 'unauthenticated'
+ */
+export async function checkGitIdentity(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    scope = 'global',
+    configFile,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const configOptions = { scope, configFile, executor, verbose, logger };
+  const actual = {
+    name: await getGitConfig('user.name', configOptions),
+    email: await getGitConfig('user.email', configOptions),
+  };
+
+  if (
+    !(await isGlabAuthenticated({ hostname, api, executor, verbose, logger }))
+  ) {
+    return {
+      status: 'unauthenticated',
+      expected: null,
+      actual,
+      differences: [],
+    };
+  }
+
+  const expected = await getGitLabUserInfo({
+    ...options,
+    selectEmail: (candidates) =>
+      candidates.includes(actual.email) ? actual.email : candidates[0],
+  });
+
+  const differences = ['name', 'email']
+    .filter((field) => actual[field] !== expected[field])
+    .map((field) => ({
+      key: `user.${field}`,
+      expected: expected[field],
+      actual: actual[field],
+    }));
+
+  let status = 'match';
+  if (differences.some((difference) => difference.actual === null)) {
+    status = 'unset';
+  } else if (differences.length > 0) {
+    status = 'mismatch';
+  }
+
+  return { status, expected, actual, differences };
+}
+
 export default {
   defaultAuthOptions,
+  nameSources,
+  emailSources,
+  identityCheckExitCodes,
+  errorExitCodes,
+  getErrorExitCode,
+  GlabSetupError,
+  GlabNotFoundError,
+  GitLabApiError,
+  NotAuthenticatedError,
+  MalformedResponseError,
+  MissingEmailError,
+  GitConfigError,
+  defaultExecutor,
+  setExecutor,
+  getExecutor,
+  runCommand,
+  gitLabApiClients,
+  fetchGitLabApi,
+  getGitLabApiBase,
+  resolveGitLabApiClient,
   getGlabPath,
+  listGlabHosts,
+  clearApiCache,
   isGlabAuthenticated,
   runGlabAuthLogin,
+  runGlabAuthLogout,
   runGlabAuthSetupGit,
+  getGitCredentialHelpers,
+  inspectGitCredentialHelpers,
+  removeGlabCredentialHelper,
+  credentialHelpers,
+  getGitLabToken,
+  runGitCredential,
   getGitLabUsername,
   getGitLabEmail,
+  getGitLabEmails,
+  selectGitLabEmail,
   getGitLabUserInfo,
+  resolveGitLabName,
+  resolveGitLabEmail,
   setGitConfig,
   getGitConfig,
+  formatGitConfigScope,
   setupGitIdentity,
+  setupGitIdentityProfile,
+  setupGitIdentityRecursive,
+  removeGitIdentityProfile,
   verifyGitIdentity,
+  checkGitIdentity,
+  findSshPublicKey,
+  getGitLabSshKeys,
+  setupSshSigning,
+  getGitLabGpgKeys,
+  listLocalGpgKeys,
+  setupGpgSigning,
+  verifyCommitSigning,
+  writeAllowedSigners,
+  setupSshKey,
+  writeSshConfig,
+  readJournal,
+  restoreJournalRun,
+  setJournalEnabled,
+  detectGitLabHostname,
 };
@@ -0,0 +1,445 @@
+/**
+ * glab-setup-git-identity - Backup journal of config changes
+ *
+ * Before a git config value or a file is changed, its previous state is
+ * appended to a JSON Lines journal (by default
+ * ~/.config/glab-setup-git-identity/journal.jsonl). Every entry carries the
+ * run ID, time, user and machine, so the journal doubles as an audit log.
+ * restoreJournalRun() replays a run in reverse to put the old state back.
+ *
+ * Recording is off until setJournalEnabled(true) is called, which the CLI
+ * does, so that using the library does not write to the home directory.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { appendFile, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { homedir, hostname as machineHostname, userInfo } from 'node:os';
+import { dirname, join } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { GitConfigError } from './errors.js';
+import { runCommand } from './executor.js';
+
+/**
+ * Whether changes are recorded
+ */
+let journalEnabled = false;
+
+/**
+ * Run ID shared by every change recorded by this process
+ */
+let currentRunId = null;
+
+/**
+ * Targets already snapshotted in this run; only the first previous state matters
+ */
+const recordedTargets = new Set();
+
+/**
+ * Get the journal file location
+ *
+ * Uses GLAB_SETUP_GIT_IDENTITY_JOURNAL when set, otherwise journal.jsonl in
+ * $XDG_CONFIG_HOME/glab-setup-git-identity (default: ~/.config).
+ *
+ * @returns {string} Path to the journal file
+ */
+export function getJournalFile() {
+  if (process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL) {
+    return process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+  }
+
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'glab-setup-git-identity', 'journal.jsonl');
+}
+
+/**
+ * Turn recording of changes on or off for the whole process
+ *
+ * @param {boolean} enabled - Whether to record changes
+ * @returns {boolean} Previous setting
+ */
+export function setJournalEnabled(enabled) {
+  const previous = journalEnabled;
+  journalEnabled = Boolean(enabled);
+  return previous;
+}
+
+/**
+ * Tell whether changes are recorded
+ * @returns {boolean} True after setJournalEnabled(true)
+ */
+export function isJournalEnabled() {
+  return journalEnabled;
+}
+
+/**
+ * Get the ID of the current run, creating it on first use
+ * @returns {string} Run ID (e.g., '20240501T120000Z-3f9a1c')
+ */
+export function getJournalRunId() {
+  if (!currentRunId) {
+    const stamp = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+    currentRunId = `${stamp}-${randomBytes(3).toString('hex')}`;
+  }
+  return currentRunId;
+}
+
+/**
+ * Start a new run: later changes are journaled under a fresh run ID
+ *
+ * The CLI gets one run per process; library users can call this to split
+ * changes made by one process into separately restorable runs.
+ *
+ * @returns {string} New run ID
+ */
+export function startJournalRun() {
+  currentRunId = null;
+  recordedTargets.clear();
+  return getJournalRunId();
+}
+
+/**
+ * Get the name of the user running the tool
+ * @returns {string} User name
+ */
+function getUserName() {
+  try {
+    return userInfo().username;
+  } catch {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+/**
+ * Append an entry to the journal
+ * @param {Object} entry - Change details
+ * @returns {Promise<void>}
+ */
+async function appendJournalEntry(entry) {
+  const file = getJournalFile();
+  const record = {
+    runId: getJournalRunId(),
+    time: new Date().toISOString(),
+    user: getUserName(),
+    machine: machineHostname(),
+    ...entry,
+  };
+
+  await mkdir(dirname(file), { recursive: true, mode: 0o700 });
+  await appendFile(file, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Resolve git config scope arguments into a stable location
+ *
+ * The local and worktree scopes are stored as absolute config file paths, so
+ * a restore works from any directory.
+ *
+ * @param {string[]} scopeArgs - git config scope arguments (e.g., ['--local'])
+ * @param {Function} executor - Command executor (optional)
+ * @returns {Promise<string[]>} git config arguments selecting the location
+ */
+async function resolveConfigTarget(scopeArgs, executor) {
+  const gitPath = { '--local': 'config', '--worktree': 'config.worktree' }[
+    scopeArgs[0]
+  ];
+  if (!gitPath) {
+    return scopeArgs;
+  }
+
+  const result = await runCommand(
+    'git',
+    ['rev-parse', '--path-format=absolute', '--git-path', gitPath],
+    { executor }
+  );
+
+  return result.code === 0 ? ['--file', result.stdout.trim()] : scopeArgs;
+}
+
+/**
+ * Record the values of a git config key before it is changed
+ *
+ * Does nothing unless the journal is enabled.
+ *
+ * @param {string} key - Config key (e.g., 'user.name')
+ * @param {Object} options - Options
+ * @param {string[]} options.scopeArgs - git config scope arguments (default: ['--global'])
+ * @param {string[]} options.target - Resolved location arguments, instead of scopeArgs
+ * @param {string} options.action - Short description of the change (e.g., 'set')
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @returns {Promise<void>}
+ */
+export async function recordGitConfigChange(key, options = {}) {
+  const { scopeArgs = ['--global'], action = 'set', executor } = options;
+  if (!journalEnabled) {
+    return;
+  }
+
+  const target =
+    options.target || (await resolveConfigTarget(scopeArgs, executor));
+  const id = `git-config:${target.join(' ')}:${key.toLowerCase()}`;
+  if (recordedTargets.has(id)) {
+    return;
+  }
+  recordedTargets.add(id);
+
+  const result = await runCommand(
+    'git',
+    ['config', ...target, '--get-all', key],
+    {
+      executor,
+    }
+  );
+  const previous =
+    result.code === 0 ? result.stdout.replace(/\n$/, '').split('\n') : [];
+
+  await appendJournalEntry({
+    type: 'git-config',
+    target,
+    key,
+    action,
+    previous,
+  });
+}
+
+/**
+ * Record the contents of a file before it is written or removed
+ *
+ * Does nothing unless the journal is enabled.
+ *
+ * @param {string} file - File path
+ * @param {Object} options - Options
+ * @param {string} options.action - Short description of the change (e.g., 'write')
+ * @returns {Promise<void>}
+ */
+export async function recordFileChange(file, options = {}) {
+  const { action = 'write' } = options;
+  if (!journalEnabled) {
+    return;
+  }
+
+  const id = `file:${file}`;
+  if (recordedTargets.has(id)) {
+    return;
+  }
+  recordedTargets.add(id);
+
+  const previous = await readFile(file, 'utf8').catch(() => null);
+
+  await appendJournalEntry({ type: 'file', path: file, action, previous });
+}
+
+/**
+ * Read all journal entries
+ * @returns {Promise<Object[]>} Entries in the order they were recorded
+ */
+export async function readJournal() {
+  const content = await readFile(getJournalFile(), 'utf8').catch(() => '');
+
+  return content
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Group journal entries into runs
+ *
+ * @param {Object[]} entries - Entries from readJournal
+ * @returns {Array<{runId: string, time: string, user: string, machine: string, restores: string|null, restoredBy: string|null, entries: Object[]}>} Runs, oldest first
+ */
+export function groupJournalRuns(entries) {
+  const runs = new Map();
+
+  for (const entry of entries) {
+    if (!runs.has(entry.runId)) {
+      runs.set(entry.runId, {
+        runId: entry.runId,
+        time: entry.time,
+        user: entry.user,
+        machine: entry.machine,
+        restores: null,
+        restoredBy: null,
+        entries: [],
+      });
+    }
+    const run = runs.get(entry.runId);
+    if (entry.type === 'restore') {
+      run.restores = entry.restores;
+    } else {
+      run.entries.push(entry);
+    }
+  }
+
+  for (const run of runs.values()) {
+    if (run.restores && runs.has(run.restores)) {
+      runs.get(run.restores).restoredBy = run.runId;
+    }
+  }
+
+  return [...runs.values()];
+}
+
+/**
+ * Put a git config key back to its recorded values
+ * @param {Object} entry - git-config journal entry
+ * @param {Function} executor - Command executor (optional)
+ * @returns {Promise<void>}
+ */
+async function restoreGitConfigEntry(entry, executor) {
+  const { target, key, previous } = entry;
+
+  // Exit code 5 means the key was not set, which is fine
+  const unset = await runCommand(
+    'git',
+    ['config', ...target, '--unset-all', key],
+    { executor }
+  );
+  if (unset.code !== 0 && unset.code !== 5) {
+    throw new GitConfigError(
+      `Failed to restore git config ${key}: ${unset.stderr}`
+    );
+  }
+
+  for (const value of previous) {
+    const result = await runCommand(
+      'git',
+      ['config', ...target, '--add', key, value],
+      { executor }
+    );
+    if (result.code !== 0) {
+      throw new GitConfigError(
+        `Failed to restore git config ${key}: ${result.stderr}`
+      );
+    }
+  }
+}
+
+/**
+ * Put a file back to its recorded contents
+ * @param {Object} entry - file journal entry
+ * @returns {Promise<void>}
+ */
+async function restoreFileEntry(entry) {
+  if (entry.previous === null) {
+    await rm(entry.path, { force: true });
+    return;
+  }
+
+  await mkdir(dirname(entry.path), { recursive: true });
+  await writeFile(entry.path, entry.previous);
+}
+
+/**
+ * Describe a journal entry for output
+ * @param {Object} entry - Journal entry
+ * @returns {string} Human readable description of the restore
+ */
+function describeRestore(entry) {
+  if (entry.type === 'file') {
+    return entry.previous === null
+      ? `rm ${entry.path}`
+      : `restore ${entry.path}`;
+  }
+
+  const target = entry.target.join(' ');
+  if (entry.previous.length === 0) {
+    return `git config ${target} --unset-all ${entry.key}`;
+  }
+  return entry.previous
+    .map((value) => `git config ${target} ${entry.key} "${value}"`)
+    .join('\n  ');
+}
+
+/**
+ * Restore the state recorded for a run by replaying its entries in reverse
+ *
+ * Without a run ID, the last run that changed something and has not been
+ * restored yet is used. The restore itself is journaled as a new run, so it
+ * can be undone as well, even when recording is otherwise off.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.runId - Run to restore (default: the last run)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{runId: string, restored: number}>} Restored run and number of entries
+ * @throws {Error} If the journal has no matching run
+ */
+export async function restoreJournalRun(options = {}) {
+  const {
+    runId,
+    dryRun = false,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const runs = groupJournalRuns(await readJournal());
+  const run = runId
+    ? runs.find((candidate) => candidate.runId === runId)
+    : runs
+        .filter(
+          (candidate) =>
+            !candidate.restores &&
+            !candidate.restoredBy &&
+            candidate.entries.length > 0
+        )
+        .pop();
+
+  if (!run) {
+    throw new Error(
+      runId
+        ? `Run ${runId} not found in ${getJournalFile()}`
+        : `Nothing to restore in ${getJournalFile()}`
+    );
+  }
+
+  const entries = [...run.entries].reverse();
+
+  if (dryRun) {
+    log.log(`DRY MODE: Would restore run ${run.runId} (${run.time}):`);
+    for (const entry of entries) {
+      log.log(`  ${describeRestore(entry)}`);
+    }
+    return { runId: run.runId, restored: 0 };
+  }
+
+  // The restore is a run of its own, so it can be undone separately
+  startJournalRun();
+  await appendJournalEntry({ type: 'restore', restores: run.runId });
+
+  const wasEnabled = setJournalEnabled(true);
+  try {
+    for (const entry of entries) {
+      log.debug(describeRestore(entry));
+      if (entry.type === 'git-config') {
+        await recordGitConfigChange(entry.key, {
+          target: entry.target,
+          action: 'restore',
+          executor,
+        });
+        await restoreGitConfigEntry(entry, executor);
+      } else if (entry.type === 'file') {
+        await recordFileChange(entry.path, { action: 'restore' });
+        await restoreFileEntry(entry);
+      }
+    }
+  } finally {
+    setJournalEnabled(wasEnabled);
+  }
+
+  startJournalRun();
+
+  log.log(`Restored ${entries.length} change(s) from run ${run.runId}.`);
+
+  return { runId: run.runId, restored: entries.length };
+}
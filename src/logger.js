@@ -0,0 +1,22 @@
+/**
+ * glab-setup-git-identity - Logger helpers shared by the library modules
+ */
+
+/**
+ * Create a logger instance
+ * This can be customized by users when using the library
+ */
+export function createDefaultLogger(options = {}) {
+  const { verbose = false, logger = console } = options;
+
+  return {
+    log: (...args) => logger.log(...args),
+    error: (...args) => (logger.error || logger.log)(...args),
+    warn: (...args) => (logger.warn || logger.log)(...args),
+    debug: (...args) => {
+      if (verbose) {
+        (logger.debug || logger.log)(...args);
+      }
+    },
+  };
+}
@@ -0,0 +1,309 @@
+/**
+ * glab-setup-git-identity - Per-directory identity profiles
+ *
+ * A profile is a dedicated git config file (by default ~/.gitconfig.d/<profile>)
+ * that holds user.name and user.email. The global git config pulls it in with an
+ * `includeIf "gitdir:<directory>"` block, so the identity only applies to
+ * repositories below that directory.
+ */
+
+import { mkdir, rm, stat } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { basename, dirname, isAbsolute, join, resolve } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { GitConfigError } from './errors.js';
+import { runCommand } from './executor.js';
+import { recordFileChange, recordGitConfigChange } from './journal.js';
+
+/**
+ * Get the default directory where profile config files are stored
+ * @returns {string} Path to ~/.gitconfig.d
+ */
+export function getDefaultProfileDir() {
+  return join(homedir(), '.gitconfig.d');
+}
+
+/**
+ * Normalize a directory prefix into an includeIf gitdir pattern
+ *
+ * Paths starting with `~` are kept as-is (git expands them itself), other paths
+ * are made absolute. A trailing slash is always added so the pattern matches
+ * every repository below the directory.
+ *
+ * @param {string} directory - Directory prefix (e.g., '~/work')
+ * @returns {string} gitdir pattern (e.g., '~/work/')
+ */
+export function normalizeProfileGitdir(directory) {
+  if (!directory) {
+    throw new Error('A directory is required for an identity profile');
+  }
+
+  let gitdir = directory.replace(/\\/g, '/');
+  if (gitdir !== '~' && !gitdir.startsWith('~/') && !isAbsolute(gitdir)) {
+    gitdir = resolve(gitdir).replace(/\\/g, '/');
+  }
+
+  return gitdir.endsWith('/') ? gitdir : `${gitdir}/`;
+}
+
+/**
+ * Resolve the profile name, defaulting to the directory name
+ *
+ * @param {string} [profile] - Explicit profile name
+ * @param {string} [directory] - Directory prefix used as a fallback
+ * @returns {string} Profile name safe to use as a file name
+ */
+export function resolveProfileName(profile, directory) {
+  const source =
+    profile || (directory ? basename(directory.replace(/[\\/]+$/, '')) : '');
+  const name = source.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+/, '');
+
+  if (!name) {
+    throw new Error(
+      'Unable to determine profile name. Please provide a profile name or directory.'
+    );
+  }
+
+  return name;
+}
+
+/**
+ * Get the path of the config file for a profile
+ *
+ * @param {string} profile - Profile name
+ * @param {Object} options - Options
+ * @param {string} options.profileDir - Directory holding profile files (default: ~/.gitconfig.d)
+ * @returns {string} Absolute path to the profile config file
+ */
+export function getProfileConfigPath(profile, options = {}) {
+  const { profileDir = getDefaultProfileDir() } = options;
+  return join(resolve(profileDir), profile);
+}
+
+/**
+ * Write the identity into a profile config file
+ *
+ * @param {string} configFile - Path to the profile config file
+ * @param {Object} identity - Identity to write
+ * @param {string} identity.name - Value for user.name
+ * @param {string} identity.email - Value for user.email
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<void>}
+ */
+export async function writeProfileConfig(configFile, identity, options = {}) {
+  const { executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  await mkdir(dirname(configFile), { recursive: true });
+  await recordFileChange(configFile, { action: 'write profile' });
+
+  for (const [key, value] of [
+    ['user.name', identity.name],
+    ['user.email', identity.email],
+  ]) {
+    log.debug(`Setting ${key} = ${value} in ${configFile}`);
+
+    const result = await runCommand(
+      'git',
+      ['config', '--file', configFile, key, value],
+      { executor }
+    );
+
+    if (result.code !== 0) {
+      throw new GitConfigError(
+        `Failed to write ${key} to ${configFile}: ${result.stderr}`
+      );
+    }
+  }
+}
+
+/**
+ * Register an includeIf gitdir block pointing at a profile config file
+ *
+ * Existing includes for the same directory are preserved; the profile file is
+ * only added when it is not already included.
+ *
+ * @param {string} gitdir - Normalized gitdir pattern
+ * @param {string} configFile - Path to the profile config file
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<boolean>} True if the include was added, false if it already existed
+ */
+export async function registerProfileInclude(gitdir, configFile, options = {}) {
+  const { executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const key = `includeIf.gitdir:${gitdir}.path`;
+
+  const existing = await runCommand(
+    'git',
+    ['config', '--global', '--get-all', key],
+    { executor }
+  );
+
+  if (
+    existing.code === 0 &&
+    existing.stdout
+      .split('\n')
+      .map((line) => line.trim())
+      .includes(configFile)
+  ) {
+    log.debug(`Include for ${gitdir} already points at ${configFile}`);
+    return false;
+  }
+
+  log.debug(`Adding ${key} = ${configFile}`);
+
+  await recordGitConfigChange(key, {
+    action: 'add profile include',
+    executor,
+  });
+
+  const result = await runCommand(
+    'git',
+    ['config', '--global', '--add', key, configFile],
+    { executor }
+  );
+
+  if (result.code !== 0) {
+    throw new GitConfigError(`Failed to register ${key}: ${result.stderr}`);
+  }
+
+  return true;
+}
+
+/**
+ * Find the includeIf keys in the global config that point at a profile file
+ *
+ * @param {string} configFile - Path to the profile config file
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @returns {Promise<string[]>} Matching config keys (e.g., 'includeif.gitdir:~/work/.path')
+ */
+export async function findProfileIncludes(configFile, options = {}) {
+  const { executor } = options;
+
+  const result = await runCommand(
+    'git',
+    ['config', '--global', '--get-regexp', '^includeif\\..*\\.path$'],
+    { executor }
+  );
+
+  if (result.code !== 0 || !result.stdout) {
+    return [];
+  }
+
+  const keys = [];
+  for (const line of result.stdout.split('\n')) {
+    const separator = line.indexOf(' ');
+    if (separator === -1) {
+      continue;
+    }
+    if (line.slice(separator + 1).trim() === configFile) {
+      keys.push(line.slice(0, separator));
+    }
+  }
+
+  return [...new Set(keys)];
+}
+
+/**
+ * Remove a per-directory identity profile
+ *
+ * Unregisters every includeIf block pointing at the profile file and deletes
+ * the file itself. includeIf sections left without any path are removed too.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.profile - Profile name (optional if directory is given)
+ * @param {string} options.directory - Directory prefix used to derive the profile name
+ * @param {string} options.profileDir - Directory holding profile files (default: ~/.gitconfig.d)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{profile: string, configFile: string, removed: boolean}>} Removal result
+ */
+export async function removeGitIdentityProfile(options = {}) {
+  const {
+    profile,
+    directory,
+    profileDir,
+    dryRun = false,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  const name = resolveProfileName(profile, directory);
+  const configFile = getProfileConfigPath(name, { profileDir });
+  const keys = await findProfileIncludes(configFile, { executor });
+  const fileExists = await stat(configFile).then(
+    () => true,
+    () => false
+  );
+
+  if (keys.length === 0 && !fileExists) {
+    log.log(`Profile "${name}" is not configured. Nothing to remove.`);
+    return { profile: name, configFile, removed: false };
+  }
+
+  if (dryRun) {
+    log.log('DRY MODE: Would remove the following:');
+    for (const key of keys) {
+      log.log(`  git config --global --unset-all ${key} "${configFile}"`);
+    }
+    if (fileExists) {
+      log.log(`  rm ${configFile}`);
+    }
+    return { profile: name, configFile, removed: false };
+  }
+
+  for (const key of keys) {
+    log.debug(`Removing ${key} = ${configFile}`);
+
+    await recordGitConfigChange(key, { action: 'remove profile', executor });
+
+    const result = await runCommand(
+      'git',
+      ['config', '--global', '--fixed-value', '--unset-all', key, configFile],
+      { executor }
+    );
+
+    if (result.code !== 0) {
+      throw new GitConfigError(`Failed to unset ${key}: ${result.stderr}`);
+    }
+
+    // Drop the includeIf section when no other path is left in it
+    const remaining = await runCommand(
+      'git',
+      ['config', '--global', '--get-all', key],
+      { executor }
+    );
+    if (remaining.code !== 0) {
+      const section = key.slice(0, -'.path'.length);
+      await runCommand(
+        'git',
+        ['config', '--global', '--remove-section', section],
+        {
+          executor,
+        }
+      );
+    }
+  }
+
+  if (fileExists) {
+    await recordFileChange(configFile, { action: 'remove profile' });
+    await rm(configFile, { force: true });
+  }
+
+  log.log(`Profile "${name}" removed.`);
+
+  return { profile: name, configFile, removed: true };
+}
@@ -0,0 +1,141 @@
+/**
+ * glab-setup-git-identity - GitLab hostname detection from git remotes
+ *
+ * Inside a clone of a self-hosted project, the GitLab hostname can be taken
+ * from the remote URLs instead of defaulting to gitlab.com.
+ */
+
+import { createDefaultLogger } from './logger.js';
+import { runCommand } from './executor.js';
+
+/**
+ * Extract the hostname from a git remote URL
+ *
+ * Supports URLs with a scheme (https://, ssh://, git+ssh://, git://) and
+ * scp-style SSH URLs (git@host:group/project.git). User names and ports are
+ * dropped.
+ *
+ * @param {string} url - Remote URL
+ * @returns {string|null} Lowercased hostname, or null for local paths and unknown formats
+ */
+export function parseRemoteHost(url) {
+  const value = String(url || '').trim();
+
+  // scheme://[user@]host[:port]/path
+  const withScheme = value.match(
+    /^([a-z][a-z0-9+.-]*):\/\/(?:[^@/]*@)?([^/:]*)/i
+  );
+  if (withScheme) {
+    const [, scheme, host] = withScheme;
+    return scheme.toLowerCase() === 'file' || !host ? null : host.toLowerCase();
+  }
+
+  // [user@]host:path (scp-style); a slash before the colon means a local path
+  const scpStyle = value.match(/^(?:[^@/]+@)?([^/:]+):(?!\/\/)/);
+  if (scpStyle) {
+    return scpStyle[1].toLowerCase();
+  }
+
+  return null;
+}
+
+/**
+ * List the remotes of a repository
+ *
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Repository directory (default: current directory)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Array<{name: string, url: string, host: string|null}>>} Fetch URLs of the remotes (empty outside a repository)
+ */
+export async function listGitRemotes(options = {}) {
+  const { cwd, executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const directoryArgs = cwd ? ['-C', cwd] : [];
+  const result = await runCommand('git', [...directoryArgs, 'remote', '-v'], {
+    executor,
+  });
+
+  if (result.code !== 0) {
+    log.debug('Not inside a git repository; no remotes to inspect');
+    return [];
+  }
+
+  const remotes = [];
+  for (const line of result.stdout.split('\n')) {
+    const match = line.match(/^(\S+)\s+(\S+)\s+\(fetch\)$/);
+    if (match) {
+      remotes.push({
+        name: match[1],
+        url: match[2],
+        host: parseRemoteHost(match[2]),
+      });
+    }
+  }
+
+  return remotes;
+}
+
+/**
+ * Pick the GitLab hostname from a list of remotes
+ *
+ * The host of `origin` wins. Without `origin`, the remotes must agree on a
+ * single host; otherwise an error listing the candidates is thrown, with the
+ * hosts attached as `error.hosts`.
+ *
+ * @param {Array<{name: string, host: string|null}>} remotes - Remotes from listGitRemotes
+ * @param {Object} options - Options
+ * @param {string} options.remote - Remote to prefer (default: 'origin')
+ * @returns {string|null} Hostname, or null if no remote has a host
+ * @throws {Error} If the remotes point at several hosts
+ */
+export function selectRemoteHost(remotes, options = {}) {
+  const { remote = 'origin' } = options;
+
+  const preferred = remotes.find((entry) => entry.name === remote);
+  if (preferred && preferred.host) {
+    return preferred.host;
+  }
+
+  const hosts = [
+    ...new Set(remotes.map((entry) => entry.host).filter(Boolean)),
+  ];
+  if (hosts.length <= 1) {
+    return hosts[0] || null;
+  }
+
+  const error = new Error(
+    `Remotes point at several hosts: ${hosts.join(', ')}. Choose one with --hostname.`
+  );
+  error.hosts = hosts;
+  throw error;
+}
+
+/**
+ * Detect the GitLab hostname from the current repository's remotes
+ *
+ * @param {Object} options - Options
+ * @param {string} options.remote - Remote to prefer (default: 'origin')
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string|null>} Hostname, or null outside a repository or without remotes
+ * @throws {Error} If the remotes point at several hosts and none is preferred
+ */
+export async function detectGitLabHostname(options = {}) {
+  const { remote, executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const remotes = await listGitRemotes({ executor, verbose, logger });
+  const host = selectRemoteHost(remotes, { remote });
+
+  log.debug(
+    host
+      ? `Detected GitLab hostname ${host} from git remotes`
+      : 'No remote host found'
+  );
+
+  return host;
+}
@@ -0,0 +1,186 @@
+/**
+ * glab-setup-git-identity - Local identity for every repository under a directory
+ *
+ * Walks a directory tree for git checkouts (nested ones included, submodules
+ * on request) and writes user.name and user.email into the local config of
+ * each repository whose remotes point at the GitLab host.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { runCommand } from './executor.js';
+import { setGitConfig, getGitConfig } from './git-config.js';
+import { listGitRemotes, selectRemoteHost } from './remotes.js';
+
+/**
+ * Read the submodule paths declared in a repository's .gitmodules
+ * @param {string} directory - Repository working tree
+ * @returns {Promise<string[]>} Absolute submodule paths
+ */
+async function readSubmodulePaths(directory) {
+  const content = await readFile(join(directory, '.gitmodules'), 'utf8').catch(
+    () => ''
+  );
+
+  return [...content.matchAll(/^\s*path\s*=\s*(.+?)\s*$/gm)].map((match) =>
+    resolve(directory, match[1])
+  );
+}
+
+/**
+ * Find git repositories under a directory
+ *
+ * A directory with a `.git` entry (directory or file) is a repository. The
+ * walk continues inside repositories, so nested checkouts are found too.
+ * Submodules, as declared in the parent's .gitmodules, are skipped unless
+ * asked for. Symbolic links are not followed.
+ *
+ * @param {string} directory - Directory to search
+ * @param {Object} options - Options
+ * @param {boolean} options.submodules - Include submodules (default: false)
+ * @returns {Promise<Array<{path: string, submodule: boolean}>>} Repositories, sorted by path
+ */
+export async function findGitRepositories(directory, options = {}) {
+  const { submodules = false } = options;
+
+  const repositories = [];
+  const submodulePaths = new Set();
+
+  const walk = async (current) => {
+    const entries = await readdir(current, { withFileTypes: true }).catch(
+      () => []
+    );
+
+    if (entries.some((entry) => entry.name === '.git')) {
+      repositories.push({
+        path: current,
+        submodule: submodulePaths.has(current),
+      });
+      for (const path of await readSubmodulePaths(current)) {
+        submodulePaths.add(path);
+      }
+    }
+
+    for (const entry of entries) {
+      const child = join(current, entry.name);
+      if (
+        !entry.isDirectory() ||
+        entry.name === '.git' ||
+        (!submodules && submodulePaths.has(child))
+      ) {
+        continue;
+      }
+      await walk(child);
+    }
+  };
+
+  await walk(resolve(directory));
+
+  return repositories.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Get the GitLab host of a repository from its remotes
+ *
+ * @param {string} directory - Repository working tree
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string|null>} Hostname, or null without remotes
+ * @throws {Error} If the remotes point at several hosts and there is no origin
+ */
+export async function getRepositoryHost(directory, options = {}) {
+  const remotes = await listGitRemotes({ ...options, cwd: directory });
+  return selectRemoteHost(remotes);
+}
+
+/**
+ * Get the config file holding the local config of a repository
+ *
+ * For submodules and linked worktrees this is not `<directory>/.git/config`,
+ * so git is asked for the location.
+ *
+ * @param {string} directory - Repository working tree
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @returns {Promise<string>} Absolute path of the local config file
+ * @throws {Error} If the directory is not a git repository
+ */
+export async function getRepositoryConfigFile(directory, options = {}) {
+  const { executor } = options;
+
+  const result = await runCommand(
+    'git',
+    [
+      '-C',
+      directory,
+      'rev-parse',
+      '--path-format=absolute',
+      '--git-path',
+      'config',
+    ],
+    { executor }
+  );
+
+  if (result.code !== 0) {
+    throw new Error(
+      `${directory} is not a git repository: ${result.stderr.trim()}`
+    );
+  }
+
+  return result.stdout.trim();
+}
+
+/**
+ * Write user.name and user.email into the local config of a repository
+ *
+ * @param {string} directory - Repository working tree
+ * @param {{name: string, email: string}} identity - Identity to write
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<'changed'|'unchanged'>} Whether the config was (or would be) changed
+ */
+export async function applyRepositoryIdentity(
+  directory,
+  identity,
+  options = {}
+) {
+  const {
+    dryRun = false,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  const configOptions = {
+    scope: 'file',
+    configFile: await getRepositoryConfigFile(directory, { executor }),
+    executor,
+    verbose,
+    logger,
+  };
+
+  const values = { 'user.name': identity.name, 'user.email': identity.email };
+  const changes = [];
+  for (const [key, value] of Object.entries(values)) {
+    if ((await getGitConfig(key, configOptions)) !== value) {
+      changes.push([key, value]);
+    }
+  }
+
+  for (const [key, value] of changes) {
+    if (dryRun) {
+      log.debug(`Would set ${key} "${value}" in ${directory}`);
+      continue;
+    }
+    await setGitConfig(key, value, configOptions);
+  }
+
+  return changes.length > 0 ? 'changed' : 'unchanged';
+}
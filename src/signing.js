@@ -0,0 +1,682 @@
+/**
+ * glab-setup-git-identity - Commit signing setup
+ *
+ * GitLab shows SSH-signed commits as verified when the key is registered on
+ * the account with the "Signing" or "Authentication & Signing" usage type.
+ * GPG-signed commits are verified when the key is registered on the account
+ * and one of its UIDs carries the committer email.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { homedir, hostname as machineHostname } from 'node:os';
+import { join } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { runCommand } from './executor.js';
+import { fetchGitLabApi } from './glab-api.js';
+import {
+  setGitConfig,
+  getGitConfig,
+  formatGitConfigScope,
+} from './git-config.js';
+
+/**
+ * Key file names looked up in ~/.ssh, in order of preference
+ */
+export const defaultSshKeyNames = [
+  'id_ed25519',
+  'id_ed25519_sk',
+  'id_ecdsa',
+  'id_ecdsa_sk',
+  'id_rsa',
+];
+
+/**
+ * Parse an OpenSSH public key line
+ *
+ * @param {string} text - Public key (e.g., 'ssh-ed25519 AAAA... user@host')
+ * @returns {{type: string, data: string, comment: string}} Parsed key
+ * @throws {Error} If the text is not an OpenSSH public key
+ */
+export function parseSshPublicKey(text) {
+  const [type, data, ...comment] = String(text).trim().split(/\s+/);
+
+  if (!type || !data || !/^(ssh-|ecdsa-|sk-)/.test(type)) {
+    throw new Error('Not an OpenSSH public key');
+  }
+
+  return { type, data, comment: comment.join(' ') };
+}
+
+/**
+ * Check whether two public keys are the same key (comments are ignored)
+ * @param {string} a - Public key line
+ * @param {string} b - Public key line
+ * @returns {boolean} True if type and key data match
+ */
+export function isSameSshKey(a, b) {
+  try {
+    const left = parseSshPublicKey(a);
+    const right = parseSshPublicKey(b);
+    return left.type === right.type && left.data === right.data;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a public key file, returning null if it does not exist
+ * @param {string} file - Path to the public key file
+ * @returns {Promise<string|null>} Key contents
+ */
+async function readPublicKey(file) {
+  try {
+    return (await readFile(file, 'utf8')).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the local SSH public key to sign with
+ *
+ * Uses the given key file (a private key path is mapped to its `.pub` file),
+ * or the first existing key from defaultSshKeyNames in ~/.ssh.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.keyFile - Path to the key to use (optional)
+ * @param {string} options.sshDir - Directory searched for keys (default: ~/.ssh)
+ * @returns {Promise<{keyFile: string, key: string}>} Public key file and contents
+ * @throws {Error} If no usable public key is found
+ */
+export async function findSshPublicKey(options = {}) {
+  const { keyFile, sshDir = join(homedir(), '.ssh') } = options;
+
+  const candidates = keyFile
+    ? [keyFile.endsWith('.pub') ? keyFile : `${keyFile}.pub`, keyFile]
+    : defaultSshKeyNames.map((name) => join(sshDir, `${name}.pub`));
+
+  for (const file of candidates) {
+    const key = await readPublicKey(file);
+    if (key) {
+      parseSshPublicKey(key);
+      return { keyFile: file, key };
+    }
+  }
+
+  throw new Error(
+    keyFile
+      ? `SSH public key not found: ${keyFile}`
+      : `No SSH public key found in ${sshDir}. Generate one with: ssh-keygen -t ed25519`
+  );
+}
+
+/**
+ * Check whether a GitLab SSH key may be used for commit signing
+ *
+ * GitLab versions before signing support do not report a usage type; their
+ * keys are treated as authentication and signing keys.
+ *
+ * @param {Object} gitlabKey - Entry from the `/user/keys` API
+ * @returns {boolean} True if GitLab verifies signatures made with this key
+ */
+export function isSigningKey(gitlabKey) {
+  const usageType = gitlabKey.usage_type || 'auth_and_signing';
+  return usageType === 'signing' || usageType === 'auth_and_signing';
+}
+
+/**
+ * Get the SSH keys registered on the GitLab account
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Object[]>} Entries from the `/user/keys` API
+ */
+export async function getGitLabSshKeys(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug('Getting GitLab SSH keys...');
+
+  const keys = await fetchGitLabApi('user/keys', {
+    hostname,
+    api,
+    executor,
+    purpose: 'SSH keys',
+  });
+
+  return [keys].flat().filter(Boolean);
+}
+
+/**
+ * Check that a public key is registered as a signing key, uploading it if asked
+ * @param {string} key - Public key line
+ * @param {Object} options - Options (see setupSshSigning), plus the logger instance `log`
+ * @returns {Promise<{registered: boolean, uploaded: boolean}>} Registration state
+ */
+async function ensureSigningKeyRegistered(key, options) {
+  const {
+    hostname,
+    api,
+    executor,
+    upload,
+    title,
+    dryRun,
+    log,
+    verbose,
+    logger,
+  } = options;
+
+  const gitlabKeys = await getGitLabSshKeys({
+    hostname,
+    api,
+    executor,
+    verbose,
+    logger,
+  });
+  const registeredKey = gitlabKeys.find((entry) =>
+    isSameSshKey(entry.key, key)
+  );
+
+  if (registeredKey && isSigningKey(registeredKey)) {
+    log.log(`  Registered on GitLab as signing key "${registeredKey.title}"`);
+    return { registered: true, uploaded: false };
+  }
+
+  if (registeredKey) {
+    log.warn(
+      `  Warning: "${registeredKey.title}" is registered for authentication only. GitLab will show signed commits as unverified until the key's usage type includes signing.`
+    );
+    return { registered: false, uploaded: false };
+  }
+
+  if (!upload) {
+    log.warn(
+      '  Warning: The key is not registered on your GitLab account. GitLab will show signed commits as unverified. Re-run with the upload option to add it.'
+    );
+    return { registered: false, uploaded: false };
+  }
+
+  if (dryRun) {
+    log.log(`  Would upload the key to GitLab as signing key "${title}"`);
+    return { registered: false, uploaded: false };
+  }
+
+  await fetchGitLabApi('user/keys', {
+    hostname,
+    api,
+    executor,
+    purpose: 'SSH keys',
+    method: 'POST',
+    fields: { title, key, usage_type: 'signing' },
+  });
+  log.log(`  Uploaded the key to GitLab as signing key "${title}"`);
+
+  return { registered: true, uploaded: true };
+}
+
+/**
+ * Setup SSH commit signing with a key registered on the GitLab account
+ *
+ * Finds the local public key, checks whether it is registered on the account
+ * as a signing key (optionally uploading it), then sets `gpg.format=ssh`,
+ * `user.signingkey` and `commit.gpgsign=true`.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.keyFile - SSH key to sign with (default: first key found in ~/.ssh)
+ * @param {boolean} options.upload - Upload the key as a signing key if it is not registered (default: false)
+ * @param {string} options.title - Title for the uploaded key (default: '<machine hostname> signing key')
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{keyFile: string, registered: boolean, uploaded: boolean}>} Signing setup result
+ */
+export async function setupSshSigning(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    keyFile: requestedKeyFile,
+    upload = false,
+    title = `${machineHostname()} signing key`,
+    scope = 'global',
+    configFile,
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const scopeFlag = formatGitConfigScope(scope, { configFile });
+
+  log.log('\nSetting up SSH commit signing...');
+
+  const { keyFile, key } = await findSshPublicKey({
+    keyFile: requestedKeyFile,
+  });
+  log.log(`  SSH key: ${keyFile}`);
+
+  const { registered, uploaded } = await ensureSigningKeyRegistered(key, {
+    hostname,
+    api,
+    executor,
+    upload,
+    title,
+    dryRun,
+    log,
+    verbose,
+    logger,
+  });
+
+  const settings = [
+    ['gpg.format', 'ssh'],
+    ['user.signingkey', keyFile],
+    ['commit.gpgsign', 'true'],
+  ];
+
+  if (dryRun) {
+    log.log('DRY MODE: Would configure the following:');
+    for (const [configKey, value] of settings) {
+      log.log(`  git config ${scopeFlag} ${configKey} "${value}"`);
+    }
+    return { keyFile, registered, uploaded };
+  }
+
+  for (const [configKey, value] of settings) {
+    await setGitConfig(configKey, value, {
+      scope,
+      configFile,
+      executor,
+      verbose,
+      logger,
+    });
+  }
+
+  log.log('  Commit signing configured successfully!');
+
+  return { keyFile, registered, uploaded };
+}
+
+/**
+ * Get the current commit signing configuration
+ *
+ * @param {Object} options - Options
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{format: string|null, signingKey: string|null, gpgSign: string|null}>} Current signing configuration
+ */
+export async function verifyCommitSigning(options = {}) {
+  const {
+    scope = 'global',
+    configFile,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const configOptions = { scope, configFile, executor, verbose, logger };
+  const format = await getGitConfig('gpg.format', configOptions);
+  const signingKey = await getGitConfig('user.signingkey', configOptions);
+  const gpgSign = await getGitConfig('commit.gpgsign', configOptions);
+
+  return { format, signingKey, gpgSign };
+}
+
+/**
+ * Create a key entry from a `pub`/`sec` record of the gpg colon listing
+ * @param {string[]} fields - Colon-separated fields of the record
+ * @returns {Object} Key entry without fingerprint and UIDs
+ */
+function createGpgKeyEntry(fields) {
+  return {
+    fingerprint: '',
+    keyId: fields[4],
+    // Field 12 holds the capabilities of the whole key, uppercase 'S' = can sign
+    canSign: (fields[11] || '').includes('S'),
+    // Field 2 is the validity: 'r' = revoked, 'e' = expired
+    usable: !['r', 'e'].includes(fields[1]),
+    emails: [],
+    uids: [],
+    subkeyFingerprints: [],
+  };
+}
+
+/**
+ * Parse `gpg --with-colons` key listing output
+ *
+ * Only primary keys (`pub`/`sec` records) are returned; subkey fingerprints
+ * are collected in `subkeyFingerprints`.
+ *
+ * @param {string} output - Output of gpg --with-colons
+ * @returns {Array<{fingerprint: string, keyId: string, canSign: boolean, usable: boolean, emails: string[], uids: string[], subkeyFingerprints: string[]}>} Parsed keys
+ */
+export function parseGpgColonListing(output) {
+  const keys = [];
+  let current = null;
+  let pendingFingerprint = null;
+
+  for (const line of String(output).split('\n')) {
+    const fields = line.split(':');
+    const record = fields[0];
+
+    if (record === 'pub' || record === 'sec') {
+      current = createGpgKeyEntry(fields);
+      keys.push(current);
+      pendingFingerprint = 'primary';
+    } else if ((record === 'sub' || record === 'ssb') && current) {
+      pendingFingerprint = 'subkey';
+    } else if (record === 'fpr' && current && pendingFingerprint) {
+      if (pendingFingerprint === 'primary') {
+        current.fingerprint = fields[9];
+      } else {
+        current.subkeyFingerprints.push(fields[9]);
+      }
+      pendingFingerprint = null;
+    } else if (record === 'uid' && current) {
+      const uid = fields[9] || '';
+      const email = uid.match(/<([^>]+)>/);
+      current.uids.push(uid);
+      if (email) {
+        current.emails.push(email[1].toLowerCase());
+      }
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * List the secret GPG keys in the local keyring
+ *
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Object[]>} Parsed keys (see parseGpgColonListing)
+ * @throws {Error} If gpg is not available
+ */
+export async function listLocalGpgKeys(options = {}) {
+  const { executor, verbose = false, logger = console } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug('Listing local GPG secret keys...');
+
+  const result = await runCommand(
+    'gpg',
+    ['--batch', '--with-colons', '--fixed-list-mode', '--list-secret-keys'],
+    { executor }
+  );
+
+  if (result.code !== 0) {
+    throw new Error(
+      `Failed to list local GPG keys. Is gpg installed? ${result.stderr || ''}`.trim()
+    );
+  }
+
+  return parseGpgColonListing(result.stdout);
+}
+
+/**
+ * Read fingerprints and UIDs from an armored public key without importing it
+ *
+ * The key is given to gpg on stdin, so it also works when the executor runs
+ * gpg in a container or on another machine.
+ *
+ * @param {string} armoredKey - ASCII-armored public key from GitLab
+ * @param {Function} executor - Command executor (optional)
+ * @returns {Promise<Object|null>} Parsed primary key or null if gpg cannot read it
+ */
+async function inspectArmoredGpgKey(armoredKey, executor) {
+  const result = await runCommand(
+    'gpg',
+    [
+      '--batch',
+      '--with-colons',
+      '--fixed-list-mode',
+      '--import-options',
+      'show-only',
+      '--import',
+    ],
+    { executor, stdin: armoredKey }
+  );
+  if (result.code !== 0) {
+    return null;
+  }
+  return parseGpgColonListing(result.stdout)[0] || null;
+}
+
+/**
+ * Get the GPG keys registered on the GitLab account
+ *
+ * The `/user/gpg_keys` API only returns the armored key, so each entry is
+ * inspected with gpg to add its fingerprint and UIDs.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<Object[]>} Entries from the `/user/gpg_keys` API with fingerprint, emails and subkeyFingerprints
+ */
+export async function getGitLabGpgKeys(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.debug('Getting GitLab GPG keys...');
+
+  const keys = await fetchGitLabApi('user/gpg_keys', {
+    hostname,
+    api,
+    executor,
+    purpose: 'GPG keys',
+  });
+
+  const result = [];
+  for (const entry of [keys].flat().filter(Boolean)) {
+    const parsed = await inspectArmoredGpgKey(entry.key, executor);
+    if (!parsed) {
+      log.debug(`Skipping GitLab GPG key ${entry.id}: gpg cannot read it`);
+      continue;
+    }
+    result.push({
+      ...entry,
+      fingerprint: parsed.fingerprint,
+      emails: parsed.emails,
+      subkeyFingerprints: parsed.subkeyFingerprints,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Find the local GPG key that is registered on GitLab and can sign
+ *
+ * Keys are matched by primary key fingerprint. When several keys match, the
+ * one whose UIDs include the email is preferred. An explicit key ID restricts
+ * the match to keys whose fingerprint ends with it.
+ *
+ * @param {Object[]} localKeys - Keys from listLocalGpgKeys
+ * @param {Object[]} gitlabKeys - Keys from getGitLabGpgKeys
+ * @param {Object} options - Options
+ * @param {string} options.email - Committer email (optional)
+ * @param {string} options.keyId - Key ID or fingerprint to use (optional)
+ * @returns {{key: Object, registered: boolean, emailMatches: boolean}|null} Matched key or null if none can sign
+ */
+export function matchGpgSigningKey(localKeys, gitlabKeys, options = {}) {
+  const email = options.email ? options.email.toLowerCase() : null;
+  const keyId = options.keyId
+    ? options.keyId.replace(/^0x/i, '').replace(/\s+/g, '').toUpperCase()
+    : null;
+  const registeredFingerprints = new Set(
+    gitlabKeys.map((entry) => entry.fingerprint)
+  );
+
+  const candidates = localKeys
+    .filter((key) => key.canSign && key.usable)
+    .filter((key) => !keyId || key.fingerprint.endsWith(keyId))
+    .map((key) => ({
+      key,
+      registered: registeredFingerprints.has(key.fingerprint),
+      emailMatches: Boolean(email) && key.emails.includes(email),
+    }));
+
+  // An explicitly chosen key is used even when GitLab does not know it
+  const pool = keyId
+    ? candidates
+    : candidates.filter((candidate) => candidate.registered);
+
+  return (
+    pool.find((candidate) => candidate.registered && candidate.emailMatches) ||
+    pool.find((candidate) => candidate.registered) ||
+    pool[0] ||
+    null
+  );
+}
+
+/**
+ * Tell whether GitLab will verify commits signed with the matched key
+ * @param {Object} match - Result of matchGpgSigningKey
+ * @param {string|null} email - Committer email
+ * @param {Object} log - Logger instance
+ */
+function reportGpgKeyVerification(match, email, log) {
+  if (match.registered) {
+    log.log('  Registered on GitLab');
+  } else {
+    log.warn(
+      '  Warning: The key is not registered on your GitLab account. GitLab will show signed commits as unverified.'
+    );
+  }
+
+  if (!match.emailMatches) {
+    log.warn(
+      `  Warning: ${email || 'The committer email'} is not one of the key's UIDs (${match.key.emails.join(', ') || 'none'}). GitLab will show signed commits as unverified.`
+    );
+  }
+}
+
+/**
+ * Setup GPG commit signing with a key registered on the GitLab account
+ *
+ * Lists the GPG keys on the account, matches them against the local secret
+ * keyring, then sets `gpg.format=openpgp`, `user.signingkey` to the matching
+ * fingerprint and `commit.gpgsign=true`. Warns when the committer email is not
+ * one of the key's UIDs, since GitLab then shows commits as unverified.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.email - Committer email (default: user.email from the scope)
+ * @param {string} options.keyId - Key ID or fingerprint to use (default: the matching key)
+ * @param {string} options.scope - 'global', 'local', 'system', 'worktree' or 'file' (default: 'global')
+ * @param {string} options.configFile - Config file for the 'file' scope
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{keyId: string, registered: boolean, emailMatches: boolean}>} Signing setup result
+ * @throws {Error} If no local key matches
+ */
+export async function setupGpgSigning(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    keyId,
+    scope = 'global',
+    configFile,
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+  const scopeFlag = formatGitConfigScope(scope, { configFile });
+
+  log.log('\nSetting up GPG commit signing...');
+
+  const email =
+    options.email ||
+    (await getGitConfig('user.email', {
+      scope,
+      configFile,
+      executor,
+      verbose,
+      logger,
+    }));
+  const gitlabKeys = await getGitLabGpgKeys({
+    hostname,
+    api,
+    executor,
+    verbose,
+    logger,
+  });
+  const localKeys = await listLocalGpgKeys({ executor, verbose, logger });
+
+  const match = matchGpgSigningKey(localKeys, gitlabKeys, { email, keyId });
+
+  if (!match) {
+    throw new Error(
+      keyId
+        ? `GPG secret key not found or not usable for signing: ${keyId}`
+        : `None of your local GPG secret keys is registered on ${hostname || 'GitLab'}. Add one in your GitLab settings (User Settings > GPG Keys).`
+    );
+  }
+
+  const { key, registered, emailMatches } = match;
+  log.log(`  GPG key: ${key.fingerprint}`);
+  reportGpgKeyVerification(match, email, log);
+
+  const settings = [
+    ['gpg.format', 'openpgp'],
+    ['user.signingkey', key.fingerprint],
+    ['commit.gpgsign', 'true'],
+  ];
+
+  if (dryRun) {
+    log.log('DRY MODE: Would configure the following:');
+    for (const [configKey, value] of settings) {
+      log.log(`  git config ${scopeFlag} ${configKey} "${value}"`);
+    }
+    return { keyId: key.fingerprint, registered, emailMatches };
+  }
+
+  for (const [configKey, value] of settings) {
+    await setGitConfig(configKey, value, {
+      scope,
+      configFile,
+      executor,
+      verbose,
+      logger,
+    });
+  }
+
+  log.log('  Commit signing configured successfully!');
+
+  return { keyId: key.fingerprint, registered, emailMatches };
+}
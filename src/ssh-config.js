@@ -0,0 +1,256 @@
+/**
+ * glab-setup-git-identity - ~/.ssh/config host entries
+ *
+ * Self-hosted GitLab instances often serve SSH on another hostname or port
+ * than the web UI. The entry for a host is kept in a managed block between
+ * marker comments, so re-running updates it without touching user entries.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { recordFileChange } from './journal.js';
+
+/**
+ * Marker comment prefix of managed blocks
+ */
+const blockMarker = 'glab-setup-git-identity';
+
+/**
+ * Get the default ssh config file location
+ * @returns {string} Path to ~/.ssh/config
+ */
+export function getDefaultSshConfigFile() {
+  return join(homedir(), '.ssh', 'config');
+}
+
+/**
+ * Format the managed block for a host
+ *
+ * @param {Object} entry - Host entry
+ * @param {string} entry.host - Host alias used in git remotes (the GitLab hostname)
+ * @param {string} entry.hostName - Real SSH hostname (default: host)
+ * @param {number|string} entry.port - SSH port (default: 22)
+ * @param {string} entry.identityFile - Private key to use
+ * @returns {string} Managed block including the marker comments
+ */
+export function formatSshHostBlock(entry) {
+  const { host, hostName = host, port = 22, identityFile } = entry;
+
+  const lines = [
+    `# BEGIN ${blockMarker} ${host}`,
+    `Host ${host}`,
+    `  HostName ${hostName}`,
+    `  Port ${port}`,
+    '  User git',
+  ];
+  if (identityFile) {
+    lines.push(`  IdentityFile ${identityFile}`);
+  }
+  lines.push(`# END ${blockMarker} ${host}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Find where a new block goes: before the first `Host` or `Match` section
+ *
+ * ssh uses the first value it finds for each setting, so a block after a
+ * `Host *` section would not get its own IdentityFile, User or Port. Comment
+ * lines right above the section stay with it.
+ *
+ * @param {string[]} lines - Lines of the file
+ * @returns {number} Line index to insert at, or -1 to append
+ */
+function findBlockInsertIndex(lines) {
+  let index = lines.findIndex((line) => /^\s*(host|match)\s/i.test(line));
+  if (index === -1) {
+    return -1;
+  }
+
+  while (
+    index > 0 &&
+    lines[index - 1].trim().startsWith('#') &&
+    !lines[index - 1].trim().startsWith(`# END ${blockMarker} `)
+  ) {
+    index -= 1;
+  }
+  return index;
+}
+
+/**
+ * Insert or replace the managed block for a host in ssh config contents
+ *
+ * Everything outside the managed block for the host is kept as it is. A new
+ * block is inserted before the first `Host` or `Match` section, after any
+ * global settings, or appended when there is none.
+ *
+ * @param {string} existing - Current file contents ('' if the file is new)
+ * @param {string} host - Host alias of the block
+ * @param {string} block - Block from formatSshHostBlock
+ * @returns {string} New file contents
+ */
+export function updateSshConfigBlock(existing, host, block) {
+  const begin = `# BEGIN ${blockMarker} ${host}`;
+  const end = `# END ${blockMarker} ${host}`;
+  const lines = String(existing).split('\n');
+
+  const start = lines.indexOf(begin);
+  const stop = start === -1 ? -1 : lines.indexOf(end, start);
+
+  if (start !== -1 && stop !== -1) {
+    lines.splice(start, stop - start + 1, ...block.split('\n'));
+    return lines.join('\n');
+  }
+
+  const insertAt = findBlockInsertIndex(lines);
+  if (insertAt !== -1) {
+    lines.splice(insertAt, 0, ...block.split('\n'), '');
+    return lines.join('\n');
+  }
+
+  const content = String(existing).replace(/\n*$/, '');
+  return content ? `${content}\n\n${block}\n` : `${block}\n`;
+}
+
+/**
+ * Check whether ssh `Host` patterns match a host
+ *
+ * Supports the `*` and `?` wildcards and `!` negation, like ssh: the host
+ * matches if one pattern does and no negated pattern does.
+ *
+ * @param {string[]} patterns - Patterns of a `Host` line
+ * @param {string} host - Host alias
+ * @returns {boolean} True if the patterns match the host
+ */
+function matchesHostPatterns(patterns, host) {
+  const matches = (pattern) =>
+    new RegExp(
+      `^${pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')}$`,
+      'i'
+    ).test(host);
+
+  const negated = patterns.filter((pattern) => pattern.startsWith('!'));
+  if (negated.some((pattern) => matches(pattern.slice(1)))) {
+    return false;
+  }
+  return patterns.some(
+    (pattern) => !pattern.startsWith('!') && matches(pattern)
+  );
+}
+
+/**
+ * Find `Host` lines outside managed blocks that also match the host
+ *
+ * ssh uses the first value it finds for each setting, so such entries may
+ * override the managed block. Entries naming the host are always reported;
+ * wildcard entries (e.g., `Host *`) only when they come before the host's
+ * managed block, since after it they merely add settings.
+ *
+ * @param {string} existing - Current file contents
+ * @param {string} host - Host alias
+ * @returns {string[]} Matching `Host` lines
+ */
+export function findUnmanagedHostEntries(existing, host) {
+  const found = [];
+  let managed = false;
+  let ownBlockSeen = false;
+
+  for (const line of String(existing).split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith(`# BEGIN ${blockMarker} `)) {
+      managed = true;
+      ownBlockSeen ||= trimmed === `# BEGIN ${blockMarker} ${host}`;
+    } else if (trimmed.startsWith(`# END ${blockMarker} `)) {
+      managed = false;
+    } else if (!managed && /^host\s/i.test(trimmed)) {
+      const patterns = trimmed.split(/\s+/).slice(1);
+      const exact = patterns.some(
+        (pattern) => pattern.toLowerCase() === host.toLowerCase()
+      );
+      if (exact || (!ownBlockSeen && matchesHostPatterns(patterns, host))) {
+        found.push(trimmed);
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Write the ssh config entry for a GitLab host
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname used in git remotes
+ * @param {string} options.sshHostname - Real SSH hostname (default: hostname)
+ * @param {number|string} options.port - SSH port (default: 22)
+ * @param {string} options.identityFile - Private key to use (optional)
+ * @param {string} options.configFile - ssh config file (default: ~/.ssh/config)
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{configFile: string, block: string, changed: boolean}>} Written entry
+ */
+export async function writeSshConfig(options = {}) {
+  const {
+    hostname,
+    sshHostname,
+    port,
+    identityFile,
+    configFile = getDefaultSshConfigFile(),
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  if (!hostname) {
+    throw new Error('A hostname is required for the ssh config entry');
+  }
+
+  log.log(`\nUpdating ssh config for ${hostname}...`);
+
+  const block = formatSshHostBlock({
+    host: hostname,
+    hostName: sshHostname,
+    port,
+    identityFile,
+  });
+  const existing = await readFile(configFile, 'utf8').catch(() => '');
+  const updated = updateSshConfigBlock(existing, hostname, block);
+  const changed = updated !== existing;
+
+  for (const entry of findUnmanagedHostEntries(updated, hostname)) {
+    log.warn(
+      `  Warning: "${entry}" in ${configFile} also matches ${hostname} and may override the managed entry.`
+    );
+  }
+
+  if (dryRun) {
+    log.log(
+      `DRY MODE: Would ${changed ? 'write' : 'keep'} the following in ${configFile}:`
+    );
+    for (const line of block.split('\n')) {
+      log.log(`  ${line}`);
+    }
+    return { configFile, block, changed };
+  }
+
+  if (!changed) {
+    log.log(`  ${configFile} is up to date`);
+    return { configFile, block, changed };
+  }
+
+  await mkdir(dirname(configFile), { recursive: true, mode: 0o700 });
+  await recordFileChange(configFile, { action: 'ssh config' });
+  await writeFile(configFile, updated, { mode: 0o600 });
+
+  log.log(`  Wrote Host ${hostname} to ${configFile}`);
+
+  return { configFile, block, changed };
+}
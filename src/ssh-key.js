@@ -0,0 +1,239 @@
+/**
+ * glab-setup-git-identity - SSH key for git over SSH
+ *
+ * With `--git-protocol ssh`, git needs a local key that is registered on the
+ * GitLab account. An existing private key is never overwritten.
+ */
+
+import { homedir, hostname as machineHostname } from 'node:os';
+import { dirname, join } from 'node:path';
+import { createDefaultLogger } from './logger.js';
+import { runCommand } from './executor.js';
+import { fetchGitLabApi } from './glab-api.js';
+import { findSshPublicKey, getGitLabSshKeys, isSameSshKey } from './signing.js';
+
+/**
+ * Build the default title for an uploaded key
+ * @param {Date} date - Upload date (default: now)
+ * @returns {string} Title like 'laptop 2024-05-01'
+ */
+export function formatSshKeyTitle(date = new Date()) {
+  return `${machineHostname()} ${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Get the fingerprint of a public key file
+ *
+ * @param {string} keyFile - Path to the public key file
+ * @param {Object} options - Options
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @returns {Promise<string>} Fingerprint (e.g., 'SHA256:...')
+ * @throws {Error} If ssh-keygen cannot read the key
+ */
+export async function getSshKeyFingerprint(keyFile, options = {}) {
+  const { executor } = options;
+
+  const result = await runCommand('ssh-keygen', ['-l', '-f', keyFile], {
+    executor,
+  });
+
+  if (result.code !== 0) {
+    throw new Error(
+      `Failed to read SSH key fingerprint of ${keyFile}: ${result.stderr}`
+    );
+  }
+
+  return result.stdout.trim().split(/\s+/)[1];
+}
+
+/**
+ * Generate an ed25519 key pair without a passphrase
+ *
+ * @param {Object} options - Options
+ * @param {string} options.keyFile - Private key path (default: ~/.ssh/id_ed25519)
+ * @param {string} options.comment - Key comment (default: '<user>@<machine hostname>')
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<string>} Path to the generated public key
+ * @throws {Error} If the private or public key already exists, or ssh-keygen fails
+ */
+export async function generateSshKey(options = {}) {
+  const {
+    keyFile = join(homedir(), '.ssh', 'id_ed25519'),
+    comment = `${process.env.USER || 'git'}@${machineHostname()}`,
+    executor,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  // Checked through the executor, so the key is looked up where ssh-keygen
+  // runs rather than on this machine
+  for (const file of [keyFile, `${keyFile}.pub`]) {
+    const exists = await runCommand('test', ['-e', file], { executor });
+    if (exists.code === 0) {
+      throw new Error(
+        `Refusing to overwrite existing SSH key: ${file}. Recreate a missing public key with: ssh-keygen -y -f ${keyFile} > ${keyFile}.pub`
+      );
+    }
+  }
+
+  const created = await runCommand(
+    'mkdir',
+    ['-p', '-m', '700', dirname(keyFile)],
+    { executor }
+  );
+  if (created.code !== 0) {
+    throw new Error(
+      `Failed to create ${dirname(keyFile)}: ${created.stderr.trim()}`
+    );
+  }
+
+  log.debug(`Generating ed25519 key at ${keyFile}`);
+
+  const result = await runCommand(
+    'ssh-keygen',
+    ['-q', '-t', 'ed25519', '-N', '', '-C', comment, '-f', keyFile],
+    { executor }
+  );
+
+  if (result.code !== 0) {
+    throw new Error(`Failed to generate SSH key: ${result.stderr}`);
+  }
+
+  return `${keyFile}.pub`;
+}
+
+/**
+ * Find the local public key, returning null if there is none
+ * @param {string} keyFile - Key to look for (optional)
+ * @returns {Promise<{keyFile: string, key: string}|null>} Public key file and contents
+ */
+async function findLocalSshKey(keyFile) {
+  try {
+    return await findSshPublicKey({ keyFile });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Print what setupSshKey would do in dry run mode
+ * @param {Object|null} local - Local key found by findLocalSshKey
+ * @param {Object} options - Requested keyFile, upload title and logger instance `log`
+ */
+function printSshKeyPlan(local, options) {
+  const {
+    keyFile = join(homedir(), '.ssh', 'id_ed25519'),
+    title,
+    log,
+  } = options;
+
+  log.log('DRY MODE: Would configure the following:');
+  if (!local) {
+    log.log(`  ssh-keygen -t ed25519 -f ${keyFile}`);
+  }
+  log.log(
+    `  Upload ${local ? local.keyFile : `${keyFile}.pub`} to GitLab as "${title}"`
+  );
+}
+
+/**
+ * Make sure a local SSH key is registered on the GitLab account
+ *
+ * Uses the local key when there is one (uploading it if the account does not
+ * have it yet), otherwise generates an ed25519 key and uploads it. Reports the
+ * key fingerprint.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.hostname - GitLab hostname (optional)
+ * @param {Object} options.api - GitLab API client options (see fetchGitLabApi)
+ * @param {Function} options.executor - Command executor (see executor.js)
+ * @param {string} options.keyFile - Private key path (default: first key in ~/.ssh, or ~/.ssh/id_ed25519 for a new key)
+ * @param {string} options.title - Title for the uploaded key (default: '<machine hostname> <date>')
+ * @param {boolean} options.dryRun - Dry run mode (default: false)
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {Object} options.logger - Custom logger
+ * @returns {Promise<{keyFile: string|null, fingerprint: string|null, created: boolean, uploaded: boolean}>} Key setup result
+ */
+export async function setupSshKey(options = {}) {
+  const {
+    hostname,
+    api,
+    executor,
+    keyFile: requestedKeyFile,
+    title = formatSshKeyTitle(),
+    dryRun = false,
+    verbose = false,
+    logger = console,
+  } = options;
+
+  const log = createDefaultLogger({ verbose, logger });
+
+  log.log('\nChecking SSH key for git over SSH...');
+
+  const local = await findLocalSshKey(requestedKeyFile);
+  // A new key is generated at the private key path
+  const newKeyFile = requestedKeyFile && requestedKeyFile.replace(/\.pub$/, '');
+  const gitlabKeys = await getGitLabSshKeys({
+    hostname,
+    api,
+    executor,
+    verbose,
+    logger,
+  });
+
+  if (local && gitlabKeys.some((entry) => isSameSshKey(entry.key, local.key))) {
+    const fingerprint = await getSshKeyFingerprint(local.keyFile, {
+      executor,
+    });
+    log.log(`  SSH key: ${local.keyFile}`);
+    log.log(`  Already registered on GitLab (${fingerprint})`);
+    return {
+      keyFile: local.keyFile,
+      fingerprint,
+      created: false,
+      uploaded: false,
+    };
+  }
+
+  if (dryRun) {
+    printSshKeyPlan(local, { keyFile: newKeyFile, title, log });
+    return {
+      keyFile: local ? local.keyFile : null,
+      fingerprint: null,
+      created: false,
+      uploaded: false,
+    };
+  }
+
+  const keyFile = local
+    ? local.keyFile
+    : await generateSshKey({
+        keyFile: newKeyFile,
+        executor,
+        verbose,
+        logger,
+      });
+  const { key } = local || (await findSshPublicKey({ keyFile }));
+
+  if (!local) {
+    log.log(`  Generated ${keyFile}`);
+  }
+
+  await fetchGitLabApi('user/keys', {
+    hostname,
+    api,
+    executor,
+    purpose: 'SSH keys',
+    method: 'POST',
+    fields: { title, key },
+  });
+
+  const fingerprint = await getSshKeyFingerprint(keyFile, { executor });
+  log.log(`  Uploaded ${keyFile} to GitLab as "${title}" (${fingerprint})`);
+
+  return { keyFile, fingerprint, created: !local, uploaded: true };
+}
@@ -0,0 +1,120 @@
+/**
+ * glab-setup-git-identity/testing - Type definitions for the mock GitLab API server
+ */
+
+import type { GitLabApiOptions, GitLabSshKey } from './index.js';
+
+/**
+ * Data the mock server answers with
+ */
+export interface MockGitLabFixtures {
+  /** GET /user */
+  user: Record<string, unknown>;
+  /** GET /user/emails */
+  emails: Array<{ id: number; email: string; confirmed_at: string | null }>;
+  /** GET /user/keys; POST /user/keys appends to it */
+  keys: GitLabSshKey[];
+  /** GET /personal_access_tokens/self */
+  personalAccessToken: Record<string, unknown>;
+}
+
+/**
+ * Named failure mode
+ */
+export type MockFailureMode =
+  | 'unauthorized'
+  | 'forbidden'
+  | 'not_found'
+  | 'server_error'
+  | 'malformed'
+  | 'disconnect';
+
+/**
+ * How an endpoint fails
+ */
+export type MockFailure =
+  | MockFailureMode
+  | { status?: number; message?: string }
+  | { status?: number; body?: unknown };
+
+/**
+ * Options for startMockGitLabServer
+ */
+export interface MockGitLabServerOptions {
+  /** Token to accept; null accepts any request (default: defaultMockToken) */
+  token?: string | null;
+  /** Fixtures replacing the defaults */
+  fixtures?: Partial<MockGitLabFixtures>;
+  /** Failures by endpoint ('user', 'user/emails', ...) or '*' for all */
+  failures?: Record<string, MockFailure>;
+  /** Port (default: a free one) */
+  port?: number;
+}
+
+/**
+ * A request the mock server received
+ */
+export interface MockGitLabRequest {
+  /** HTTP method */
+  method: string;
+  /** Endpoint relative to /api/v4 (e.g., 'user/keys') */
+  endpoint: string;
+  /** Query parameters */
+  query: Record<string, string>;
+  /** JSON or form fields of the body */
+  fields: Record<string, unknown>;
+  /** Bearer or PRIVATE-TOKEN token, if any */
+  token?: string;
+}
+
+/**
+ * Running mock server
+ */
+export interface MockGitLabServer {
+  /** Base URL (e.g., 'http://127.0.0.1:38123') */
+  url: string;
+  /** Host and port (e.g., '127.0.0.1:38123') */
+  hostname: string;
+  /** Accepted token, or null when any request is accepted */
+  token: string | null;
+  /** API options pointing the fetch client at the server */
+  api: GitLabApiOptions;
+  /** Current fixtures */
+  readonly fixtures: MockGitLabFixtures;
+  /** Requests received so far */
+  requests: MockGitLabRequest[];
+  /** Replace some of the fixtures */
+  setFixtures(changes: Partial<MockGitLabFixtures>): void;
+  /** Make an endpoint fail, or recover with null */
+  fail(endpoint: string, failure: MockFailure | null): void;
+  /** Stop the server */
+  close(): Promise<void>;
+}
+
+/**
+ * Token the mock server accepts unless another one is given
+ */
+export declare const defaultMockToken: string;
+
+/**
+ * Fixtures served unless others are given
+ */
+export declare const defaultMockFixtures: MockGitLabFixtures;
+
+/**
+ * Named failure modes and their responses
+ */
+export declare const mockFailureModes: Record<
+  MockFailureMode,
+  { status?: number; body?: unknown; raw?: string; disconnect?: boolean }
+>;
+
+/**
+ * Start a mock GitLab API server on localhost
+ * @param options - Token, fixtures, failures and port
+ * @returns Running server
+ * @throws Error if a failure mode is unknown
+ */
+export declare function startMockGitLabServer(
+  options?: MockGitLabServerOptions
+): Promise<MockGitLabServer>;
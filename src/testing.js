@@ -0,0 +1,309 @@
+/**
+ * glab-setup-git-identity/testing - Mock GitLab API server for offline tests
+ *
+ * Starts a local HTTP server answering the endpoints the library uses:
+ *
+ *   GET  /api/v4/user
+ *   GET  /api/v4/user/emails
+ *   GET  /api/v4/user/keys
+ *   POST /api/v4/user/keys
+ *   GET  /api/v4/personal_access_tokens/self
+ *
+ * The answers come from fixtures that tests can change while the server runs,
+ * and any endpoint can be made to fail. Point the library at the server with
+ * the fetch client:
+ *
+ *   const server = await startMockGitLabServer();
+ *   await setupGitIdentity({ api: server.api, scope: 'local' });
+ *   await server.close();
+ */
+
+import { createServer } from 'node:http';
+import { URL, URLSearchParams } from 'node:url';
+
+/**
+ * Token the mock server accepts unless another one is given
+ */
+export const defaultMockToken = 'glpat-mock-token';
+
+/**
+ * Fixtures served unless others are given
+ */
+export const defaultMockFixtures = {
+  user: {
+    id: 1,
+    username: 'jdoe',
+    name: 'Jane Doe',
+    state: 'active',
+    email: 'jdoe@example.com',
+    commit_email: 'jdoe@example.com',
+    public_email: '',
+  },
+  emails: [
+    {
+      id: 1,
+      email: 'jane.doe@company.com',
+      confirmed_at: '2024-01-01T00:00:00.000Z',
+    },
+  ],
+  keys: [],
+  personalAccessToken: {
+    id: 1,
+    name: 'glab-setup-git-identity',
+    revoked: false,
+    active: true,
+    scopes: ['api', 'write_repository'],
+    user_id: 1,
+    created_at: '2024-01-01T00:00:00.000Z',
+    expires_at: null,
+  },
+};
+
+/**
+ * Named failure modes, as GitLab answers them
+ *
+ * - unauthorized: HTTP 401, the token is missing, invalid or revoked
+ * - forbidden: HTTP 403, the token lacks a scope
+ * - not_found: HTTP 404
+ * - server_error: HTTP 500
+ * - malformed: HTTP 200 with a body that is not JSON
+ * - disconnect: the connection is closed without an answer
+ */
+export const mockFailureModes = {
+  unauthorized: { status: 401, body: { message: '401 Unauthorized' } },
+  forbidden: {
+    status: 403,
+    body: {
+      error: 'insufficient_scope',
+      error_description:
+        'The request requires higher privileges than provided by the access token.',
+    },
+  },
+  not_found: { status: 404, body: { message: '404 Not Found' } },
+  server_error: {
+    status: 500,
+    body: { message: '500 Internal Server Error' },
+  },
+  malformed: { status: 200, raw: '<html>Sign in</html>' },
+  disconnect: { disconnect: true },
+};
+
+/**
+ * Deep copy fixtures, so that servers never share or change the given objects
+ * @param {Object} value - JSON-compatible value
+ * @returns {Object} Copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Turn a failure given by name or as an object into a response
+ * @param {string|Object} failure - Name from mockFailureModes, or {status, message} / {status, body}
+ * @returns {{status?: number, body?: Object, raw?: string, disconnect?: boolean}} Response
+ * @throws {Error} If the name is unknown
+ */
+function resolveFailure(failure) {
+  if (typeof failure === 'string') {
+    if (!mockFailureModes[failure]) {
+      throw new Error(
+        `Unknown failure mode: ${failure}. Expected one of: ${Object.keys(mockFailureModes).join(', ')}`
+      );
+    }
+    return mockFailureModes[failure];
+  }
+
+  const { status = 500, message, body } = failure;
+  return { status, body: body ?? { message: message ?? `${status} Error` } };
+}
+
+/**
+ * Read a request body and parse it as JSON or form fields
+ * @param {IncomingMessage} request - HTTP request
+ * @returns {Promise<Object>} Parsed fields ({} when empty or unparsable)
+ */
+async function readFields(request) {
+  let text = '';
+  for await (const chunk of request) {
+    text += chunk;
+  }
+  if (!text) {
+    return {};
+  }
+
+  if (String(request.headers['content-type']).includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return {};
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(text));
+}
+
+/**
+ * Get the token of a request
+ * @param {IncomingMessage} request - HTTP request
+ * @returns {string|undefined} Bearer or PRIVATE-TOKEN token
+ */
+function getRequestToken(request) {
+  const bearer = request.headers.authorization?.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1] : request.headers['private-token'];
+}
+
+/**
+ * Add an SSH key to the fixtures, as POST /user/keys does
+ * @param {Object} fixtures - Current fixtures
+ * @param {Object} fields - Request fields (title, key, usage_type)
+ * @returns {{status: number, body: Object}} Response
+ */
+function addKey(fixtures, fields) {
+  const { title, key, usage_type: usageType = 'auth_and_signing' } = fields;
+  if (!title || !key) {
+    return {
+      status: 400,
+      body: { message: `${title ? 'key' : 'title'} is missing` },
+    };
+  }
+
+  const [type, blob] = String(key).trim().split(/\s+/);
+  if (fixtures.keys.some((entry) => entry.key.startsWith(`${type} ${blob}`))) {
+    return {
+      status: 400,
+      body: { message: { fingerprint_sha256: ['has already been taken'] } },
+    };
+  }
+
+  const entry = {
+    id: Math.max(0, ...fixtures.keys.map(({ id }) => id)) + 1,
+    title,
+    key: String(key).trim(),
+    usage_type: usageType,
+    created_at: new Date().toISOString(),
+    expires_at: null,
+  };
+  fixtures.keys.push(entry);
+  return { status: 201, body: entry };
+}
+
+/**
+ * Answer a request from the fixtures
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint relative to /api/v4
+ * @param {Object} fixtures - Current fixtures
+ * @param {Object} fields - Request fields
+ * @returns {{status: number, body: Object}} Response
+ */
+function route(method, endpoint, fixtures, fields) {
+  const routes = {
+    'GET user': () => fixtures.user,
+    'GET user/emails': () => fixtures.emails,
+    'GET user/keys': () => fixtures.keys,
+    'GET personal_access_tokens/self': () => fixtures.personalAccessToken,
+  };
+
+  if (method === 'POST' && endpoint === 'user/keys') {
+    return addKey(fixtures, fields);
+  }
+
+  const handler = routes[`${method} ${endpoint}`];
+  return handler
+    ? { status: 200, body: handler() }
+    : { status: 404, body: { message: '404 Not Found' } };
+}
+
+/**
+ * Write a response
+ * @param {ServerResponse} response - HTTP response
+ * @param {Object} answer - {status, body} or {status, raw}, or {disconnect: true}
+ */
+function send(response, answer) {
+  if (answer.disconnect) {
+    response.socket.destroy();
+    return;
+  }
+
+  const raw = answer.raw ?? JSON.stringify(answer.body);
+  response.writeHead(answer.status, {
+    'Content-Type': answer.raw === undefined ? 'application/json' : 'text/html',
+  });
+  response.end(raw);
+}
+
+/**
+ * Start a mock GitLab API server on localhost
+ *
+ * @param {Object} options - Options
+ * @param {string} options.token - Token to accept; null accepts any request (default: defaultMockToken)
+ * @param {Object} options.fixtures - Fixtures replacing the defaults: user, emails, keys, personalAccessToken
+ * @param {Object} options.failures - Failures by endpoint ('user', 'user/emails', ...) or '*' for all
+ * @param {number} options.port - Port (default: a free one)
+ * @returns {Promise<Object>} Server handle: url, hostname, token, api, fixtures, requests, setFixtures(), fail(), close()
+ * @throws {Error} If a failure mode is unknown
+ */
+export async function startMockGitLabServer(options = {}) {
+  const { token = defaultMockToken, fixtures = {}, port = 0 } = options;
+
+  const state = {
+    fixtures: clone({ ...defaultMockFixtures, ...fixtures }),
+    failures: { ...options.failures },
+  };
+  Object.values(state.failures).forEach(resolveFailure);
+  const requests = [];
+
+  const server = createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\/api\/v4\//, '');
+    const fields = await readFields(request);
+    requests.push({
+      method: request.method,
+      endpoint,
+      query: Object.fromEntries(url.searchParams),
+      fields,
+      token: getRequestToken(request),
+    });
+
+    const failure = state.failures[endpoint] ?? state.failures['*'];
+    if (failure) {
+      send(response, resolveFailure(failure));
+    } else if (token !== null && getRequestToken(request) !== token) {
+      send(response, mockFailureModes.unauthorized);
+    } else {
+      send(response, route(request.method, endpoint, state.fixtures, fields));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  const { port: actualPort } = server.address();
+  const url = `http://127.0.0.1:${actualPort}`;
+
+  return {
+    url,
+    hostname: `127.0.0.1:${actualPort}`,
+    token,
+    api: { client: 'fetch', token: token ?? defaultMockToken, apiHost: url },
+    get fixtures() {
+      return state.fixtures;
+    },
+    requests,
+    setFixtures(changes) {
+      Object.assign(state.fixtures, clone(changes));
+    },
+    fail(endpoint, failure) {
+      if (failure) {
+        resolveFailure(failure);
+        state.failures[endpoint] = failure;
+      } else {
+        delete state.failures[endpoint];
+      }
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
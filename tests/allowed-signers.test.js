@@ -0,0 +1,101 @@
+/**
+ * Tests for the allowed_signers file
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  mergeAllowedSigners,
+  writeAllowedSigners,
+} from '../src/allowed-signers.js';
+
+const laptopKey =
+  'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIGxhcHRvcGtleWxhcHRvcGtleWxhcHRvcGtl jane@laptop';
+const desktopKey =
+  'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIGRlc2t0b3BrZXlkZXNrdG9wa2V5ZGVza3Rv jane@desktop';
+
+describe('mergeAllowedSigners', () => {
+  it('should write one line per key with the git namespace', () => {
+    const result = mergeAllowedSigners('', [
+      { email: 'jane@example.com', key: laptopKey, title: 'laptop' },
+    ]);
+    expect(result).toBe(
+      'jane@example.com namespaces="git" ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIGxhcHRvcGtleWxhcHRvcGtleWxhcHRvcGtl GitLab: laptop\n'
+    );
+  });
+
+  it('should replace existing lines for the same principal', () => {
+    const first = mergeAllowedSigners('', [
+      { email: 'jane@example.com', key: laptopKey, title: 'laptop' },
+    ]);
+    const second = mergeAllowedSigners(first, [
+      { email: 'jane@example.com', key: desktopKey, title: 'desktop' },
+    ]);
+    expect(second.includes('GitLab: laptop')).toBe(false);
+    expect(second.includes('GitLab: desktop')).toBe(true);
+  });
+
+  it('should keep comments and other principals', () => {
+    const existing = [
+      '# team keys',
+      'bob@example.com ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIGJvYmtleQ bob',
+    ].join('\n');
+    const result = mergeAllowedSigners(existing, [
+      { email: 'jane@example.com', key: laptopKey, title: 'laptop' },
+    ]);
+    expect(result.split('\n').slice(0, 2)).toEqual(existing.split('\n'));
+  });
+
+  it('should produce the same file when re-run', () => {
+    const signers = [
+      { email: 'jane@example.com', key: laptopKey, title: 'laptop' },
+      { email: 'jane@example.com', key: desktopKey, title: 'desktop' },
+    ];
+    const first = mergeAllowedSigners('', signers);
+    expect(mergeAllowedSigners(first, signers)).toBe(first);
+  });
+});
+
+describe('writeAllowedSigners', () => {
+  it('should follow the pages of the project members', async () => {
+    const endpoints = [];
+    const respond = (endpoint) => {
+      const page = endpoint.match(/members\/all\?per_page=100&page=(\d+)$/);
+      if (page) {
+        const count = page[1] === '1' ? 100 : 1;
+        const offset = (Number(page[1]) - 1) * 100;
+        return Array.from({ length: count }, (_, index) => ({
+          id: offset + index + 1,
+          username: `user${offset + index + 1}`,
+        }));
+      }
+      if (endpoint === 'users/101/keys') {
+        return [{ key: desktopKey, title: 'desktop', usage_type: 'signing' }];
+      }
+      if (endpoint === 'users/101') {
+        return { public_email: 'joe@example.com' };
+      }
+      return [];
+    };
+    const executor = async (command, args) => {
+      endpoints.push(args[1]);
+      return { code: 0, stdout: JSON.stringify(respond(args[1])), stderr: '' };
+    };
+
+    const result = await writeAllowedSigners({
+      api: { client: 'glab' },
+      executor,
+      email: 'jane@example.com',
+      projects: ['group/project'],
+      dryRun: true,
+      logger: { log: () => {}, warn: () => {}, error: () => {} },
+    });
+
+    expect(result.signers).toBe(1);
+    expect(endpoints.filter((e) => e.includes('members/all')).length).toBe(2);
+    // Only members with a signing key get a user lookup
+    expect(endpoints.filter((e) => /^users\/\d+$/.test(e))).toEqual([
+      'users/101',
+    ]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for the GitLab user lookup cache
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { createServer } from 'node:http';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { clearApiCache, getTokenFingerprint } from '../src/api-cache.js';
+import { fetchGitLabApi } from '../src/glab-api.js';
+
+/**
+ * Serve the /user endpoint, counting requests
+ * @returns {Promise<{apiHost: string, count: Function, close: Function}>} Server handle
+ */
+async function serveUser() {
+  let requests = 0;
+  const server = createServer((request, response) => {
+    requests++;
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ username: `jdoe${requests}` }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    apiHost: `http://127.0.0.1:${server.address().port}`,
+    count: () => requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Run a callback with a cache file in a temporary directory
+ * @param {Function} callback - Async callback receiving the cache file
+ * @returns {Promise<void>}
+ */
+async function withCacheFile(callback) {
+  const dir = await mkdtemp(join(tmpdir(), 'glab-cache-'));
+  const previous = process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE;
+  process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE = join(dir, 'cache.json');
+  try {
+    await callback(process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE;
+    } else {
+      process.env.GLAB_SETUP_GIT_IDENTITY_CACHE_FILE = previous;
+    }
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+describe('getTokenFingerprint', () => {
+  it('should hash the token per host', async () => {
+    const a = await getTokenFingerprint({
+      hostname: 'gitlab.com',
+      client: 'fetch',
+      token: 'glpat-a',
+    });
+    const b = await getTokenFingerprint({
+      hostname: 'gitlab.com',
+      client: 'fetch',
+      token: 'glpat-b',
+    });
+    expect(a.length).toBe(16);
+    expect(a === b).toBe(false);
+    expect(a.includes('glpat')).toBe(false);
+  });
+
+  it('should return null without a token', async () => {
+    expect(
+      await getTokenFingerprint({ hostname: 'gitlab.com', client: 'fetch' })
+    ).toBe(null);
+  });
+});
+
+describe('fetchGitLabApi with the cache', () => {
+  it('should answer repeated user lookups from the cache', async () => {
+    const server = await serveUser();
+    try {
+      await withCacheFile(async (file) => {
+        const api = {
+          client: 'fetch',
+          token: 'glpat-test',
+          apiHost: server.apiHost,
+          cache: true,
+        };
+        const options = { hostname: 'gitlab.com', api };
+
+        expect((await fetchGitLabApi('user', options)).username).toBe('jdoe1');
+        expect((await fetchGitLabApi('user', options)).username).toBe('jdoe1');
+        expect(server.count()).toBe(1);
+
+        const cached = await readFile(file, 'utf8');
+        expect(cached.includes('glpat-test')).toBe(false);
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should ask GitLab again when the token changes', async () => {
+    const server = await serveUser();
+    try {
+      await withCacheFile(async () => {
+        const api = { client: 'fetch', apiHost: server.apiHost, cache: true };
+
+        await fetchGitLabApi('user', {
+          hostname: 'gitlab.com',
+          api: { ...api, token: 'glpat-old' },
+        });
+        const user = await fetchGitLabApi('user', {
+          hostname: 'gitlab.com',
+          api: { ...api, token: 'glpat-new' },
+        });
+        expect(user.username).toBe('jdoe2');
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should ask GitLab again after the TTL or a clear', async () => {
+    const server = await serveUser();
+    try {
+      await withCacheFile(async () => {
+        const api = {
+          client: 'fetch',
+          token: 'glpat-test',
+          apiHost: server.apiHost,
+          cache: true,
+        };
+        const options = { hostname: 'gitlab.com', api };
+
+        await fetchGitLabApi('user', options);
+        await fetchGitLabApi('user', {
+          ...options,
+          api: { ...api, cacheTtl: 0 },
+        });
+        expect(server.count()).toBe(2);
+
+        await clearApiCache({ hostname: 'gitlab.com' });
+        await fetchGitLabApi('user', options);
+        expect(server.count()).toBe(3);
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should not cache without the cache option', async () => {
+    const server = await serveUser();
+    try {
+      await withCacheFile(async () => {
+        const options = {
+          hostname: 'gitlab.com',
+          api: { client: 'fetch', token: 'glpat', apiHost: server.apiHost },
+        };
+        await fetchGitLabApi('user', options);
+        await fetchGitLabApi('user', options);
+        expect(server.count()).toBe(2);
+      });
+    } finally {
+      await server.close();
+    }
+  });
+});
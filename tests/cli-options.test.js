@@ -0,0 +1,81 @@
+/**
+ * Tests for CLI argument parsing and validation
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  splitHostnames,
+  parseHostnames,
+  validateArguments,
+  getSharedIdentityWarning,
+} from '../src/cli-options.js';
+
+describe('splitHostnames', () => {
+  it('should accept repeated flags and comma-separated lists', () => {
+    expect(
+      splitHostnames(['gitlab.com', 'gitlab.company.com, gitlab.example.org'])
+    ).toEqual(['gitlab.com', 'gitlab.company.com', 'gitlab.example.org']);
+  });
+
+  it('should drop duplicates and empty entries', () => {
+    expect(splitHostnames('gitlab.com,,gitlab.com, ')).toEqual(['gitlab.com']);
+  });
+
+  it('should return an empty list without a value', () => {
+    expect(splitHostnames(undefined)).toEqual([]);
+  });
+});
+
+describe('parseHostnames', () => {
+  it('should fall back to gitlab.com', () => {
+    expect(parseHostnames(undefined)).toEqual(['gitlab.com']);
+  });
+});
+
+describe('validateArguments', () => {
+  it('should require one gitdir per hostname', () => {
+    expect(() =>
+      validateArguments({
+        hostname: ['gitlab.com', 'gitlab.company.com'],
+        gitdir: ['~/work'],
+        nameSource: 'name',
+        emailSource: 'commit',
+      })
+    ).toThrow();
+  });
+
+  it('should accept one gitdir per hostname', () => {
+    expect(
+      validateArguments({
+        hostname: ['gitlab.com', 'gitlab.company.com'],
+        gitdir: ['~/oss', '~/work'],
+        nameSource: 'name',
+        emailSource: 'commit',
+      })
+    ).toBe(true);
+  });
+});
+
+describe('getSharedIdentityWarning', () => {
+  it('should warn when several hosts share the identity of the first', () => {
+    const warning = getSharedIdentityWarning([
+      'gitlab.com',
+      'gitlab.company.com',
+    ]);
+    expect(warning.includes('taken from gitlab.com only')).toBe(true);
+    expect(warning.includes('no identity is set for gitlab.company.com')).toBe(
+      true
+    );
+  });
+
+  it('should not warn for a single host or with profiles', () => {
+    expect(getSharedIdentityWarning(['gitlab.com'])).toBe(null);
+    expect(
+      getSharedIdentityWarning(
+        ['gitlab.com', 'gitlab.company.com'],
+        ['~/oss', '~/work']
+      )
+    ).toBe(null);
+  });
+});
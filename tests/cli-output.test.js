@@ -0,0 +1,62 @@
+/**
+ * Tests for the CLI output (human readable or --json)
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { createCliOutput } from '../src/cli-output.js';
+
+/**
+ * Run a function while capturing console.log
+ * @param {Function} fn - Function to run
+ * @returns {string[]} Printed lines
+ */
+function captureConsoleLog(fn) {
+  const original = console.log;
+  const lines = [];
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    fn();
+  } finally {
+    console.log = original;
+  }
+  return lines;
+}
+
+describe('createCliOutput', () => {
+  it('should print a single JSON document with --json', () => {
+    const output = createCliOutput({ json: true, document: { mode: 'setup' } });
+
+    const lines = captureConsoleLog(() => {
+      output.log('Fetching GitLab user information...');
+      output.warn('  Warning: something to look at');
+      output.error('');
+      output.error('Error:', 'it failed');
+      output.action({ type: 'identity', name: 'jdoe' });
+      output.set({ hostname: 'gitlab.com' });
+      output.flush({ exitCode: 1 });
+    });
+
+    expect(lines.length).toBe(1);
+    expect(JSON.parse(lines[0])).toEqual({
+      mode: 'setup',
+      actions: [{ type: 'identity', name: 'jdoe' }],
+      warnings: ['Warning: something to look at'],
+      errors: ['Error: it failed'],
+      hostname: 'gitlab.com',
+      exitCode: 1,
+    });
+  });
+
+  it('should print messages and no document without --json', () => {
+    const output = createCliOutput();
+
+    const lines = captureConsoleLog(() => {
+      output.log('Git identity configured successfully!');
+      output.action({ type: 'identity' });
+      output.flush();
+    });
+
+    expect(lines).toEqual(['Git identity configured successfully!']);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the error classes
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  GlabSetupError,
+  GlabNotFoundError,
+  GitLabApiError,
+  NotAuthenticatedError,
+  MalformedResponseError,
+  MissingEmailError,
+  GitConfigError,
+  getErrorExitCode,
+} from '../src/errors.js';
+
+describe('error classes', () => {
+  it('should carry a stable code and name', () => {
+    const cases = [
+      [new GlabNotFoundError('x'), 'GLAB_NOT_FOUND', 'GlabNotFoundError'],
+      [new GitLabApiError('x'), 'GITLAB_API_ERROR', 'GitLabApiError'],
+      [
+        new NotAuthenticatedError('x'),
+        'NOT_AUTHENTICATED',
+        'NotAuthenticatedError',
+      ],
+      [
+        new MalformedResponseError('x'),
+        'MALFORMED_RESPONSE',
+        'MalformedResponseError',
+      ],
+      [new MissingEmailError('x'), 'MISSING_EMAIL', 'MissingEmailError'],
+      [new GitConfigError('x'), 'GIT_CONFIG_ERROR', 'GitConfigError'],
+    ];
+
+    for (const [error, code, name] of cases) {
+      expect(error instanceof GlabSetupError).toBe(true);
+      expect(error instanceof Error).toBe(true);
+      expect(error.code).toBe(code);
+      expect(error.name).toBe(name);
+    }
+  });
+
+  it('should keep the HTTP status and cause of API errors', () => {
+    const cause = new Error('socket hang up');
+    const error = new NotAuthenticatedError('Unauthorized', {
+      status: 401,
+      gitlabMessage: '401 Unauthorized',
+      cause,
+    });
+    expect(error instanceof GitLabApiError).toBe(true);
+    expect(error.status).toBe(401);
+    expect(error.gitlabMessage).toBe('401 Unauthorized');
+    expect(error.cause).toBe(cause);
+  });
+});
+
+describe('getErrorExitCode', () => {
+  it('should map error codes to exit codes', () => {
+    expect(getErrorExitCode(new NotAuthenticatedError('x'))).toBe(4);
+    expect(getErrorExitCode(new GlabNotFoundError('x'))).toBe(5);
+    expect(getErrorExitCode(new GitConfigError('x'))).toBe(9);
+  });
+
+  it('should use 1 for other errors', () => {
+    expect(getErrorExitCode(new Error('x'))).toBe(1);
+    expect(getErrorExitCode(new GlabSetupError('x'))).toBe(1);
+    expect(
+      getErrorExitCode(Object.assign(new Error(), { code: 'ENOENT' }))
+    ).toBe(1);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for the command executor
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  defaultExecutor,
+  getExecutor,
+  runCommand,
+  setExecutor,
+} from '../src/executor.js';
+import { getGitConfig } from '../src/git-config.js';
+import { fetchGitLabApi } from '../src/glab-api.js';
+import { isGlabAuthenticated } from '../src/index.js';
+
+/**
+ * Create an executor that records its calls and answers from a function
+ * @param {Function} respond - Maps (command, args) to a result
+ * @returns {Function} Executor with a `calls` array
+ */
+function createFakeExecutor(respond = () => ({ code: 0, stdout: '' })) {
+  const calls = [];
+  const executor = async (command, args, options) => {
+    calls.push({ command, args, options });
+    return respond(command, args);
+  };
+  executor.calls = calls;
+  return executor;
+}
+
+describe('defaultExecutor', () => {
+  it('should run a command and capture its output', async () => {
+    const result = await defaultExecutor(process.execPath, [
+      '-e',
+      'process.stdout.write("out"); process.stderr.write("err"); process.exit(3)',
+    ]);
+    expect(result).toEqual({ code: 3, stdout: 'out', stderr: 'err' });
+  });
+});
+
+describe('runCommand', () => {
+  it('should use the executor of the call and fill in missing output', async () => {
+    const executor = createFakeExecutor(() => ({
+      code: 0,
+      stdout: 'git version 2',
+    }));
+
+    const result = await runCommand('git', ['--version'], {
+      executor,
+      env: { LANG: 'C' },
+    });
+
+    expect(result).toEqual({ code: 0, stdout: 'git version 2', stderr: '' });
+    expect(executor.calls).toEqual([
+      {
+        command: 'git',
+        args: ['--version'],
+        options: { env: { LANG: 'C' }, stdin: undefined, mirror: undefined },
+      },
+    ]);
+  });
+
+  it('should reject a result without a numeric exit code', async () => {
+    for (const result of [undefined, { stdout: 'ok' }, { code: '0' }]) {
+      const executor = createFakeExecutor(() => result);
+      let error;
+      await runCommand('git', ['--version'], { executor }).catch((e) => {
+        error = e;
+      });
+      expect(error instanceof TypeError).toBe(true);
+    }
+  });
+});
+
+describe('setExecutor', () => {
+  it('should replace the executor for the whole process', async () => {
+    const executor = createFakeExecutor();
+    const previous = setExecutor(executor);
+    try {
+      expect(previous).toBe(defaultExecutor);
+      expect(getExecutor()).toBe(executor);
+      await runCommand('glab', ['version']);
+      expect(executor.calls.length).toBe(1);
+    } finally {
+      setExecutor(null);
+    }
+    expect(getExecutor()).toBe(defaultExecutor);
+  });
+
+  it('should reject values that are not functions', () => {
+    expect(() => setExecutor('sh')).toThrow();
+    expect(getExecutor()).toBe(defaultExecutor);
+  });
+});
+
+describe('executor option', () => {
+  it('should run git config through the given executor', async () => {
+    const executor = createFakeExecutor(() => ({
+      code: 0,
+      stdout: 'Jane Doe\n',
+    }));
+
+    const value = await getGitConfig('user.name', {
+      scope: 'global',
+      executor,
+    });
+
+    expect(value).toBe('Jane Doe');
+    expect(executor.calls[0].command).toBe('git');
+    expect(executor.calls[0].args).toEqual(['config', '--global', 'user.name']);
+  });
+
+  it('should run glab api through the given executor', async () => {
+    const executor = createFakeExecutor(() => ({
+      code: 0,
+      stdout: '{"username":"jdoe"}',
+    }));
+
+    const user = await fetchGitLabApi('user', {
+      hostname: 'gitlab.company.com',
+      api: { client: 'glab' },
+      executor,
+    });
+
+    expect(user).toEqual({ username: 'jdoe' });
+    expect(executor.calls[0].args).toEqual([
+      'api',
+      'user',
+      '--hostname',
+      'gitlab.company.com',
+    ]);
+  });
+
+  it('should check glab auth status through the given executor', async () => {
+    const executor = createFakeExecutor(() => ({
+      code: 1,
+      stderr: 'not logged in',
+    }));
+
+    const authenticated = await isGlabAuthenticated({
+      hostname: 'gitlab.company.com',
+      api: { client: 'glab' },
+      executor,
+    });
+
+    expect(authenticated).toBe(false);
+    expect(executor.calls[0].args).toEqual([
+      'auth',
+      'status',
+      '--hostname',
+      'gitlab.company.com',
+    ]);
+  });
+});
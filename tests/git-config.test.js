@@ -0,0 +1,51 @@
+/**
+ * Tests for git config scopes
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { resolve } from 'node:path';
+import {
+  gitConfigScopes,
+  getGitConfigScopeArgs,
+  formatGitConfigScope,
+} from '../src/git-config.js';
+
+describe('getGitConfigScopeArgs', () => {
+  it('should map named scopes to their flags', () => {
+    expect(getGitConfigScopeArgs()).toEqual(['--global']);
+    expect(getGitConfigScopeArgs('local')).toEqual(['--local']);
+    expect(getGitConfigScopeArgs('system')).toEqual(['--system']);
+    expect(getGitConfigScopeArgs('worktree')).toEqual(['--worktree']);
+  });
+
+  it('should resolve the config file of the file scope', () => {
+    expect(
+      getGitConfigScopeArgs('file', { configFile: 'team.gitconfig' })
+    ).toEqual(['--file', resolve('team.gitconfig')]);
+  });
+
+  it('should reject invalid scopes instead of falling back to global', () => {
+    expect(() => getGitConfigScopeArgs('globl')).toThrow();
+    expect(() => getGitConfigScopeArgs('file')).toThrow();
+  });
+
+  it('should list every supported scope', () => {
+    expect(gitConfigScopes).toEqual([
+      'global',
+      'local',
+      'system',
+      'worktree',
+      'file',
+    ]);
+  });
+});
+
+describe('formatGitConfigScope', () => {
+  it('should format the flags as typed on the command line', () => {
+    expect(formatGitConfigScope('worktree')).toBe('--worktree');
+    expect(formatGitConfigScope('file', { configFile: '/tmp/x' })).toBe(
+      `--file ${resolve('/tmp/x')}`
+    );
+  });
+});
@@ -0,0 +1,395 @@
+/**
+ * Tests for the git credential helper protocol
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'test-anywhere';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  parseGitCredential,
+  formatGitCredential,
+  getGitLabToken,
+  runGitCredential,
+} from '../src/git-credential.js';
+import {
+  inspectGitCredentialHelpers,
+  runGlabAuthSetupGit,
+  selfCredentialHelper,
+} from '../src/credential-helper.js';
+
+// Keep any backup journal these tests write out of the home directory
+const previousJournal = process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+let journalDir;
+
+beforeAll(async () => {
+  journalDir = await mkdtemp(join(tmpdir(), 'glab-journal-'));
+  process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = join(
+    journalDir,
+    'journal.jsonl'
+  );
+});
+
+afterAll(async () => {
+  if (previousJournal === undefined) {
+    delete process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+  } else {
+    process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = previousJournal;
+  }
+  await rm(journalDir, { recursive: true, force: true });
+});
+
+const glabConfig = `host: gitlab.com
+hosts:
+  gitlab.company.com:
+    token: glpat-company
+    user: jdoe
+  gitlab.keyring.org:
+    user: kuser
+    token:
+  gitlab.empty.org:
+    api_protocol: https
+    token:
+  gitlab.tagged.org:
+    token: !!null glpat-tagged
+    user: tuser
+`;
+
+const staleGlab = '!/old/bin/glab auth git-credential';
+const currentGlab = '!/usr/bin/glab auth git-credential';
+const quiet = { log() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Create an executor keeping the credential helpers of one host in memory
+ * @param {string[]} helpers - Initial helper values
+ * @param {Object} executables - Paths which/where prints, by argument
+ * @returns {Function} Executor with the current `helpers`
+ */
+function createHelperExecutor(
+  helpers,
+  executables = { glab: '/usr/bin/glab', '/usr/bin/glab': '/usr/bin/glab' }
+) {
+  const executor = async (command, args) => {
+    if (['which', 'where'].includes(command)) {
+      const path = executables[args[0]];
+      return path ? { code: 0, stdout: `${path}\n` } : { code: 1, stdout: '' };
+    }
+    const [, , flag, , value] = args;
+    if (flag === '--get-all') {
+      return executor.helpers.length > 0
+        ? { code: 0, stdout: `${executor.helpers.join('\n')}\n` }
+        : { code: 1, stdout: '' };
+    }
+    if (flag === '--unset-all') {
+      executor.helpers = [];
+    } else if (flag === '--add') {
+      executor.helpers.push(value);
+    }
+    return { code: 0, stdout: '' };
+  };
+  executor.helpers = [...helpers];
+  return executor;
+}
+
+const request = (host, protocol = 'https') =>
+  `protocol=${protocol}\nhost=${host}\n\n`;
+
+/**
+ * Run a callback with glab's config in a temporary directory and no token
+ * in the environment except the given ones
+ * @param {Object} env - Token variables to set (e.g., {GITLAB_TOKEN: 'x'})
+ * @param {Function} callback - Async callback
+ * @returns {Promise<void>}
+ */
+async function withGlabConfig(env, callback) {
+  const dir = await mkdtemp(join(tmpdir(), 'glab-credential-'));
+  await writeFile(join(dir, 'config.yml'), glabConfig);
+
+  const variables = {
+    GLAB_CONFIG_DIR: dir,
+    GITLAB_HOST: undefined,
+    GITLAB_TOKEN: undefined,
+    GITLAB_ACCESS_TOKEN: undefined,
+    OAUTH_TOKEN: undefined,
+    ...env,
+  };
+  const saved = Object.fromEntries(
+    Object.keys(variables).map((name) => [name, process.env[name]])
+  );
+  const apply = (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  };
+
+  apply(variables);
+  try {
+    await callback();
+  } finally {
+    apply(saved);
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+describe('parseGitCredential / formatGitCredential', () => {
+  it('should read key=value lines up to the empty line', () => {
+    expect(
+      parseGitCredential(
+        'protocol=https\nhost=gitlab.com:8443\npath=a=b\n\nignored=1\n'
+      )
+    ).toEqual({ protocol: 'https', host: 'gitlab.com:8443', path: 'a=b' });
+  });
+
+  it('should write key=value lines without empty values', () => {
+    expect(
+      formatGitCredential({ host: 'gitlab.com', username: 'jdoe', path: '' })
+    ).toBe('host=gitlab.com\nusername=jdoe\n');
+  });
+});
+
+describe('getGitLabToken', () => {
+  it('should read the token and user of a host from glab config', async () => {
+    await withGlabConfig({}, async () => {
+      expect(await getGitLabToken({ hostname: 'gitlab.company.com' })).toEqual({
+        token: 'glpat-company',
+        username: 'jdoe',
+        source: 'config',
+      });
+      expect(
+        await getGitLabToken({ hostname: 'gitlab.company.com:443' })
+      ).toEqual({ token: 'glpat-company', username: 'jdoe', source: 'config' });
+      expect(await getGitLabToken({ hostname: 'github.com' })).toBe(null);
+    });
+  });
+
+  it('should not take an empty token line for a token', async () => {
+    await withGlabConfig({}, async () => {
+      expect(await getGitLabToken({ hostname: 'gitlab.empty.org' })).toBe(null);
+      expect(await runGitCredential('get', request('gitlab.empty.org'))).toBe(
+        ''
+      );
+    });
+  });
+
+  it('should prefer an environment token, only for GitLab hosts', async () => {
+    await withGlabConfig({ GITLAB_TOKEN: 'glpat-env' }, async () => {
+      expect(await getGitLabToken({ hostname: 'gitlab.company.com' })).toEqual({
+        token: 'glpat-env',
+        username: 'jdoe',
+        source: 'env',
+      });
+      expect(await getGitLabToken({ hostname: 'gitlab.com' })).toEqual({
+        token: 'glpat-env',
+        username: 'oauth2',
+        source: 'env',
+      });
+      expect(await getGitLabToken({ hostname: 'github.com' })).toBe(null);
+    });
+  });
+
+  it('should read keyring logins through the executor', async () => {
+    const calls = [];
+    const executor = async (command, args) => {
+      calls.push([command, ...args]);
+      return { code: 0, stdout: 'glpat-keyring\n', stderr: '' };
+    };
+
+    await withGlabConfig({}, async () => {
+      const found = await getGitLabToken({
+        hostname: 'gitlab.keyring.org',
+        executor,
+      });
+
+      if (['darwin', 'linux'].includes(process.platform)) {
+        expect(found).toEqual({
+          token: 'glpat-keyring',
+          username: 'kuser',
+          source: 'keyring',
+        });
+        expect(calls[0].includes('glab:gitlab.keyring.org')).toBe(true);
+      } else {
+        expect(found).toBe(null);
+      }
+    });
+  });
+});
+
+describe('runGitCredential', () => {
+  it('should answer get with the host credentials', async () => {
+    await withGlabConfig({}, async () => {
+      expect(await runGitCredential('get', request('gitlab.company.com'))).toBe(
+        'protocol=https\nhost=gitlab.company.com\nusername=jdoe\npassword=glpat-company\n'
+      );
+    });
+  });
+
+  it('should answer with tokens glab writes with a YAML tag', async () => {
+    await withGlabConfig({}, async () => {
+      const answer = await runGitCredential(
+        'get',
+        request('gitlab.tagged.org')
+      );
+      expect(
+        answer.split('\n').filter((line) => line.startsWith('password='))
+      ).toEqual(['password=glpat-tagged']);
+    });
+  });
+
+  it('should answer nothing for unknown hosts and other protocols', async () => {
+    await withGlabConfig({}, async () => {
+      expect(await runGitCredential('get', request('github.com'))).toBe('');
+      expect(
+        await runGitCredential('get', request('gitlab.company.com', 'ssh'))
+      ).toBe('');
+    });
+  });
+
+  it('should ignore store and erase', async () => {
+    await withGlabConfig({}, async () => {
+      const input = `${request('gitlab.company.com').trim()}\npassword=old\n\n`;
+      expect(await runGitCredential('store', input)).toBe('');
+      expect(await runGitCredential('erase', input)).toBe('');
+    });
+  });
+
+  it('should reject unknown actions', async () => {
+    let error;
+    try {
+      await runGitCredential('approve', request('gitlab.com'));
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error instanceof Error).toBe(true);
+  });
+});
+
+describe('runGlabAuthSetupGit helper option', () => {
+  it('should register this tool without looking for glab', async () => {
+    const calls = [];
+    const executor = async (command, args) => {
+      calls.push([command, ...args]);
+      return {
+        code: args.includes('--get-all') ? 1 : 0,
+        stdout: '',
+        stderr: '',
+      };
+    };
+
+    const success = await runGlabAuthSetupGit({
+      hostname: 'gitlab.company.com',
+      helper: 'self',
+      executor,
+      logger: { log() {}, debug() {} },
+    });
+
+    expect(success).toBe(true);
+    expect(calls.some(([command]) => command !== 'git')).toBe(false);
+    expect(calls[calls.length - 1]).toEqual([
+      'git',
+      'config',
+      '--global',
+      '--add',
+      'credential.https://gitlab.company.com.helper',
+      selfCredentialHelper,
+    ]);
+  });
+
+  it('should fail for unknown helpers', async () => {
+    const success = await runGlabAuthSetupGit({
+      hostname: 'gitlab.company.com',
+      helper: 'store',
+      executor: async () => ({ code: 0 }),
+      logger: { log() {}, error() {}, debug() {} },
+    });
+    expect(success).toBe(false);
+  });
+});
+
+describe('inspectGitCredentialHelpers', () => {
+  it('should report missing executables and duplicates', async () => {
+    const executor = createHelperExecutor([
+      '',
+      staleGlab,
+      'store',
+      currentGlab,
+      'store',
+    ]);
+
+    const { helpers, configured, registered, issues } =
+      await inspectGitCredentialHelpers({
+        hostname: 'gitlab.company.com',
+        executor,
+      });
+
+    expect(helpers.length).toBe(5);
+    expect(configured).toBe(true);
+    expect(registered).toBe('glab');
+    expect(issues.map(({ index, problem }) => ({ index, problem }))).toEqual([
+      { index: 1, problem: 'missing' },
+      { index: 3, problem: 'duplicate' },
+      { index: 4, problem: 'duplicate' },
+    ]);
+    expect(issues[0].message).toBe('/old/bin/glab does not exist');
+  });
+
+  it('should find nothing wrong with a healthy setup', async () => {
+    const executor = createHelperExecutor(['', currentGlab, 'store']);
+    const { issues } = await inspectGitCredentialHelpers({ executor });
+    expect(issues).toEqual([]);
+  });
+
+  it('should tell which helper is registered', async () => {
+    const self = await inspectGitCredentialHelpers({
+      executor: createHelperExecutor(['', selfCredentialHelper]),
+    });
+    expect(self.registered).toBe('self');
+
+    const none = await inspectGitCredentialHelpers({
+      executor: createHelperExecutor(['store']),
+    });
+    expect(none.registered).toBe(null);
+  });
+});
+
+describe('runGlabAuthSetupGit repair option', () => {
+  it('should report stale entries and leave them without repair', async () => {
+    const executor = createHelperExecutor(['', staleGlab]);
+    const warnings = [];
+
+    const success = await runGlabAuthSetupGit({
+      hostname: 'gitlab.company.com',
+      executor,
+      logger: { ...quiet, warn: (message) => warnings.push(message) },
+    });
+
+    expect(success).toBe(false);
+    expect(warnings.length).toBe(1);
+    expect(executor.helpers).toEqual(['', staleGlab]);
+  });
+
+  it('should rewrite stale entries and keep the other helpers', async () => {
+    const executor = createHelperExecutor([
+      '',
+      'store',
+      staleGlab,
+      currentGlab,
+      'manager',
+      'store',
+    ]);
+
+    const success = await runGlabAuthSetupGit({
+      hostname: 'gitlab.company.com',
+      repair: true,
+      executor,
+      logger: quiet,
+    });
+
+    expect(success).toBe(true);
+    expect(executor.helpers).toEqual(['', 'store', currentGlab, 'manager']);
+  });
+});
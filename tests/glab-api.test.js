@@ -0,0 +1,174 @@
+/**
+ * Tests for GitLab API access
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { createServer } from 'node:http';
+import {
+  getGitLabApiBase,
+  formatGitLabError,
+  resolveGitLabApiClient,
+  fetchGitLabApi,
+} from '../src/glab-api.js';
+import { GitLabApiError } from '../src/errors.js';
+
+/**
+ * Serve one canned response and return the requests seen
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @returns {Promise<{apiHost: string, requests: Object[], close: Function}>} Server handle
+ */
+async function serveOnce(status, body) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    let data = '';
+    request.on('data', (chunk) => {
+      data += chunk;
+    });
+    request.on('end', () => {
+      requests.push({
+        method: request.method,
+        url: request.url,
+        authorization: request.headers.authorization,
+        body: data,
+      });
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    apiHost: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe('getGitLabApiBase', () => {
+  it('should default to gitlab.com over https', () => {
+    expect(getGitLabApiBase()).toBe('https://gitlab.com/api/v4');
+  });
+
+  it('should use the hostname and API protocol', () => {
+    expect(
+      getGitLabApiBase({ hostname: 'gitlab.company.com', apiProtocol: 'http' })
+    ).toBe('http://gitlab.company.com/api/v4');
+  });
+
+  it('should prefer the API host, keeping its scheme and port', () => {
+    expect(
+      getGitLabApiBase({
+        hostname: 'gitlab.company.com',
+        apiHost: 'http://localhost:8080/',
+      })
+    ).toBe('http://localhost:8080/api/v4');
+  });
+
+  it('should not append /api/v4 twice', () => {
+    expect(getGitLabApiBase({ apiHost: 'api.example.com/api/v4' })).toBe(
+      'https://api.example.com/api/v4'
+    );
+  });
+});
+
+describe('formatGitLabError', () => {
+  it('should use the message', () => {
+    expect(formatGitLabError({ message: '401 Unauthorized' })).toBe(
+      '401 Unauthorized'
+    );
+  });
+
+  it('should flatten validation errors', () => {
+    expect(
+      formatGitLabError({
+        message: { key: ['has already been taken'], title: ['is too long'] },
+      })
+    ).toBe('key has already been taken; title is too long');
+  });
+
+  it('should fall back to OAuth error fields', () => {
+    expect(
+      formatGitLabError({
+        error: 'invalid_token',
+        error_description: 'Token was revoked',
+      })
+    ).toBe('Token was revoked');
+  });
+
+  it('should return an empty string without a body', () => {
+    expect(formatGitLabError(null)).toBe('');
+  });
+});
+
+describe('resolveGitLabApiClient', () => {
+  it('should keep an explicit client', async () => {
+    expect(await resolveGitLabApiClient({ client: 'fetch' })).toBe('fetch');
+    expect(await resolveGitLabApiClient({ client: 'glab' })).toBe('glab');
+  });
+
+  it('should reject an unknown client', async () => {
+    let error;
+    try {
+      await resolveGitLabApiClient({ client: 'curl' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message.startsWith('Invalid GitLab API client: curl')).toBe(
+      true
+    );
+  });
+});
+
+describe('fetchGitLabApi with the fetch client', () => {
+  it('should send the token and parse the response', async () => {
+    const server = await serveOnce(200, { username: 'jdoe42' });
+    try {
+      const user = await fetchGitLabApi('user', {
+        api: { client: 'fetch', token: 'glpat-test', apiHost: server.apiHost },
+      });
+      expect(user.username).toBe('jdoe42');
+      expect(server.requests[0].url).toBe('/api/v4/user');
+      expect(server.requests[0].authorization).toBe('Bearer glpat-test');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('should send fields as a JSON body', async () => {
+    const server = await serveOnce(201, { id: 1 });
+    try {
+      await fetchGitLabApi('user/keys', {
+        api: { client: 'fetch', token: 'glpat-test', apiHost: server.apiHost },
+        method: 'POST',
+        fields: { title: 'laptop', key: 'ssh-ed25519 AAAA' },
+      });
+      expect(server.requests[0].method).toBe('POST');
+      expect(JSON.parse(server.requests[0].body).title).toBe('laptop');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("should report the HTTP status and GitLab's message", async () => {
+    const server = await serveOnce(401, { message: '401 Unauthorized' });
+    try {
+      await fetchGitLabApi('user', {
+        api: { client: 'fetch', token: 'expired', apiHost: server.apiHost },
+        purpose: 'username',
+      });
+      throw new Error('expected the request to fail');
+    } catch (error) {
+      expect(error.message).toBe(
+        'Failed to get GitLab username: Unauthorized (HTTP 401)'
+      );
+      expect(error.status).toBe(401);
+      expect(error.gitlabMessage).toBe('401 Unauthorized');
+      expect(error.code).toBe('NOT_AUTHENTICATED');
+      expect(error instanceof GitLabApiError).toBe(true);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for reading glab's config file
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  getConfigToken,
+  getGlabConfigDir,
+  getGlabConfigFile,
+  parseGlabConfig,
+  listGlabHosts,
+} from '../src/glab-config.js';
+
+const sampleConfig = `# What protocol to use when performing git operations.
+git_protocol: ssh
+api_protocol: https
+host: gitlab.company.com
+aliases:
+  ci: pipeline ci
+hosts:
+  gitlab.com:
+    # personal account
+    token: glpat-xxxxxxxx
+    api_protocol: https
+    git_protocol: https
+    user: jdoe
+  gitlab.company.com:
+    api_host: api.gitlab.company.com
+    user: "jane.doe"
+  gitlab.example.org:
+    git_protocol: 'http'
+`;
+
+// config.yml as glab writes it before the first login
+const stockConfig = `git_protocol: ssh
+editor:
+browser:
+glamour_style: dark
+host: gitlab.com
+hosts:
+  gitlab.com:
+    api_protocol: https
+    api_host: gitlab.com
+    token:
+    container_registry_domains: gitlab.com,gitlab.com:443,registry.gitlab.com
+`;
+
+/**
+ * Run a callback with environment variables set, restoring them afterwards
+ * @param {Object} variables - Variables to set (undefined to unset)
+ * @param {Function} callback - Async callback
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withEnv(variables, callback) {
+  const saved = {};
+  for (const [name, value] of Object.entries(variables)) {
+    saved[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  try {
+    return await callback();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+const noTokenVariables = {
+  GITLAB_TOKEN: undefined,
+  GITLAB_ACCESS_TOKEN: undefined,
+  OAUTH_TOKEN: undefined,
+};
+
+describe('getGlabConfigDir', () => {
+  it('should respect GLAB_CONFIG_DIR', async () => {
+    await withEnv({ GLAB_CONFIG_DIR: '/tmp/glab' }, () => {
+      expect(getGlabConfigDir()).toBe('/tmp/glab');
+      expect(getGlabConfigFile()).toBe(join('/tmp/glab', 'config.yml'));
+    });
+  });
+
+  it('should fall back to XDG_CONFIG_HOME', async () => {
+    await withEnv(
+      { GLAB_CONFIG_DIR: undefined, XDG_CONFIG_HOME: '/tmp/xdg' },
+      () => {
+        expect(getGlabConfigDir()).toBe(join('/tmp/xdg', 'glab-cli'));
+      }
+    );
+  });
+});
+
+describe('parseGlabConfig', () => {
+  it('should parse nested mappings and skip comments', () => {
+    const config = parseGlabConfig(sampleConfig);
+    expect(config.host).toBe('gitlab.company.com');
+    expect(config.aliases.ci).toBe('pipeline ci');
+    expect(config.hosts['gitlab.com'].token).toBe('glpat-xxxxxxxx');
+    expect(config.hosts['gitlab.company.com'].user).toBe('jane.doe');
+    expect(config.hosts['gitlab.example.org'].git_protocol).toBe('http');
+  });
+
+  it('should strip trailing comments and skip list items', () => {
+    const config = parseGlabConfig('a: b # note\nlist:\n  - x\nc: "d # e"\n');
+    expect(config.a).toBe('b');
+    expect(config.list).toEqual({});
+    expect(config.c).toBe('d # e');
+  });
+
+  it('should parse keys without a value as empty strings', () => {
+    const config = parseGlabConfig(stockConfig);
+    expect(config.editor).toBe('');
+    expect(config.hosts['gitlab.com'].token).toBe('');
+    expect(config.hosts['gitlab.com'].container_registry_domains).toBe(
+      'gitlab.com,gitlab.com:443,registry.gitlab.com'
+    );
+    expect(getConfigToken(config.hosts['gitlab.com'])).toBe(null);
+  });
+
+  it('should drop YAML tags from values', () => {
+    // glab writes the token of a host like this
+    const config = parseGlabConfig(
+      'hosts:\n  gitlab.com:\n    token: !!null glpat-tagged\n    user: !!str jdoe\n    api_host: !!null\n'
+    );
+    expect(config.hosts['gitlab.com'].token).toBe('glpat-tagged');
+    expect(config.hosts['gitlab.com'].user).toBe('jdoe');
+    expect(config.hosts['gitlab.com'].api_host).toBe('');
+  });
+
+  it('should return an empty object for empty input', () => {
+    expect(parseGlabConfig('')).toEqual({});
+  });
+});
+
+describe('listGlabHosts', () => {
+  it('should list hosts with their settings and token source', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'glab-config-'));
+    try {
+      await writeFile(join(dir, 'config.yml'), sampleConfig);
+      const hosts = await withEnv(
+        { ...noTokenVariables, GLAB_CONFIG_DIR: dir },
+        () => listGlabHosts()
+      );
+
+      expect(hosts).toEqual([
+        {
+          hostname: 'gitlab.com',
+          apiHost: 'gitlab.com',
+          apiProtocol: 'https',
+          gitProtocol: 'https',
+          user: 'jdoe',
+          tokenSource: 'config',
+          default: false,
+        },
+        {
+          hostname: 'gitlab.company.com',
+          apiHost: 'api.gitlab.company.com',
+          apiProtocol: 'https',
+          gitProtocol: 'ssh',
+          user: 'jane.doe',
+          tokenSource: 'keyring',
+          default: true,
+        },
+        {
+          hostname: 'gitlab.example.org',
+          apiHost: 'gitlab.example.org',
+          apiProtocol: 'https',
+          gitProtocol: 'http',
+          user: null,
+          tokenSource: null,
+          default: false,
+        },
+      ]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report tokens from the environment', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'glab-config-'));
+    try {
+      await writeFile(join(dir, 'config.yml'), sampleConfig);
+      const hosts = await withEnv(
+        { ...noTokenVariables, GITLAB_TOKEN: 'glpat-env' },
+        () => listGlabHosts({ file: join(dir, 'config.yml') })
+      );
+      expect(hosts.map((host) => host.tokenSource)).toEqual([
+        'env',
+        'env',
+        'env',
+      ]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not count an empty token line as a login', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'glab-config-'));
+    try {
+      await writeFile(join(dir, 'config.yml'), stockConfig);
+      const hosts = await withEnv(noTokenVariables, () =>
+        listGlabHosts({ file: join(dir, 'config.yml') })
+      );
+      expect(hosts.map((host) => host.tokenSource)).toEqual([null]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should return no hosts without a config file', async () => {
+    const hosts = await listGlabHosts({
+      file: join(tmpdir(), 'glab-config-missing', 'config.yml'),
+    });
+    expect(hosts).toEqual([]);
+  });
+});
@@ -3,16 +3,49 @@
  * Works with Node.js, Bun, and Deno using test-anywhere
  */
 
-import { describe, it, expect } from 'test-anywhere';
+import { describe, it, expect, beforeAll, afterAll } from 'test-anywhere';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import {
   defaultAuthOptions,
+  nameSources,
+  emailSources,
+  identityCheckExitCodes,
+  resolveGitLabName,
+  resolveGitLabEmail,
+  selectGitLabEmail,
   getGitConfig,
   setGitConfig,
   verifyGitIdentity,
   getGlabPath,
   runGlabAuthSetupGit,
+  removeGlabCredentialHelper,
+  errorExitCodes,
+  MissingEmailError,
 } from '../src/index.js';
 
+// Keep any backup journal these tests write out of the home directory
+const previousJournal = process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+let journalDir;
+
+beforeAll(async () => {
+  journalDir = await mkdtemp(join(tmpdir(), 'glab-journal-'));
+  process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = join(
+    journalDir,
+    'journal.jsonl'
+  );
+});
+
+afterAll(async () => {
+  if (previousJournal === undefined) {
+    delete process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+  } else {
+    process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = previousJournal;
+  }
+  await rm(journalDir, { recursive: true, force: true });
+});
+
 describe('defaultAuthOptions', () => {
   it('should have correct default hostname', () => {
     expect(defaultAuthOptions.hostname).toBe('gitlab.com');
@@ -31,6 +64,186 @@ describe('defaultAuthOptions', () => {
   });
 });
 
+describe('identityCheckExitCodes', () => {
+  it('should use 0 for a match and distinct non-error codes otherwise', () => {
+    const codes = Object.values(identityCheckExitCodes);
+    expect(identityCheckExitCodes.match).toBe(0);
+    expect(new Set(codes).size).toBe(codes.length);
+    // 1 is reserved for unexpected errors
+    expect(codes.includes(1)).toBe(false);
+  });
+});
+
+describe('errorExitCodes', () => {
+  it('should not reuse the identity check codes except for authentication', () => {
+    const { unauthenticated, ...checkCodes } = identityCheckExitCodes;
+    const codes = Object.values(errorExitCodes);
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(codes.includes(1)).toBe(false);
+    expect(Object.values(checkCodes).some((code) => codes.includes(code))).toBe(
+      false
+    );
+    expect(errorExitCodes.NOT_AUTHENTICATED).toBe(unauthenticated);
+  });
+});
+
+describe('resolveGitLabName', () => {
+  const userData = { id: 42, username: 'jdoe42', name: 'John Doe' };
+
+  it('should list the predefined name sources', () => {
+    expect(nameSources).toEqual(['username', 'name']);
+  });
+
+  it('should use the username by default', () => {
+    expect(resolveGitLabName(userData)).toBe('jdoe42');
+  });
+
+  it('should use the full profile name', () => {
+    expect(resolveGitLabName(userData, { nameSource: 'name' })).toBe(
+      'John Doe'
+    );
+  });
+
+  it('should fill in a template', () => {
+    expect(
+      resolveGitLabName(userData, { nameSource: '{name} ({username})' })
+    ).toBe('John Doe (jdoe42)');
+  });
+
+  it('should throw for an unknown placeholder', () => {
+    expect(() =>
+      resolveGitLabName(userData, { nameSource: '{email}' })
+    ).toThrow();
+  });
+
+  it('should throw for an unknown name source', () => {
+    expect(() =>
+      resolveGitLabName(userData, { nameSource: 'nickname' })
+    ).toThrow();
+  });
+});
+
+describe('resolveGitLabEmail', () => {
+  const userData = {
+    id: 42,
+    username: 'jdoe',
+    email: 'jdoe@example.com',
+    commit_email: 'jdoe@company.com',
+    public_email: 'john@example.org',
+  };
+
+  it('should list all supported email sources', () => {
+    expect(emailSources).toEqual([
+      'primary',
+      'commit_email',
+      'public_email',
+      'noreply',
+      'verified',
+    ]);
+  });
+
+  it('should use the primary email by default', () => {
+    expect(resolveGitLabEmail(userData)).toBe('jdoe@example.com');
+  });
+
+  it('should use the commit email', () => {
+    expect(resolveGitLabEmail(userData, { emailSource: 'commit_email' })).toBe(
+      'jdoe@company.com'
+    );
+  });
+
+  it('should use the public email', () => {
+    expect(resolveGitLabEmail(userData, { emailSource: 'public_email' })).toBe(
+      'john@example.org'
+    );
+  });
+
+  it('should build the noreply email for the hostname', () => {
+    expect(
+      resolveGitLabEmail(userData, {
+        emailSource: 'noreply',
+        hostname: 'gitlab.company.com',
+      })
+    ).toBe('42-jdoe@users.noreply.gitlab.company.com');
+  });
+
+  it('should default the noreply host to gitlab.com', () => {
+    expect(resolveGitLabEmail(userData, { emailSource: 'noreply' })).toBe(
+      '42-jdoe@users.noreply.gitlab.com'
+    );
+  });
+
+  it('should throw when the selected email is not set', () => {
+    expect(() =>
+      resolveGitLabEmail(
+        { ...userData, public_email: '' },
+        { emailSource: 'public_email' }
+      )
+    ).toThrow();
+  });
+
+  it('should report a missing email with a stable code', () => {
+    let error;
+    try {
+      resolveGitLabEmail({ ...userData, email: '' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error instanceof MissingEmailError).toBe(true);
+    expect(error.code).toBe('MISSING_EMAIL');
+  });
+
+  it('should throw for an unknown email source', () => {
+    expect(() =>
+      resolveGitLabEmail(userData, { emailSource: 'secondary' })
+    ).toThrow();
+  });
+});
+
+describe('selectGitLabEmail', () => {
+  const emails = ['jdoe@example.com', 'john.doe@company.com', 'jd@company.com'];
+
+  it('should use the only verified email', async () => {
+    expect(await selectGitLabEmail(['jdoe@example.com'])).toBe(
+      'jdoe@example.com'
+    );
+  });
+
+  it('should use the first email matching the pattern', async () => {
+    expect(
+      await selectGitLabEmail(emails, { emailMatch: '*@COMPANY.com' })
+    ).toBe('john.doe@company.com');
+  });
+
+  it('should let the callback choose among matches', async () => {
+    const selected = await selectGitLabEmail(emails, {
+      emailMatch: '*@company.com',
+      selectEmail: async (candidates) => candidates[1],
+    });
+    expect(selected).toBe('jd@company.com');
+  });
+
+  it('should fail when no verified email matches', async () => {
+    let error;
+    try {
+      await selectGitLabEmail(emails, { emailMatch: '*@other.org' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof Error).toBe(true);
+  });
+
+  it('should fail when several emails match and no callback is given', async () => {
+    let error;
+    try {
+      await selectGitLabEmail(emails);
+    } catch (e) {
+      error = e;
+    }
+    expect(error instanceof Error).toBe(true);
+  });
+});
+
 describe('getGitConfig', () => {
   it('should return null for non-existent config key', async () => {
     // Use a unique key that definitely doesn't exist
@@ -131,7 +344,16 @@ describe('runGlabAuthSetupGit', () => {
   });
 });
 
-// Note: Tests for isGlabAuthenticated, getGitLabUsername, getGitLabEmail,
-// getGitLabUserInfo, runGlabAuthLogin, and setupGitIdentity require
-// an authenticated glab CLI environment and are better suited for
-// integration tests or manual testing.
+describe('removeGlabCredentialHelper', () => {
+  it('should report whether a helper would be removed in dry-run mode', async () => {
+    const result = await removeGlabCredentialHelper({
+      hostname: 'gitlab.invalid',
+      dryRun: true,
+    });
+    expect(result).toBe(false);
+  });
+});
+
+// Note: isGlabAuthenticated, getGitLabUserInfo and setupGitIdentity are
+// tested end to end against the mock GitLab server in testing.test.js.
+// runGlabAuthLogin needs glab itself and is left to manual testing.
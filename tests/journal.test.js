@@ -0,0 +1,143 @@
+/**
+ * Tests for the backup journal
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { mkdtemp, readFile, writeFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  groupJournalRuns,
+  recordFileChange,
+  readJournal,
+  restoreJournalRun,
+  setJournalEnabled,
+  startJournalRun,
+} from '../src/journal.js';
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+describe('groupJournalRuns', () => {
+  it('should group entries by run and link restores', () => {
+    const runs = groupJournalRuns([
+      { runId: 'a', time: 't1', type: 'git-config', key: 'user.name' },
+      { runId: 'a', time: 't1', type: 'file', path: '/x' },
+      { runId: 'b', time: 't2', type: 'restore', restores: 'a' },
+      { runId: 'b', time: 't2', type: 'file', path: '/x' },
+    ]);
+
+    expect(runs.length).toBe(2);
+    expect(runs[0].entries.length).toBe(2);
+    expect(runs[0].restoredBy).toBe('b');
+    expect(runs[1].restores).toBe('a');
+    expect(runs[1].entries.length).toBe(1);
+  });
+});
+
+describe('restoreJournalRun', () => {
+  it('should put files back and skip restored runs on the next undo', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'glab-journal-'));
+    const previousJournal = process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+    process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = join(dir, 'journal.jsonl');
+
+    try {
+      const existing = join(dir, 'config');
+      const created = join(dir, 'allowed_signers');
+      await writeFile(existing, 'old contents\n');
+
+      const runId = startJournalRun();
+      const wasEnabled = setJournalEnabled(true);
+      try {
+        await recordFileChange(existing);
+        await writeFile(existing, 'new contents\n');
+        await recordFileChange(created);
+        await writeFile(created, 'created\n');
+      } finally {
+        setJournalEnabled(wasEnabled);
+      }
+
+      const result = await restoreJournalRun({ logger: silentLogger });
+      expect(result).toEqual({ runId, restored: 2 });
+      expect(await readFile(existing, 'utf8')).toBe('old contents\n');
+      expect(await readFile(created, 'utf8').catch(() => null)).toBe(null);
+
+      const runs = groupJournalRuns(await readJournal());
+      expect(runs[0].restoredBy).toBe(runs[1].runId);
+
+      let error;
+      await restoreJournalRun({ logger: silentLogger }).catch((e) => {
+        error = e;
+      });
+      expect(error instanceof Error).toBe(true);
+    } finally {
+      if (previousJournal === undefined) {
+        delete process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+      } else {
+        process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = previousJournal;
+      }
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('setJournalEnabled', () => {
+  it('should record nothing until the journal is enabled', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'glab-journal-'));
+    const previousJournal = process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+    process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = join(dir, 'journal.jsonl');
+
+    try {
+      startJournalRun();
+      await recordFileChange(join(dir, 'config'));
+      expect(await readJournal()).toEqual([]);
+
+      const wasEnabled = setJournalEnabled(true);
+      expect(wasEnabled).toBe(false);
+      try {
+        await recordFileChange(join(dir, 'config'));
+      } finally {
+        setJournalEnabled(wasEnabled);
+      }
+      expect((await readJournal()).length).toBe(1);
+    } finally {
+      if (previousJournal === undefined) {
+        delete process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+      } else {
+        process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = previousJournal;
+      }
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('recordFileChange', () => {
+  it('should keep the journal private to the user', async () => {
+    if (process.platform === 'win32') {
+      return;
+    }
+    const dir = await mkdtemp(join(tmpdir(), 'glab-journal-'));
+    const file = join(dir, 'state', 'journal.jsonl');
+    const previousJournal = process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+    process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = file;
+
+    try {
+      startJournalRun();
+      const wasEnabled = setJournalEnabled(true);
+      try {
+        await recordFileChange(join(dir, 'config'));
+      } finally {
+        setJournalEnabled(wasEnabled);
+      }
+      expect((await stat(join(dir, 'state'))).mode & 0o777).toBe(0o700);
+      expect((await stat(file)).mode & 0o777).toBe(0o600);
+    } finally {
+      if (previousJournal === undefined) {
+        delete process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+      } else {
+        process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = previousJournal;
+      }
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
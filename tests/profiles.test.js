@@ -0,0 +1,67 @@
+/**
+ * Tests for per-directory identity profiles
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import {
+  getDefaultProfileDir,
+  normalizeProfileGitdir,
+  resolveProfileName,
+  getProfileConfigPath,
+} from '../src/profiles.js';
+
+describe('normalizeProfileGitdir', () => {
+  it('should keep tilde paths and add a trailing slash', () => {
+    expect(normalizeProfileGitdir('~/work')).toBe('~/work/');
+  });
+
+  it('should not add a second trailing slash', () => {
+    expect(normalizeProfileGitdir('~/work/')).toBe('~/work/');
+  });
+
+  it('should make relative paths absolute', () => {
+    expect(normalizeProfileGitdir('oss')).toBe(
+      `${resolve('oss').replace(/\\/g, '/')}/`
+    );
+  });
+
+  it('should throw when no directory is given', () => {
+    expect(() => normalizeProfileGitdir('')).toThrow();
+  });
+});
+
+describe('resolveProfileName', () => {
+  it('should prefer the explicit profile name', () => {
+    expect(resolveProfileName('company', '~/work')).toBe('company');
+  });
+
+  it('should default to the directory name', () => {
+    expect(resolveProfileName(undefined, '~/work/')).toBe('work');
+  });
+
+  it('should replace characters that are unsafe in file names', () => {
+    expect(resolveProfileName('my work/oss', undefined)).toBe('my-work-oss');
+  });
+
+  it('should throw when neither profile nor directory is given', () => {
+    expect(() => resolveProfileName()).toThrow();
+  });
+});
+
+describe('getProfileConfigPath', () => {
+  it('should default to ~/.gitconfig.d', () => {
+    expect(getDefaultProfileDir()).toBe(join(homedir(), '.gitconfig.d'));
+    expect(getProfileConfigPath('work')).toBe(
+      join(homedir(), '.gitconfig.d', 'work')
+    );
+  });
+
+  it('should use a custom profile directory', () => {
+    expect(getProfileConfigPath('work', { profileDir: '/tmp/profiles' })).toBe(
+      join(resolve('/tmp/profiles'), 'work')
+    );
+  });
+});
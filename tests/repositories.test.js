@@ -0,0 +1,69 @@
+/**
+ * Tests for repository discovery in recursive mode
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { findGitRepositories } from '../src/repositories.js';
+
+/**
+ * Create a directory tree with checkouts, a nested repository and a submodule
+ * @returns {Promise<string>} Root directory
+ */
+async function createTree() {
+  const root = await mkdtemp(join(tmpdir(), 'glab-repos-'));
+  await mkdir(join(root, 'a', '.git'), { recursive: true });
+  await mkdir(join(root, 'group', 'b', '.git'), { recursive: true });
+  await mkdir(join(root, 'group', 'b', 'vendor', 'c', '.git'), {
+    recursive: true,
+  });
+  await mkdir(join(root, 'a', 'lib', 'sub'), { recursive: true });
+  await writeFile(
+    join(root, 'a', '.gitmodules'),
+    '[submodule "sub"]\n\tpath = lib/sub\n\turl = ../sub.git\n'
+  );
+  await writeFile(
+    join(root, 'a', 'lib', 'sub', '.git'),
+    'gitdir: ../../.git/modules/sub\n'
+  );
+  await mkdir(join(root, 'not-a-repo'), { recursive: true });
+  return root;
+}
+
+describe('findGitRepositories', () => {
+  it('should find checkouts and nested repositories, skipping submodules', async () => {
+    const root = await createTree();
+    try {
+      const found = await findGitRepositories(root);
+      expect(found.map((repo) => repo.path)).toEqual([
+        join(root, 'a'),
+        join(root, 'group', 'b'),
+        join(root, 'group', 'b', 'vendor', 'c'),
+      ]);
+      expect(found.every((repo) => !repo.submodule)).toBe(true);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it('should include submodules when asked', async () => {
+    const root = await createTree();
+    try {
+      const found = await findGitRepositories(root, { submodules: true });
+      const submodule = found.find(
+        (repo) => repo.path === join(root, 'a', 'lib', 'sub')
+      );
+      expect(found.length).toBe(4);
+      expect(submodule.submodule).toBe(true);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+
+  it('should return an empty list for a missing directory', async () => {
+    expect(await findGitRepositories('/nonexistent/glab-repos')).toEqual([]);
+  });
+});
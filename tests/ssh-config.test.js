@@ -0,0 +1,112 @@
+/**
+ * Tests for ~/.ssh/config host entries
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  formatSshHostBlock,
+  updateSshConfigBlock,
+  findUnmanagedHostEntries,
+} from '../src/ssh-config.js';
+
+const block = formatSshHostBlock({
+  host: 'gitlab.company.com',
+  hostName: 'ssh.gitlab.company.com',
+  port: 2222,
+  identityFile: '~/.ssh/id_ed25519',
+});
+
+describe('formatSshHostBlock', () => {
+  it('should write Host, HostName, Port, User and IdentityFile', () => {
+    expect(block.split('\n')).toEqual([
+      '# BEGIN glab-setup-git-identity gitlab.company.com',
+      'Host gitlab.company.com',
+      '  HostName ssh.gitlab.company.com',
+      '  Port 2222',
+      '  User git',
+      '  IdentityFile ~/.ssh/id_ed25519',
+      '# END glab-setup-git-identity gitlab.company.com',
+    ]);
+  });
+
+  it('should default HostName to the host and Port to 22', () => {
+    const lines = formatSshHostBlock({ host: 'gitlab.com' }).split('\n');
+    expect(lines.includes('  HostName gitlab.com')).toBe(true);
+    expect(lines.includes('  Port 22')).toBe(true);
+  });
+});
+
+describe('updateSshConfigBlock', () => {
+  const userEntries = 'Host github.com\n  User git\n';
+
+  it('should insert the block before user entries', () => {
+    const result = updateSshConfigBlock(
+      userEntries,
+      'gitlab.company.com',
+      block
+    );
+    expect(result).toBe(`${block}\n\n${userEntries}`);
+  });
+
+  it('should put the block before a leading Host * section', () => {
+    const existing =
+      'AddKeysToAgent yes\n\n# defaults\nHost *\n  IdentityFile ~/.ssh/id_rsa\n  User me\n';
+    const result = updateSshConfigBlock(existing, 'gitlab.company.com', block);
+
+    expect(result).toBe(
+      `AddKeysToAgent yes\n\n${block}\n\n# defaults\nHost *\n  IdentityFile ~/.ssh/id_rsa\n  User me\n`
+    );
+    expect(findUnmanagedHostEntries(result, 'gitlab.company.com')).toEqual([]);
+  });
+
+  it('should append the block to a file without sections', () => {
+    expect(
+      updateSshConfigBlock('AddKeysToAgent yes\n', 'gitlab.company.com', block)
+    ).toBe(`AddKeysToAgent yes\n\n${block}\n`);
+  });
+
+  it('should replace the managed block in place', () => {
+    const first = updateSshConfigBlock(
+      `${userEntries}\nHost *\n  ServerAliveInterval 60\n`,
+      'gitlab.company.com',
+      block
+    );
+    const changed = formatSshHostBlock({
+      host: 'gitlab.company.com',
+      port: 22,
+    });
+    const second = updateSshConfigBlock(first, 'gitlab.company.com', changed);
+
+    expect(second.includes('Port 2222')).toBe(false);
+    expect(second.includes(changed)).toBe(true);
+    expect(second.includes('ServerAliveInterval 60')).toBe(true);
+    expect(updateSshConfigBlock(second, 'gitlab.company.com', changed)).toBe(
+      second
+    );
+  });
+});
+
+describe('findUnmanagedHostEntries', () => {
+  it('should report user entries for the same host only', () => {
+    const existing = updateSshConfigBlock(
+      'Host gitlab.company.com other\n  Port 22\n',
+      'gitlab.company.com',
+      block
+    );
+    expect(findUnmanagedHostEntries(existing, 'gitlab.company.com')).toEqual([
+      'Host gitlab.company.com other',
+    ]);
+  });
+
+  it('should report wildcard entries that come before the managed block', () => {
+    const existing = `Host *\n  User me\nHost *.company.com !gitlab.company.com\n  Port 22\nHost *.company.com\n  Port 22\n\n${block}\n`;
+    expect(findUnmanagedHostEntries(existing, 'gitlab.company.com')).toEqual([
+      'Host *',
+      'Host *.company.com',
+    ]);
+    expect(findUnmanagedHostEntries(existing, 'gitlab.com')).toEqual([
+      'Host *',
+    ]);
+  });
+});
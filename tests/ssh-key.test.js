@@ -0,0 +1,66 @@
+/**
+ * Tests for SSH key setup
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { formatSshKeyTitle, generateSshKey } from '../src/ssh-key.js';
+
+describe('formatSshKeyTitle', () => {
+  it('should end with the upload date', () => {
+    const title = formatSshKeyTitle(new Date('2024-05-01T12:00:00Z'));
+    expect(title.endsWith(' 2024-05-01')).toBe(true);
+  });
+});
+
+describe('generateSshKey', () => {
+  it('should never overwrite an existing private key', async () => {
+    const sshDir = await mkdtemp(join(tmpdir(), 'glab-ssh-'));
+    const keyFile = join(sshDir, 'id_ed25519');
+    let error;
+    try {
+      await writeFile(keyFile, 'existing private key');
+      await generateSshKey({ keyFile }).catch((e) => {
+        error = e;
+      });
+      expect(await readFile(keyFile, 'utf8')).toBe('existing private key');
+    } finally {
+      await rm(sshDir, { recursive: true, force: true });
+    }
+    expect(error instanceof Error).toBe(true);
+  });
+
+  it('should refuse when only the public key exists', async () => {
+    const sshDir = await mkdtemp(join(tmpdir(), 'glab-ssh-'));
+    const keyFile = join(sshDir, 'id_ed25519');
+    let error;
+    try {
+      await writeFile(`${keyFile}.pub`, 'ssh-ed25519 AAAA existing');
+      await generateSshKey({ keyFile }).catch((e) => {
+        error = e;
+      });
+    } finally {
+      await rm(sshDir, { recursive: true, force: true });
+    }
+    expect(error instanceof Error).toBe(true);
+  });
+
+  it('should check for an existing key through the executor', async () => {
+    const calls = [];
+    const executor = async (command, args) => {
+      calls.push([command, ...args]);
+      return { code: command === 'test' ? 0 : 1, stdout: '', stderr: '' };
+    };
+    let error;
+    await generateSshKey({ keyFile: '/remote/id_ed25519', executor }).catch(
+      (e) => {
+        error = e;
+      }
+    );
+    expect(error.message.includes('/remote/id_ed25519')).toBe(true);
+    expect(calls).toEqual([['test', '-e', '/remote/id_ed25519']]);
+  });
+});
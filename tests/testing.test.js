@@ -0,0 +1,209 @@
+/**
+ * Tests for the mock GitLab API server, and end-to-end flows against it
+ * Works with Node.js, Bun, and Deno using test-anywhere
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'test-anywhere';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockGitLabServer, defaultMockFixtures } from '../src/testing.js';
+import {
+  isGlabAuthenticated,
+  getGitLabUserInfo,
+  setupGitIdentity,
+  fetchGitLabApi,
+  getGitLabSshKeys,
+} from '../src/index.js';
+
+// Keep any backup journal these tests write out of the home directory
+const previousJournal = process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+let journalDir;
+
+beforeAll(async () => {
+  journalDir = await mkdtemp(join(tmpdir(), 'glab-journal-'));
+  process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = join(
+    journalDir,
+    'journal.jsonl'
+  );
+});
+
+afterAll(async () => {
+  if (previousJournal === undefined) {
+    delete process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL;
+  } else {
+    process.env.GLAB_SETUP_GIT_IDENTITY_JOURNAL = previousJournal;
+  }
+  await rm(journalDir, { recursive: true, force: true });
+});
+
+/**
+ * Start a server, run a test against it and stop it
+ * @param {Object} options - Server options
+ * @param {Function} test - Async test receiving the server
+ * @returns {Promise<void>}
+ */
+async function withServer(options, test) {
+  const server = await startMockGitLabServer(options);
+  try {
+    await test(server);
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Get the error thrown by an async function
+ * @param {Function} fn - Async function expected to throw
+ * @returns {Promise<Error|null>} Thrown error, or null
+ */
+async function catchError(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+describe('startMockGitLabServer', () => {
+  it('should serve the default fixtures to the right token', async () => {
+    await withServer({}, async (server) => {
+      const user = await fetchGitLabApi('user', { api: server.api });
+      expect(user).toEqual(defaultMockFixtures.user);
+
+      const token = await fetchGitLabApi('personal_access_tokens/self', {
+        api: server.api,
+      });
+      expect(token.scopes).toEqual(['api', 'write_repository']);
+
+      expect(server.requests.map(({ endpoint }) => endpoint)).toEqual([
+        'user',
+        'personal_access_tokens/self',
+      ]);
+      expect(server.requests[0].token).toBe(server.token);
+    });
+  });
+
+  it('should answer 401 to other tokens', async () => {
+    await withServer({}, async (server) => {
+      const error = await catchError(() =>
+        fetchGitLabApi('user', { api: { ...server.api, token: 'wrong' } })
+      );
+      expect(error.code).toBe('NOT_AUTHENTICATED');
+      expect(error.status).toBe(401);
+    });
+  });
+
+  it('should add uploaded keys to the fixtures', async () => {
+    await withServer({}, async (server) => {
+      const key = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIMock jdoe@laptop';
+      await fetchGitLabApi('user/keys', {
+        api: server.api,
+        method: 'POST',
+        fields: { title: 'laptop', key, usage_type: 'signing' },
+      });
+
+      const keys = await getGitLabSshKeys({ api: server.api });
+      expect(keys.length).toBe(1);
+      expect(keys[0].title).toBe('laptop');
+      expect(keys[0].usage_type).toBe('signing');
+
+      const duplicate = await catchError(() =>
+        fetchGitLabApi('user/keys', {
+          api: server.api,
+          method: 'POST',
+          fields: { title: 'again', key },
+        })
+      );
+      expect(duplicate.status).toBe(400);
+    });
+  });
+
+  it('should fail endpoints in the configured way', async () => {
+    await withServer(
+      { failures: { 'user/emails': 'malformed' } },
+      async (server) => {
+        const malformed = await catchError(() =>
+          fetchGitLabApi('user/emails', { api: server.api })
+        );
+        expect(malformed.code).toBe('MALFORMED_RESPONSE');
+
+        server.fail('user', { status: 503, message: 'Maintenance' });
+        const unavailable = await catchError(() =>
+          fetchGitLabApi('user', { api: server.api })
+        );
+        expect(unavailable.code).toBe('GITLAB_API_ERROR');
+        expect(unavailable.gitlabMessage).toBe('Maintenance');
+
+        server.fail('user', 'disconnect');
+        const disconnected = await catchError(() =>
+          fetchGitLabApi('user', { api: server.api })
+        );
+        expect(disconnected.code).toBe('GITLAB_API_ERROR');
+
+        server.fail('user', null);
+        const user = await fetchGitLabApi('user', { api: server.api });
+        expect(user.username).toBe('jdoe');
+      }
+    );
+  });
+
+  it('should reject unknown failure modes', async () => {
+    await withServer({}, async (server) => {
+      expect(() => server.fail('user', 'flaky')).toThrow();
+    });
+  });
+});
+
+describe('end-to-end flows against the mock server', () => {
+  it('should tell whether the token is accepted', async () => {
+    await withServer({}, async (server) => {
+      expect(await isGlabAuthenticated({ api: server.api })).toBe(true);
+
+      server.fail('user', 'unauthorized');
+      expect(await isGlabAuthenticated({ api: server.api })).toBe(false);
+    });
+  });
+
+  it('should read the user information with changed fixtures', async () => {
+    await withServer({}, async (server) => {
+      server.setFixtures({
+        user: { ...defaultMockFixtures.user, name: 'Jane Q. Doe' },
+      });
+
+      const info = await getGitLabUserInfo({
+        api: server.api,
+        nameSource: 'name',
+        emailSource: 'verified',
+        emailMatch: '*@company.com',
+        logger: { log() {}, debug() {} },
+      });
+
+      expect(info.username).toBe('jdoe');
+      expect(info.name).toBe('Jane Q. Doe');
+      expect(info.email).toBe('jane.doe@company.com');
+    });
+  });
+
+  it('should write the identity to a git config file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'glab-mock-'));
+    const configFile = join(dir, 'gitconfig');
+    try {
+      await withServer({}, async (server) => {
+        await setupGitIdentity({
+          api: server.api,
+          scope: 'file',
+          configFile,
+          logger: { log() {}, warn() {}, debug() {} },
+        });
+      });
+
+      const content = await readFile(configFile, 'utf8');
+      expect(content.includes('name = jdoe')).toBe(true);
+      expect(content.includes('email = jdoe@example.com')).toBe(true);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});